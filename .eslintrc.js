@@ -34,5 +34,12 @@ module.exports = {
         'import/no-extraneous-dependencies': 'off',
       },
     },
+    {
+      files: ['tools/appbuilder-local/**/*.js'],
+      env: {
+        browser: false,
+        node: true,
+      },
+    },
   ],
 };
@@ -7,18 +7,213 @@ import {
   checkIsAuthenticated,
   rootLink,
 } from '../../scripts/commerce.js';
+import {
+  formatPostcode,
+  getAddressRules,
+  normalizePhone,
+  validateAddress,
+} from '../../scripts/commerce-address.js';
 
 // Initialize
 import '../../scripts/initializers/account.js';
 
+/**
+ * Names of the account drop-in's address form inputs, by address field
+ */
+const FORM_FIELDS = {
+  firstname: 'firstname',
+  lastname: 'lastname',
+  company: 'company',
+  street: 'street',
+  street_2: 'streetMultiline_2',
+  street_3: 'streetMultiline_3',
+  country_code: 'countryCode',
+  city: 'city',
+  postcode: 'postcode',
+  telephone: 'telephone',
+};
+
+/**
+ * Reads the address of a drop-in address form
+ * @param {HTMLFormElement} $form - Address form
+ * @returns {Object} Trimmed address fields
+ */
+function readAddress($form) {
+  const formData = new FormData($form);
+  return Object.fromEntries(Object.entries(FORM_FIELDS)
+    .map(([field, name]) => [field, formData.get(name)?.toString().trim() ?? '']));
+}
+
+/**
+ * Sets the value of a drop-in input, and lets the drop-in know it changed
+ * @param {HTMLInputElement} $input - Input
+ * @param {string} value - New value
+ */
+function setInputValue($input, value) {
+  if ($input.value === value) {
+    return;
+  }
+  $input.value = value;
+  $input.dispatchEvent(new Event('input', { bubbles: true }));
+  $input.dispatchEvent(new Event('change', { bubbles: true }));
+}
+
+/**
+ * Shows the error of an input under its drop-in field, or clears it
+ * @param {HTMLInputElement} $input - Input
+ * @param {string} [message] - Error message, none to clear the error
+ */
+function showInputError($input, message) {
+  const $field = $input.closest('.account-address-form__field') ?? $input.parentElement;
+  let $error = $field.querySelector('.commerce-addresses__error');
+  if (!$error && message) {
+    $error = document.createElement('p');
+    $error.className = 'commerce-addresses__error';
+    $error.id = `${$input.id || $input.name}-address-error`;
+    $field.append($error);
+  }
+  if ($error) {
+    $error.textContent = message || '';
+    $error.hidden = !message;
+  }
+  $input.setAttribute('aria-invalid', String(!!message));
+  if (message) {
+    $input.setAttribute('aria-describedby', $error.id);
+  }
+}
+
+/**
+ * Applies the country address rules of `commerce-address.js` to the account drop-in's address
+ * forms, on top of the drop-in's own checks: postcode formats, required fields and street lines
+ * by country, and phone numbers normalized to E.164. Errors show once a field is left and follow
+ * what the customer types, and a form with errors isn't saved.
+ * @param {HTMLElement} block - Block rendering the address forms
+ * @param {Object<string, boolean>} requiredFields - Optional fields the block requires
+ */
+function applyAddressRules(block, requiredFields) {
+  // Inputs the customer left once, validated as they type from then on
+  const touched = new WeakSet();
+
+  const getForm = ($element) => $element.closest?.('form.account-address-form');
+
+  /**
+   * Hides the street lines the form's country doesn't use, emptying them
+   * @param {HTMLFormElement} $form - Address form
+   */
+  const renderStreetLines = ($form) => {
+    const { streetLines } = getAddressRules($form.elements[FORM_FIELDS.country_code]?.value);
+    ['street_2', 'street_3'].forEach((field, index) => {
+      const $input = $form.elements[FORM_FIELDS[field]];
+      if (!$input) {
+        return;
+      }
+      const used = index + 2 <= streetLines;
+      if (!used) {
+        setInputValue($input, '');
+      }
+      ($input.closest('.account-address-form__field') ?? $input).hidden = !used;
+    });
+  };
+
+  /**
+   * Validates the inputs of an address form
+   * @param {HTMLFormElement} $form - Address form
+   * @param {Array<HTMLInputElement>} $inputs - Inputs whose errors are shown or cleared
+   * @returns {boolean} True if the address is valid
+   */
+  const validate = ($form, $inputs) => {
+    // The drop-in requires the region where Commerce does
+    const errors = validateAddress(readAddress($form), { regionRequired: false, requiredFields });
+    $inputs.forEach(($input) => {
+      const field = Object.keys(FORM_FIELDS).find((key) => FORM_FIELDS[key] === $input.name);
+      showInputError($input, errors[field]);
+    });
+    return Object.keys(errors).length === 0;
+  };
+
+  const isAddressInput = ($input) => Object.values(FORM_FIELDS).includes($input.name);
+
+  block.addEventListener('focusout', ({ target }) => {
+    const $form = getForm(target);
+    if (!$form || !isAddressInput(target)) {
+      return;
+    }
+    // Show the postcode and phone number the way they are saved
+    const countryCode = $form.elements[FORM_FIELDS.country_code]?.value;
+    if (target.name === FORM_FIELDS.postcode) {
+      setInputValue(target, formatPostcode(target.value, countryCode));
+    } else if (target.name === FORM_FIELDS.telephone) {
+      setInputValue(target, normalizePhone(target.value, countryCode) ?? target.value.trim());
+    }
+    touched.add(target);
+    validate($form, [target]);
+  });
+
+  block.addEventListener('input', ({ target }) => {
+    const $form = getForm(target);
+    if ($form && touched.has(target)) {
+      validate($form, [target]);
+    }
+  });
+
+  block.addEventListener('change', ({ target }) => {
+    const $form = getForm(target);
+    if (!$form || target.name !== FORM_FIELDS.country_code) {
+      return;
+    }
+    renderStreetLines($form);
+    validate($form, [...$form.elements].filter(($input) => touched.has($input)));
+  });
+
+  // Runs before the drop-in's submit handler, which only gets addresses that pass the rules
+  block.addEventListener('submit', (event) => {
+    const $form = getForm(event.target);
+    if (!$form) {
+      return;
+    }
+    const $inputs = [...$form.elements].filter(isAddressInput);
+    $inputs.forEach(($input) => touched.add($input));
+    if (!validate($form, $inputs)) {
+      event.preventDefault();
+      event.stopPropagation();
+      $inputs.find(($input) => $input.getAttribute('aria-invalid') === 'true')?.focus();
+      return;
+    }
+    const countryCode = $form.elements[FORM_FIELDS.country_code]?.value;
+    const $telephone = $form.elements[FORM_FIELDS.telephone];
+    if ($telephone?.value) {
+      setInputValue($telephone, normalizePhone($telephone.value, countryCode));
+    }
+    const $postcode = $form.elements[FORM_FIELDS.postcode];
+    if ($postcode) {
+      setInputValue($postcode, formatPostcode($postcode.value, countryCode));
+    }
+  }, true);
+
+  // Address forms open when adding or editing an address
+  new MutationObserver(() => {
+    block.querySelectorAll('form.account-address-form:not([data-address-rules])').forEach(($form) => {
+      $form.dataset.addressRules = 'true';
+      renderStreetLines($form);
+    });
+  }).observe(block, { childList: true, subtree: true });
+}
+
 export default async function decorate(block) {
   const {
     'minified-view': minifiedViewConfig = 'false',
+    'require-company': requireCompany = 'false',
+    'require-telephone': requireTelephone = 'true',
   } = readBlockConfig(block);
 
   if (!checkIsAuthenticated()) {
     window.location.href = rootLink(CUSTOMER_LOGIN_PATH);
   } else {
+    applyAddressRules(block, {
+      company: requireCompany === 'true',
+      telephone: requireTelephone === 'true',
+    });
+
     await accountRenderer.render(Addresses, {
       minifiedView: minifiedViewConfig === 'true',
       withActionsInMinifiedView: false,
@@ -5,159 +5,105 @@ import {
   Button,
   provider as UI,
 } from '@dropins/tools/components.js';
+import { events } from '@dropins/tools/event-bus.js';
 import { tryRenderAemAssetsImage } from '@dropins/tools/lib/aem/assets.js';
 import { readBlockConfig } from '../../scripts/aem.js';
-import { fetchPlaceholders, rootLink, getProductLink } from '../../scripts/commerce.js';
+import {
+  fetchPlaceholders,
+  rootLink,
+  getProductLink,
+  checkIsAuthenticated,
+} from '../../scripts/commerce.js';
+import {
+  APPBUILDER_CART_EVENT,
+  CART_RECOVERED_EVENT,
+  getCartRecoveryMessage,
+  loadCart as loadAppBuilderCart,
+  updateItemQuantity,
+  removeItem,
+  applyCoupon,
+  removeCoupon,
+  applyGiftCard,
+  removeGiftCard,
+  estimateShipping,
+  getShippingEstimate,
+  selectShippingEstimate,
+  getUnavailableItems,
+  removeUnavailableItems,
+  reduceToAvailableQuantity,
+  importCartItems,
+  transformCart,
+} from '../../scripts/appbuilder-cart.js';
+import { publishInitiateCheckout, publishShoppingCartView } from '../../scripts/commerce-acdl.js';
+import renderMergedCartBanner from '../../scripts/components/commerce-merged-cart-banner/commerce-merged-cart-banner.js';
+import { formatPrice } from '../../scripts/commerce-locale.js';
+import { formatPostcode, validatePostcode } from '../../scripts/commerce-address.js';
+import { getCountries, findRegion } from '../../scripts/commerce-countries.js';
+import renderPriceSummary, {
+  getTaxDisplaySetting,
+  renderItemPrice,
+  transformCartPrices,
+  transformItemPrices,
+} from '../../scripts/components/commerce-price-summary/commerce-price-summary.js';
+import {
+  SAVED_FOR_LATER_EVENT,
+  getSavedItems,
+  saveForLater,
+  moveToWishlist,
+  moveToCart,
+  removeSavedItem,
+} from './saved-for-later.js';
+import {
+  decodeSharedCart,
+  getSharedCartLink,
+  getSharedCartParam,
+  clearSharedCartParam,
+  shareLink,
+} from './share-cart.js';
 
-/**
- * LocalStorage key for cart ID
- */
-const CART_ID_STORAGE_KEY = 'cartId';
+// Initializers
+import '../../scripts/initializers/cart.js';
+import '../../scripts/initializers/wishlist.js';
 
 /**
- * Base URL for API endpoints
+ * Delay in milliseconds before a quantity change is sent, so rapid clicks are coalesced
  */
-const BASE_URL = window.BASE_URL || 'https://748062-appbuilderpoc-stage.adobeio-static.net/api/v1/web';
-
-/**
- * Gets cart ID from localStorage
- * @returns {string|null} Cart ID or null if not found
- */
-function getCartId() {
-  try {
-    return localStorage.getItem(CART_ID_STORAGE_KEY);
-  } catch (error) {
-    console.error('Error reading cart ID from localStorage:', error);
-    return null;
-  }
-}
-
-/**
- * Fetches cart data from API
- * @param {string} cartId - Cart ID
- * @returns {Promise<Object|null>} Cart data or null if error
- */
-async function getCart(cartId) {
-  if (!cartId) {
-    return null;
-  }
-
-  const apiUrl = `${BASE_URL}/poc-appbuilder-storefront/cart-get`;
-
-  try {
-    const response = await fetch(apiUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({ cartId }),
-    });
-
-    if (!response.ok) {
-      throw new Error(`Failed to fetch cart: ${response.status} ${response.statusText}`);
-    }
-
-    const data = await response.json();
-    return data?.cart || null;
-  } catch (error) {
-    console.error('Error fetching cart:', error);
-    return null;
-  }
-}
+const QUANTITY_UPDATE_DELAY = 400;
 
 /**
- * Updates item quantity in cart
- * @param {string} cartId - Cart ID
- * @param {string} cartItemId - Cart Item ID (UID)
- * @param {number} quantity - New quantity
- * @returns {Promise<Object|null>} Updated cart data or null if error
+ * Lists the options chosen for a cart line: configurable and bundle options, custom options
+ * and gift card fields
+ * @param {Object} item - App Builder cart item
+ * @returns {Array<{ label: string, value: string }>} Chosen options
  */
-async function updateCartItemQuantity(cartId, cartItemId, quantity) {
-  if (!cartId || !cartItemId) {
-    throw new Error('Cart ID and Cart Item ID are required');
-  }
+function getItemOptions(item) {
+  const giftCardFields = [
+    ['GiftCardSender', 'From', item.sender_name, item.sender_email],
+    ['GiftCardRecipient', 'To', item.recipient_name, item.recipient_email],
+    ['GiftCardMessage', 'Message', item.message],
+  ];
 
-  if (quantity < 1) {
-    throw new Error('Quantity must be at least 1');
-  }
-
-  const apiUrl = `${BASE_URL}/poc-appbuilder-storefront/cart-update-item`;
-
-  try {
-    const response = await fetch(apiUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        cartId,
-        cart_item_id: cartItemId,
-        quantity,
-      }),
-    });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      let errorMessage = `Failed to update cart item: ${response.status} ${response.statusText}`;
-      
-      try {
-        const errorData = JSON.parse(errorText);
-        errorMessage = errorData?.message || errorData?.error || errorMessage;
-      } catch {
-        // If error response is not JSON, use the text
-        if (errorText) {
-          errorMessage = errorText;
-        }
-      }
-      
-      throw new Error(errorMessage);
-    }
-
-    const data = await response.json();
-    return data?.cart || null;
-  } catch (error) {
-    console.error('Error updating cart item:', error);
-    throw error;
-  }
-}
-
-/**
- * Removes item from cart
- * @param {string} cartId - Cart ID
- * @param {string} itemUid - Item UID
- * @returns {Promise<Object|null>} Updated cart data or null if error
- */
-async function removeCartItem(cartId, itemUid) {
-  if (!cartId || !itemUid) {
-    throw new Error('Cart ID and Item UID are required');
-  }
-
-  // TODO: Replace with actual API endpoint when available
-  const apiUrl = `${BASE_URL}/poc-appbuilder-storefront/cart-remove-item`;
-
-  try {
-    const response = await fetch(apiUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        cartId,
-        itemUid,
-      }),
-    });
-
-    if (!response.ok) {
-      throw new Error(`Failed to remove cart item: ${response.status} ${response.statusText}`);
-    }
-
-    const data = await response.json();
-    return data?.cart || null;
-  } catch (error) {
-    console.error('Error removing cart item:', error);
-    // Fallback: refresh cart data
-    return getCart(cartId);
-  }
+  return [
+    ...(item.configurable_options || []).map((option) => ({
+      label: option.option_label,
+      value: option.value_label,
+    })),
+    ...(item.bundle_options || []).map((option) => ({
+      label: option.label,
+      value: option.values.map((value) => `${value.quantity} x ${value.label}`).join(', '),
+    })),
+    ...(item.customizable_options || []).map((option) => ({
+      label: option.label,
+      value: option.values.map((value) => value.label || value.value).join(', '),
+    })),
+    ...giftCardFields
+      .filter(([, , value]) => value)
+      .map(([key, label, value, email]) => ({
+        key,
+        label,
+        value: email ? `${value} (${email})` : value,
+      })),
+  ];
 }
 
 /**
@@ -170,64 +116,43 @@ function transformCartData(apiCart) {
     return null;
   }
 
+  const prices = transformCartPrices(apiCart);
   const items = (apiCart.itemsV2?.items || []).map((item) => ({
     uid: item.uid,
     sku: item.product?.sku || '',
     name: item.product?.name || '',
     quantity: item.quantity || 0,
-    price: {
-      currency: item.prices?.price?.currency || 'USD',
-      value: item.prices?.price?.value || 0,
-    },
-    rowTotal: {
-      currency: item.prices?.row_total?.currency || 'USD',
-      value: item.prices?.row_total?.value || 0,
-    },
+    ...transformItemPrices(item, prices.currency),
     image: item.product?.thumbnail?.url || '',
     imageLabel: item.product?.thumbnail?.label || '',
     urlKey: item.product?.url_key || '',
     isAvailable: item.is_available !== false,
     notAvailableMessage: item.not_available_message || '',
     stockStatus: item.product?.stock_status || '',
+    onlyXLeftInStock: item.product?.only_x_left_in_stock ?? null,
+    options: getItemOptions(item),
+    optionsUIDs: item.selected_options_uids || [],
+    enteredOptions: item.entered_options || [],
   }));
 
+  // Set by checkout, or by the shipping estimator until checkout sets a real address
+  const selectedShippingMethod = apiCart.shipping_addresses?.[0]?.selected_shipping_method;
+
   return {
     id: apiCart.id,
     totalQuantity: apiCart.total_quantity || 0,
     items,
-    prices: {
-      grandTotal: {
-        currency: apiCart.prices?.grand_total?.currency || 'USD',
-        value: apiCart.prices?.grand_total?.value || 0,
-      },
-      subtotalExcludingTax: {
-        currency: apiCart.prices?.subtotal_excluding_tax?.currency || 'USD',
-        value: apiCart.prices?.subtotal_excluding_tax?.value || 0,
-      },
-      subtotalIncludingTax: {
-        currency: apiCart.prices?.subtotal_including_tax?.currency || 'USD',
-        value: apiCart.prices?.subtotal_including_tax?.value || 0,
-      },
-    },
+    prices,
+    shippingMethod: selectedShippingMethod ? {
+      carrierCode: selectedShippingMethod.carrier_code,
+      methodCode: selectedShippingMethod.method_code,
+    } : null,
+    appliedCoupons: (apiCart.applied_coupons || []).map(({ code }) => code),
+    appliedGiftCards: prices.giftCards,
     isVirtual: apiCart.is_virtual || false,
   };
 }
 
-/**
- * Formats price for display
- * @param {Object} price - Price object with currency and value
- * @returns {string} Formatted price string
- */
-function formatPrice(price) {
-  if (!price || !price.currency || price.value === undefined) {
-    return '$0.00';
-  }
-  return new Intl.NumberFormat('en-US', {
-    style: 'currency',
-    currency: price.currency,
-  }).format(price.value);
-}
-
 export default async function decorate(block) {
   // Configuration
   const {
@@ -235,20 +160,58 @@ export default async function decorate(block) {
     'max-items': maxItems,
     'enable-item-quantity-update': enableUpdateItemQuantity = 'true',
     'enable-item-remove': enableRemoveItem = 'true',
+    'enable-save-for-later': enableSaveForLater = 'true',
+    'enable-move-to-wishlist': enableMoveToWishlist = 'true',
+    'enable-coupons': enableCoupons = 'true',
+    'enable-gift-cards': enableGiftCards = 'true',
+    'enable-estimate-shipping': enableEstimateShipping = 'true',
+    'enable-share-cart': enableShareCart = 'true',
     'checkout-url': checkoutURL = '/checkout',
   } = readBlockConfig(block);
 
-  const placeholders = await fetchPlaceholders();
+  const [placeholders, taxDisplaySetting, countries] = await Promise.all([
+    fetchPlaceholders(),
+    getTaxDisplaySetting(),
+    // Without the store's countries there is nothing to estimate for
+    enableEstimateShipping === 'true'
+      ? getCountries().catch((error) => {
+        console.error('Error loading countries:', error);
+        return [];
+      })
+      : [],
+  ]);
 
   // Layout
   const fragment = document.createRange().createContextualFragment(`
+    <div class="cart__merged-cart-banner"></div>
     <div class="cart__notification"></div>
+    <div class="cart__shared-cart"></div>
     <div class="cart__wrapper">
       <div class="cart__left-column">
         <div class="cart__list"></div>
       </div>
       <div class="cart__right-column">
-        <div class="cart__order-summary"></div>
+        <div class="cart__order-summary">
+          <div class="cart-summary">
+            <h2 class="cart-summary__title">${placeholders?.Global?.OrderSummary || 'Order Summary'}</h2>
+            <div class="cart-summary__content">
+              <div class="cart-summary__validation"></div>
+              <div class="cart-summary__promotions"></div>
+              <div class="cart-summary__estimate"></div>
+              <div class="cart-summary__totals"></div>
+              <div class="cart-summary__actions">
+                <a href="${rootLink(checkoutURL)}" class="button button--primary cart-summary__checkout-btn">
+                  ${placeholders?.Global?.ProceedToCheckout || 'Proceed to Checkout'}
+                </a>
+                ${enableShareCart === 'true' ? `
+                  <button type="button" class="button button--secondary cart-summary__share-btn">
+                    ${placeholders?.Global?.CartShare || 'Share cart'}
+                  </button>
+                ` : ''}
+              </div>
+            </div>
+          </div>
+        </div>
       </div>
     </div>
     <div class="cart__empty-cart" style="display: none;">
@@ -261,13 +224,28 @@ export default async function decorate(block) {
         <a href="${rootLink('/')}" class="button button--primary cart__empty-cart-button">${placeholders?.Global?.StartShopping || 'Start Shopping'}</a>
       </div>
     </div>
+    <section class="cart__saved-for-later" hidden>
+      <h2 class="cart__saved-heading">${placeholders?.Global?.CartSavedForLater || 'Saved for later'}</h2>
+      <p class="cart__saved-error" role="alert" hidden></p>
+      <ul class="cart__saved-items"></ul>
+    </section>
   `);
 
   const $wrapper = fragment.querySelector('.cart__wrapper');
+  const $mergedCartBanner = fragment.querySelector('.cart__merged-cart-banner');
   const $notification = fragment.querySelector('.cart__notification');
+  const $sharedCart = fragment.querySelector('.cart__shared-cart');
   const $list = fragment.querySelector('.cart__list');
-  const $summary = fragment.querySelector('.cart__order-summary');
+  const $promotions = fragment.querySelector('.cart-summary__promotions');
+  const $estimate = fragment.querySelector('.cart-summary__estimate');
+  const $totals = fragment.querySelector('.cart-summary__totals');
+  const $validation = fragment.querySelector('.cart-summary__validation');
+  const $checkoutButton = fragment.querySelector('.cart-summary__checkout-btn');
+  const $shareButton = fragment.querySelector('.cart-summary__share-btn');
   const $emptyCart = fragment.querySelector('.cart__empty-cart');
+  const $savedForLater = fragment.querySelector('.cart__saved-for-later');
+  const $savedError = fragment.querySelector('.cart__saved-error');
+  const $savedItems = fragment.querySelector('.cart__saved-items');
 
   block.innerHTML = '';
   block.appendChild(fragment);
@@ -275,6 +253,28 @@ export default async function decorate(block) {
   let currentNotification = null;
   let currentCartData = null;
 
+  // Last App Builder cart, for the bulk fixes of unavailable lines
+  let currentApiCart = null;
+
+  // Alert listing the unavailable lines, with the key of the lines it shows
+  let validationAlert = null;
+  let validationKey = '';
+
+  // Whether a bulk fix of unavailable lines is running
+  let fixingUnavailableItems = false;
+
+  // Prompt or result of a shared cart import
+  let sharedCartAlert = null;
+
+  // Cart line elements by item UID, reused across renders
+  const lineElements = new Map();
+
+  // Quantity changes not yet confirmed by the server, by item UID
+  const pendingUpdates = new Map();
+
+  // Lines removed optimistically, by item UID
+  const pendingRemovals = new Set();
+
   /**
    * Shows a notification message
    * @param {string} message - Message to display
@@ -300,13 +300,385 @@ export default async function decorate(block) {
   }
 
   /**
-   * Renders cart items
+   * Builds the optimistic view of the cart: the last server cart with pending quantity
+   * changes and removals applied, and the totals adjusted by the difference
+   * @returns {Object|null} Cart data to render
+   */
+  function getViewCartData() {
+    if (!currentCartData) {
+      return null;
+    }
+
+    let delta = 0;
+    let quantityDelta = 0;
+    const items = currentCartData.items
+      .filter((item) => {
+        if (!pendingRemovals.has(item.uid)) {
+          return true;
+        }
+        delta -= item.rowTotal.value;
+        quantityDelta -= item.quantity;
+        return false;
+      })
+      .map((item) => {
+        const pending = pendingUpdates.get(item.uid);
+        if (!pending || pending.quantity === item.quantity) {
+          return item;
+        }
+        const rowTotal = item.price.value * pending.quantity;
+        delta += rowTotal - item.rowTotal.value;
+        quantityDelta += pending.quantity - item.quantity;
+        // Line discounts are assumed to scale with the quantity until the server confirms
+        const scale = (price) => ({
+          ...price,
+          value: (price.value * pending.quantity) / item.quantity,
+        });
+        return {
+          ...item,
+          quantity: pending.quantity,
+          rowTotal: { ...item.rowTotal, value: rowTotal },
+          discounts: item.discounts.map((discount) => ({
+            ...discount,
+            amount: scale(discount.amount),
+          })),
+          totalDiscount: scale(item.totalDiscount),
+        };
+      });
+
+    const adjust = (price) => ({ ...price, value: price.value + delta });
+
+    return {
+      ...currentCartData,
+      totalQuantity: currentCartData.totalQuantity + quantityDelta,
+      items,
+      prices: {
+        ...currentCartData.prices,
+        grandTotal: adjust(currentCartData.prices.grandTotal),
+        subtotalExcludingTax: adjust(currentCartData.prices.subtotalExcludingTax),
+        subtotalIncludingTax: adjust(currentCartData.prices.subtotalIncludingTax),
+        subtotalWithDiscountExcludingTax: adjust(
+          currentCartData.prices.subtotalWithDiscountExcludingTax,
+        ),
+        grandTotalExcludingTax: adjust(currentCartData.prices.grandTotalExcludingTax),
+      },
+    };
+  }
+
+  /**
+   * Shows an error on a single cart line
+   * @param {string} itemUid - Cart item UID
+   * @param {string} message - Error message, empty to clear it
+   */
+  function setLineError(itemUid, message) {
+    const $error = lineElements.get(itemUid)?.querySelector('.cart-item__error');
+    if ($error) {
+      $error.textContent = message;
+      $error.hidden = !message;
+    }
+  }
+
+  /**
+   * Sends the latest requested quantity of a line, one request per line at a time. Changes
+   * made while a request is in flight are sent once it returns.
+   * @param {string} itemUid - Cart item UID
+   */
+  async function flushQuantityUpdate(itemUid) {
+    const pending = pendingUpdates.get(itemUid);
+    if (!pending) {
+      return;
+    }
+
+    pending.timer = null;
+    if (pending.inFlight) {
+      return;
+    }
+
+    pending.inFlight = true;
+    const { quantity } = pending;
+
+    try {
+      // Publishes the server cart, which re-renders the list
+      await updateItemQuantity(itemUid, quantity);
+      pending.inFlight = false;
+      if (pending.quantity !== quantity) {
+        if (!pending.timer) {
+          flushQuantityUpdate(itemUid);
+        }
+        return;
+      }
+      pendingUpdates.delete(itemUid);
+      renderView();
+    } catch (error) {
+      // Roll the line back to the last quantity the server confirmed
+      clearTimeout(pending.timer);
+      pendingUpdates.delete(itemUid);
+      renderView();
+      setLineError(itemUid, error.message || placeholders?.Global?.CartUpdateItemError || 'Failed to update quantity');
+    }
+  }
+
+  /**
+   * Shows a new quantity right away and sends it after a short delay, so rapid clicks
+   * become a single request
+   * @param {string} itemUid - Cart item UID
+   * @param {number} quantity - Requested quantity
+   */
+  function requestQuantityUpdate(itemUid, quantity) {
+    const pending = pendingUpdates.get(itemUid) ?? { inFlight: false, timer: null };
+    pending.quantity = quantity;
+    clearTimeout(pending.timer);
+    pending.timer = setTimeout(() => flushQuantityUpdate(itemUid), QUANTITY_UPDATE_DELAY);
+    pendingUpdates.set(itemUid, pending);
+
+    setLineError(itemUid, '');
+    renderView();
+  }
+
+  /**
+   * Takes a line out of the cart right away and restores it if the request fails
+   * @param {string} itemUid - Cart item UID
+   * @param {function(Object): Promise} operation - Request removing the line, called with the
+   * cart item as shown
+   * @param {string} successMessage - Notification shown once the line is gone
+   * @param {string} errorMessage - Line error shown when the request fails without a message
+   */
+  async function requestLineRemoval(itemUid, operation, successMessage, errorMessage) {
+    const item = getViewCartData()?.items.find(({ uid }) => uid === itemUid);
+    if (!item) {
+      return;
+    }
+
+    const pending = pendingUpdates.get(itemUid);
+    clearTimeout(pending?.timer);
+    pendingUpdates.delete(itemUid);
+    pendingRemovals.add(itemUid);
+    renderView();
+
+    try {
+      await operation(item);
+      pendingRemovals.delete(itemUid);
+      renderView();
+      showNotification(successMessage, 'success');
+    } catch (error) {
+      pendingRemovals.delete(itemUid);
+      renderView();
+      setLineError(itemUid, error.message || errorMessage);
+    }
+  }
+
+  /**
+   * Removes a line right away and restores it if the request fails
+   * @param {string} itemUid - Cart item UID
+   */
+  function requestRemoveItem(itemUid) {
+    return requestLineRemoval(
+      itemUid,
+      () => removeItem(itemUid),
+      placeholders?.Global?.CartItemRemoved || 'Item removed from cart',
+      placeholders?.Global?.CartRemoveItemError || 'Failed to remove item',
+    );
+  }
+
+  /**
+   * Creates the element of a cart line and wires its controls
+   * @param {Object} item - Cart item
+   * @returns {HTMLElement} Cart line element
+   */
+  function createCartItemElement(item) {
+    const itemElement = document.createElement('article');
+    itemElement.className = 'cart-item';
+    itemElement.dataset.itemUid = item.uid;
+    itemElement.innerHTML = `
+      <div class="cart-item__image-wrapper">
+        <a href="${getProductLink(item.urlKey, item.sku)}" class="cart-item__image-link">
+          ${item.image ? `<img src="${item.image}" alt="${item.imageLabel || item.name}" class="cart-item__image" />` : '<div class="cart-item__image-placeholder"></div>'}
+        </a>
+      </div>
+      <div class="cart-item__content">
+        <div class="cart-item__header">
+          <h3 class="cart-item__name">
+            <a href="${getProductLink(item.urlKey, item.sku)}" class="cart-item__name-link">${item.name}</a>
+          </h3>
+          ${enableRemoveItem === 'true' ? `
+            <button type="button" class="cart-item__remove" aria-label="Remove ${item.name}">
+              <svg width="16" height="16" viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg">
+                <path d="M12 4L4 12M4 4L12 12" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+              </svg>
+            </button>
+          ` : ''}
+        </div>
+        <div class="cart-item__meta">
+          <span class="cart-item__sku">SKU: ${item.sku}</span>
+          <span class="cart-item__unavailable" hidden></span>
+        </div>
+        ${item.options.length > 0 ? '<dl class="cart-item__options"></dl>' : ''}
+        <div class="cart-item__price-mobile">
+          <span class="cart-item__price-label">Price:</span>
+          <span class="cart-item__price-value"></span>
+        </div>
+        <div class="cart-item__quantity-wrapper">
+          <label for="quantity-${item.uid}" class="cart-item__quantity-label">Quantity</label>
+          ${enableUpdateItemQuantity === 'true' ? `
+            <div class="cart-item__quantity-controls">
+              <button type="button" class="cart-item__quantity-btn cart-item__quantity-btn--decrease" aria-label="Decrease quantity">−</button>
+              <input
+                type="number"
+                id="quantity-${item.uid}"
+                min="1"
+                value="${item.quantity}"
+                class="cart-item__quantity-input"
+                aria-label="Quantity"
+              />
+              <button type="button" class="cart-item__quantity-btn cart-item__quantity-btn--increase" aria-label="Increase quantity">+</button>
+            </div>
+          ` : `<span class="cart-item__quantity-display">${item.quantity}</span>`}
+        </div>
+        ${enableSaveForLater === 'true' || enableMoveToWishlist === 'true' ? `
+          <div class="cart-item__actions">
+            ${enableSaveForLater === 'true' ? `<button type="button" class="cart-item__action cart-item__save-for-later">${placeholders?.Global?.CartSaveForLater || 'Save for later'}</button>` : ''}
+            ${enableMoveToWishlist === 'true' ? `<button type="button" class="cart-item__action cart-item__move-to-wishlist">${placeholders?.Global?.CartMoveToWishlist || 'Move to wishlist'}</button>` : ''}
+          </div>
+        ` : ''}
+        <p class="cart-item__error" role="alert" hidden></p>
+      </div>
+      <div class="cart-item__pricing">
+        <div class="cart-item__price">
+          <span class="cart-item__price-label">Price</span>
+          <span class="cart-item__price-value"></span>
+        </div>
+        <div class="cart-item__total">
+          <span class="cart-item__total-label">Total</span>
+          <span class="cart-item__total-value"></span>
+        </div>
+      </div>
+    `;
+
+    const { uid } = item;
+    const input = itemElement.querySelector('.cart-item__quantity-input');
+
+    itemElement.querySelector('.cart-item__options')?.append(...item.options.flatMap((option) => {
+      const $label = document.createElement('dt');
+      $label.textContent = (option.key && placeholders?.Global?.[option.key]) || option.label;
+      const $value = document.createElement('dd');
+      $value.textContent = option.value;
+      return [$label, $value];
+    }));
+
+    // Products with options are edited on the product page, which reads the line back
+    if (item.optionsUIDs.length > 0 || item.enteredOptions.length > 0) {
+      const editUrl = new URL(getProductLink(item.urlKey, item.sku), window.location.origin);
+      editUrl.searchParams.set('itemUid', uid);
+      if (item.optionsUIDs.length > 0) {
+        editUrl.searchParams.set('optionsUIDs', item.optionsUIDs.join(','));
+      }
+      const $edit = document.createElement('a');
+      $edit.className = 'cart-item__action cart-item__edit';
+      $edit.href = editUrl.toString();
+      $edit.textContent = placeholders?.Global?.CartEditItem || 'Edit';
+
+      let $actions = itemElement.querySelector('.cart-item__actions');
+      if (!$actions) {
+        $actions = document.createElement('div');
+        $actions.className = 'cart-item__actions';
+        itemElement.querySelector('.cart-item__error').before($actions);
+      }
+      $actions.prepend($edit);
+    }
+
+    if (input) {
+      const currentQuantity = () => pendingUpdates.get(uid)?.quantity
+        ?? currentCartData.items.find((entry) => entry.uid === uid)?.quantity
+        ?? 1;
+
+      input.addEventListener('change', () => {
+        const quantity = parseInt(input.value, 10);
+        if (Number.isNaN(quantity)) {
+          input.value = currentQuantity();
+          return;
+        }
+        requestQuantityUpdate(uid, Math.max(1, quantity));
+      });
+
+      itemElement.querySelector('.cart-item__quantity-btn--decrease').addEventListener('click', () => {
+        requestQuantityUpdate(uid, Math.max(1, currentQuantity() - 1));
+      });
+
+      itemElement.querySelector('.cart-item__quantity-btn--increase').addEventListener('click', () => {
+        requestQuantityUpdate(uid, currentQuantity() + 1);
+      });
+    }
+
+    itemElement.querySelector('.cart-item__remove')?.addEventListener('click', () => {
+      if (!confirm(placeholders?.Global?.CartRemoveConfirm || 'Are you sure you want to remove this item?')) {
+        return;
+      }
+      requestRemoveItem(uid);
+    });
+
+    itemElement.querySelector('.cart-item__save-for-later')?.addEventListener('click', () => {
+      requestLineRemoval(
+        uid,
+        saveForLater,
+        placeholders?.Global?.CartItemSavedForLater || 'Item saved for later',
+        placeholders?.Global?.CartSaveForLaterError || 'Failed to save item for later',
+      );
+    });
+
+    itemElement.querySelector('.cart-item__move-to-wishlist')?.addEventListener('click', () => {
+      requestLineRemoval(
+        uid,
+        moveToWishlist,
+        placeholders?.Global?.CartItemMovedToWishlist || 'Item moved to your wishlist',
+        placeholders?.Global?.CartMoveToWishlistError || 'Failed to move item to your wishlist',
+      );
+    });
+
+    return itemElement;
+  }
+
+  /**
+   * Updates a cart line element in place, leaving focus and scroll untouched
+   * @param {HTMLElement} itemElement - Cart line element
+   * @param {Object} item - Cart item
+   */
+  function updateCartItemElement(itemElement, item) {
+    const isPending = pendingUpdates.has(item.uid);
+    itemElement.classList.toggle('cart-item--pending', isPending);
+
+    const input = itemElement.querySelector('.cart-item__quantity-input');
+    if (input && document.activeElement !== input) {
+      input.value = item.quantity;
+    }
+    const display = itemElement.querySelector('.cart-item__quantity-display');
+    if (display) {
+      display.textContent = item.quantity;
+    }
+
+    itemElement.querySelectorAll('.cart-item__price-value').forEach(($price) => {
+      renderItemPrice($price, item, { placeholders });
+    });
+    renderItemPrice(itemElement.querySelector('.cart-item__total-value'), item, {
+      total: true,
+      placeholders,
+    });
+
+    const $unavailable = itemElement.querySelector('.cart-item__unavailable');
+    $unavailable.hidden = item.isAvailable || isPending;
+    $unavailable.textContent = item.onlyXLeftInStock && item.stockStatus !== 'OUT_OF_STOCK'
+      ? (placeholders?.Global?.CartOnlyXLeftInStock || 'Only {count} left in stock')
+        .replace('{count}', item.onlyXLeftInStock)
+      : item.notAvailableMessage || placeholders?.Global?.CartItemNotAvailable || 'Not available';
+    itemElement.classList.toggle('cart-item--unavailable', !$unavailable.hidden);
+  }
+
+  /**
+   * Renders cart items, reusing the element of every line that is still in the cart
    * @param {Array} items - Cart items array
    */
   function renderCartItems(items) {
-    $list.innerHTML = '';
-
     if (!items || items.length === 0) {
+      $list.innerHTML = '';
+      lineElements.clear();
       $wrapper.style.display = 'none';
       $emptyCart.style.display = 'block';
       return;
@@ -316,245 +688,709 @@ export default async function decorate(block) {
     $emptyCart.style.display = 'none';
 
     // Add heading
-    if (hideHeading !== 'true') {
+    if (hideHeading !== 'true' && !$list.querySelector('.cart__heading')) {
       const heading = document.createElement('h2');
       heading.className = 'cart__heading';
       heading.textContent = placeholders?.Global?.ShoppingCart || 'Shopping Cart';
-      $list.appendChild(heading);
+      $list.prepend(heading);
     }
 
+    const uids = new Set(items.map(({ uid }) => uid));
+    lineElements.forEach((itemElement, uid) => {
+      if (!uids.has(uid)) {
+        itemElement.remove();
+        lineElements.delete(uid);
+      }
+    });
+
+    let previous = $list.querySelector('.cart__heading');
     items.forEach((item) => {
-      const itemElement = document.createElement('article');
-      itemElement.className = 'cart-item';
-      itemElement.innerHTML = `
-        <div class="cart-item__image-wrapper">
-          <a href="${getProductLink(item.urlKey, item.sku)}" class="cart-item__image-link">
-            ${item.image ? `<img src="${item.image}" alt="${item.imageLabel || item.name}" class="cart-item__image" />` : '<div class="cart-item__image-placeholder"></div>'}
-          </a>
-        </div>
-        <div class="cart-item__content">
-          <div class="cart-item__header">
-            <h3 class="cart-item__name">
-              <a href="${getProductLink(item.urlKey, item.sku)}" class="cart-item__name-link">${item.name}</a>
-            </h3>
-            ${enableRemoveItem === 'true' ? `
-              <button type="button" class="cart-item__remove" data-item-uid="${item.uid}" aria-label="Remove ${item.name}">
-                <svg width="16" height="16" viewBox="0 0 16 16" fill="none" xmlns="http://www.w3.org/2000/svg">
-                  <path d="M12 4L4 12M4 4L12 12" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
-                </svg>
-              </button>
-            ` : ''}
-          </div>
-          <div class="cart-item__meta">
-            <span class="cart-item__sku">SKU: ${item.sku}</span>
-            ${!item.isAvailable ? `<span class="cart-item__unavailable">${item.notAvailableMessage || 'Not available'}</span>` : ''}
-          </div>
-          <div class="cart-item__price-mobile">
-            <span class="cart-item__price-label">Price:</span>
-            <span class="cart-item__price-value">${formatPrice(item.price)}</span>
-          </div>
-          <div class="cart-item__quantity-wrapper">
-            <label for="quantity-${item.uid}" class="cart-item__quantity-label">Quantity</label>
-            ${enableUpdateItemQuantity === 'true' ? `
-              <div class="cart-item__quantity-controls">
-                <button type="button" class="cart-item__quantity-btn cart-item__quantity-btn--decrease" data-item-uid="${item.uid}" aria-label="Decrease quantity">−</button>
-                <input 
-                  type="number" 
-                  id="quantity-${item.uid}" 
-                  min="1" 
-                  value="${item.quantity}" 
-                  data-item-uid="${item.uid}"
-                  class="cart-item__quantity-input"
-                  aria-label="Quantity"
-                />
-                <button type="button" class="cart-item__quantity-btn cart-item__quantity-btn--increase" data-item-uid="${item.uid}" aria-label="Increase quantity">+</button>
-              </div>
-            ` : `<span class="cart-item__quantity-display">${item.quantity}</span>`}
-          </div>
-        </div>
-        <div class="cart-item__pricing">
-          <div class="cart-item__price">
-            <span class="cart-item__price-label">Price</span>
-            <span class="cart-item__price-value">${formatPrice(item.price)}</span>
-          </div>
-          <div class="cart-item__total">
-            <span class="cart-item__total-label">Total</span>
-            <span class="cart-item__total-value">${formatPrice(item.rowTotal)}</span>
-          </div>
-        </div>
-      `;
+      let itemElement = lineElements.get(item.uid);
+      if (!itemElement) {
+        itemElement = createCartItemElement(item);
+        lineElements.set(item.uid, itemElement);
+      }
+      updateCartItemElement(itemElement, item);
 
-      $list.appendChild(itemElement);
+      // Only move lines that are out of place, moving a node drops its focus
+      const expected = previous ? previous.nextElementSibling : $list.firstElementChild;
+      if (expected !== itemElement) {
+        $list.insertBefore(itemElement, expected);
+      }
+      previous = itemElement;
     });
+  }
 
-    // Add event listeners for quantity updates
-    if (enableUpdateItemQuantity === 'true') {
-      const updateQuantity = async (itemUid, newQuantity) => {
-        const cartId = getCartId();
-        if (!cartId) {
-          showNotification('Cart not found', 'error');
-          return;
-        }
+  /**
+   * Renders the totals of the order summary
+   * @param {Object} cartData - Cart data
+   */
+  function renderOrderSummary(cartData) {
+    renderPriceSummary($totals, cartData.prices, {
+      placeholders,
+      displaySetting: taxDisplaySetting,
+    });
+  }
 
-        try {
-          const updatedCart = await updateCartItemQuantity(cartId, itemUid, newQuantity);
-          if (updatedCart) {
-            currentCartData = transformCartData(updatedCart);
-            renderCartItems(currentCartData?.items || []);
-            renderOrderSummary(currentCartData);
-            showNotification('Cart updated successfully', 'success');
-          }
-        } catch (error) {
-          showNotification(error.message || 'Failed to update cart', 'error');
-          await loadCart();
-        }
-      };
+  /**
+   * Runs a bulk fix of the unavailable lines. The cart is published as each line changes.
+   * @param {function(Object): Promise} operation - Fix, called with the App Builder cart
+   * @param {string} successMessage - Notification shown once the cart can be ordered
+   * @param {string} errorMessage - Notification shown when the fix fails without a message
+   */
+  async function fixUnavailableItems(operation, successMessage, errorMessage) {
+    if (fixingUnavailableItems) {
+      return;
+    }
+    fixingUnavailableItems = true;
+    try {
+      await operation(currentApiCart);
+      showNotification(successMessage, 'success');
+    } catch (error) {
+      showNotification(error.message || errorMessage, 'error');
+    } finally {
+      fixingUnavailableItems = false;
+    }
+  }
 
-      // Quantity input change
-      $list.querySelectorAll('.cart-item__quantity-input').forEach((input) => {
-        let debounceTimer;
-        input.addEventListener('change', async (e) => {
-          const itemUid = e.target.dataset.itemUid;
-          let newQuantity = parseInt(e.target.value, 10);
+  /**
+   * Lists the lines that can't be ordered above the totals and blocks checkout while there
+   * are any. Lines being changed or removed are left out until the server confirms them.
+   */
+  function renderValidation() {
+    const unavailableItems = getUnavailableItems(currentApiCart)
+      .filter(({ uid }) => !pendingRemovals.has(uid) && !pendingUpdates.has(uid));
+    const blocked = unavailableItems.length > 0;
 
-          if (newQuantity < 1) {
-            e.target.value = 1;
-            newQuantity = 1;
-          }
+    $checkoutButton.classList.toggle('cart-summary__checkout-btn--disabled', blocked);
+    if (blocked) {
+      $checkoutButton.setAttribute('aria-disabled', 'true');
+    } else {
+      $checkoutButton.removeAttribute('aria-disabled');
+    }
 
-          clearTimeout(debounceTimer);
-          debounceTimer = setTimeout(() => {
-            e.target.disabled = true;
-            updateQuantity(itemUid, newQuantity).finally(() => {
-              e.target.disabled = false;
-            });
-          }, 500);
-        });
-      });
+    // The alert is only rendered again when the unavailable lines change
+    const key = unavailableItems
+      .map(({ uid, quantity, availableQuantity }) => `${uid}:${quantity}:${availableQuantity}`)
+      .join('|');
+    if (key === validationKey) {
+      return;
+    }
+    validationKey = key;
+    validationAlert?.remove();
+    validationAlert = null;
+    if (!blocked) {
+      return;
+    }
 
-      // Decrease button
-      $list.querySelectorAll('.cart-item__quantity-btn--decrease').forEach((btn) => {
-        btn.addEventListener('click', async () => {
-          const itemUid = btn.dataset.itemUid;
-          const input = document.getElementById(`quantity-${itemUid}`);
-          if (input) {
-            let newQuantity = parseInt(input.value, 10) - 1;
-            if (newQuantity < 1) newQuantity = 1;
-            input.value = newQuantity;
-            input.disabled = true;
-            await updateQuantity(itemUid, newQuantity);
-            input.disabled = false;
-          }
-        });
+    const additionalActions = [{
+      label: placeholders?.Global?.CartRemoveUnavailableItems || 'Remove unavailable items',
+      onClick: () => fixUnavailableItems(
+        removeUnavailableItems,
+        placeholders?.Global?.CartUnavailableItemsRemoved || 'Unavailable items removed from cart',
+        placeholders?.Global?.CartRemoveItemError || 'Failed to remove item',
+      ),
+    }];
+    if (unavailableItems.some(({ availableQuantity }) => availableQuantity > 0)) {
+      additionalActions.push({
+        label: placeholders?.Global?.CartReduceToAvailableQuantity || 'Reduce to available quantity',
+        onClick: () => fixUnavailableItems(
+          reduceToAvailableQuantity,
+          placeholders?.Global?.CartQuantitiesReduced || 'Quantities reduced to what is available',
+          placeholders?.Global?.CartUpdateItemError || 'Failed to update quantity',
+        ),
       });
+    }
+
+    validationAlert = UI.render(InLineAlert, {
+      heading: placeholders?.Global?.CartUnavailableItemsHeading || 'Some items can\'t be ordered',
+      description: placeholders?.Global?.CartUnavailableItemsMessage || 'Remove them or lower their quantity to continue to checkout.',
+      itemList: h('ul', null, unavailableItems.map(({ uid, name, sku }) => h('li', { key: uid }, name || sku))),
+      type: 'warning',
+      variant: 'secondary',
+      icon: h(Icon, { source: 'Warning' }),
+      additionalActions,
+    })($validation);
+  }
+
+  /**
+   * Creates the form that applies and removes one kind of code. The form is built once, so
+   * a code being typed survives cart re-renders.
+   * @param {Object} options
+   * @param {string} options.name - Kind of code, used in class names and IDs
+   * @param {string} options.label - Input label
+   * @param {function(string): Promise} options.apply - Applies a code to the cart
+   * @param {function(string): Promise} options.remove - Removes a code from the cart
+   * @param {string} options.applyError - Fallback message when applying fails
+   * @param {string} options.removeError - Fallback message when removing fails
+   * @returns {{ element: HTMLElement, update: function(string[]): void }} Form element and
+   * a function rendering the applied codes
+   */
+  function createPromotionForm({
+    name, label, apply, remove, applyError, removeError,
+  }) {
+    const element = document.createElement('form');
+    element.className = `cart-summary__promotion cart-summary__promotion--${name}`;
+    element.noValidate = true;
+    element.innerHTML = `
+      <label for="cart-${name}-code" class="cart-summary__promotion-label">${label}</label>
+      <div class="cart-summary__promotion-controls">
+        <input type="text" id="cart-${name}-code" name="code" class="cart-summary__promotion-input" autocomplete="off" />
+        <button type="submit" class="button button--secondary cart-summary__promotion-apply">${placeholders?.Global?.Apply || 'Apply'}</button>
+      </div>
+      <p class="cart-summary__promotion-error" role="alert" hidden></p>
+      <ul class="cart-summary__promotion-codes"></ul>
+    `;
+
+    const $input = element.querySelector('.cart-summary__promotion-input');
+    const $apply = element.querySelector('.cart-summary__promotion-apply');
+    const $error = element.querySelector('.cart-summary__promotion-error');
+    const $codes = element.querySelector('.cart-summary__promotion-codes');
+
+    const setError = (message) => {
+      $error.textContent = message;
+      $error.hidden = !message;
+      $input.setAttribute('aria-invalid', message ? 'true' : 'false');
+    };
+
+    element.addEventListener('submit', async (event) => {
+      event.preventDefault();
+      const code = $input.value.trim();
+      if (!code) {
+        setError(placeholders?.Global?.CartPromotionCodeRequired || 'Enter a code.');
+        return;
+      }
+
+      setError('');
+      $apply.disabled = true;
+      try {
+        // Publishes the server cart, which re-renders the applied codes
+        await apply(code);
+        $input.value = '';
+      } catch (error) {
+        setError(error.message || applyError);
+      } finally {
+        $apply.disabled = false;
+      }
+    });
+
+    $input.addEventListener('input', () => setError(''));
+
+    /**
+     * Renders the applied codes
+     * @param {string[]} codes - Applied codes
+     */
+    const update = (codes) => {
+      $codes.replaceChildren(...codes.map((code) => {
+        const $code = document.createElement('li');
+        $code.className = 'cart-summary__promotion-code';
+        $code.innerHTML = `
+          <span class="cart-summary__promotion-code-value"></span>
+          <button type="button" class="cart-summary__promotion-remove">${placeholders?.Global?.Remove || 'Remove'}</button>
+        `;
+        $code.querySelector('.cart-summary__promotion-code-value').textContent = code;
 
-      // Increase button
-      $list.querySelectorAll('.cart-item__quantity-btn--increase').forEach((btn) => {
-        btn.addEventListener('click', async () => {
-          const itemUid = btn.dataset.itemUid;
-          const input = document.getElementById(`quantity-${itemUid}`);
-          if (input) {
-            const newQuantity = parseInt(input.value, 10) + 1;
-            input.value = newQuantity;
-            input.disabled = true;
-            await updateQuantity(itemUid, newQuantity);
-            input.disabled = false;
+        const $remove = $code.querySelector('.cart-summary__promotion-remove');
+        $remove.setAttribute('aria-label', `${placeholders?.Global?.Remove || 'Remove'} ${code}`);
+        $remove.addEventListener('click', async () => {
+          setError('');
+          $remove.disabled = true;
+          try {
+            await remove(code);
+          } catch (error) {
+            $remove.disabled = false;
+            setError(error.message || removeError);
           }
         });
-      });
+        return $code;
+      }));
+    };
+
+    return { element, update };
+  }
+
+  const couponForm = enableCoupons === 'true' && createPromotionForm({
+    name: 'coupon',
+    label: placeholders?.Global?.CartCouponLabel || 'Discount code',
+    apply: applyCoupon,
+    remove: removeCoupon,
+    applyError: placeholders?.Global?.CartCouponApplyError || 'The coupon code could not be applied.',
+    removeError: placeholders?.Global?.CartCouponRemoveError || 'The coupon code could not be removed.',
+  });
+
+  const giftCardForm = enableGiftCards === 'true' && createPromotionForm({
+    name: 'gift-card',
+    label: placeholders?.Global?.CartGiftCardLabel || 'Gift card',
+    apply: applyGiftCard,
+    remove: removeGiftCard,
+    applyError: placeholders?.Global?.CartGiftCardApplyError || 'The gift card could not be applied.',
+    removeError: placeholders?.Global?.CartGiftCardRemoveError || 'The gift card could not be removed.',
+  });
+
+  $promotions.append(...[couponForm, giftCardForm].filter(Boolean).map(({ element }) => element));
+
+  /**
+   * Renders the applied coupon codes and gift cards
+   * @param {Object} cartData - Cart data
+   */
+  function renderPromotions(cartData) {
+    if (couponForm) {
+      couponForm.update(cartData.appliedCoupons);
+    }
+    if (giftCardForm) {
+      giftCardForm.update(cartData.appliedGiftCards.map(({ code }) => code));
     }
+  }
 
-    // Add event listeners for remove buttons
-    if (enableRemoveItem === 'true') {
-      $list.querySelectorAll('.cart-item__remove').forEach((button) => {
-        button.addEventListener('click', async (e) => {
-          const itemUid = e.target.closest('.cart-item__remove').dataset.itemUid;
-          const cartId = getCartId();
+  /**
+   * Creates the shipping and tax estimator. It lists the shipping methods for a country,
+   * region and postcode, and choosing one adds shipping and tax to the cart totals. The
+   * countries are the store's, with a region dropdown for countries that define regions. The
+   * choice is remembered and pre-fills checkout.
+   * @returns {{
+   *   element: HTMLElement,
+   *   update: function(Object): void,
+   *   loadMethods: function(): Promise<void>
+   * }} Estimator element, a function marking the cart's shipping method as chosen and one
+   * fetching the rates of the entered address
+   */
+  function createShippingEstimator() {
+    const estimate = getShippingEstimate();
 
-          if (!cartId) {
-            showNotification('Cart not found', 'error');
-            return;
-          }
+    const element = document.createElement('details');
+    element.className = 'cart-estimate';
+    element.open = !!estimate;
+    element.innerHTML = `
+      <summary class="cart-estimate__title">${placeholders?.Global?.CartEstimateShipping || 'Estimate shipping and tax'}</summary>
+      <form class="cart-estimate__form" novalidate>
+        <div class="cart-estimate__field">
+          <label for="cart-estimate-country" class="cart-estimate__label">${placeholders?.Global?.Country || 'Country'}</label>
+          <select id="cart-estimate-country" name="country_code" class="cart-estimate__input" autocomplete="shipping country"></select>
+        </div>
+        <div class="cart-estimate__field">
+          <label for="cart-estimate-region" class="cart-estimate__label">${placeholders?.Global?.StateRegion || 'State/Region'}</label>
+          <input type="text" id="cart-estimate-region" name="region" class="cart-estimate__input" autocomplete="shipping address-level1" />
+          <select id="cart-estimate-region-id" name="region_id" class="cart-estimate__input" autocomplete="shipping address-level1" hidden disabled></select>
+        </div>
+        <div class="cart-estimate__field">
+          <label for="cart-estimate-postcode" class="cart-estimate__label">${placeholders?.Global?.PostalCode || 'Postal Code'}</label>
+          <input type="text" id="cart-estimate-postcode" name="postcode" class="cart-estimate__input" autocomplete="shipping postal-code" />
+        </div>
+        <button type="submit" class="button button--secondary cart-estimate__submit">${placeholders?.Global?.CartEstimateGetRates || 'Get rates'}</button>
+        <p class="cart-estimate__error" role="alert" hidden></p>
+        <fieldset class="cart-estimate__methods" hidden>
+          <legend class="cart-estimate__label">${placeholders?.Global?.ShippingMethod || 'Shipping method'}</legend>
+          <div class="cart-estimate__options"></div>
+        </fieldset>
+      </form>
+    `;
 
-          if (!confirm(placeholders?.Global?.CartRemoveConfirm || 'Are you sure you want to remove this item?')) {
-            return;
-          }
+    const $form = element.querySelector('.cart-estimate__form');
+    const $submit = element.querySelector('.cart-estimate__submit');
+    const $error = element.querySelector('.cart-estimate__error');
+    const $methods = element.querySelector('.cart-estimate__methods');
+    const $options = element.querySelector('.cart-estimate__options');
+    const {
+      country_code: $country,
+      region: $region,
+      region_id: $regionId,
+    } = $form.elements;
+
+    /**
+     * Lists the regions of a country
+     * @param {string} countryCode - Two-letter country code
+     * @returns {Array<{ id: number, code: string, name: string }>} Regions, none if the country
+     * takes a free text region
+     */
+    const getRegions = (countryCode) => countries
+      .find(({ code }) => code === countryCode)?.regions ?? [];
 
+    /**
+     * Shows a region dropdown for countries with regions, and a free text field for the others
+     */
+    const renderRegions = () => {
+      const regions = getRegions($country.value);
+      const hasRegions = regions.length > 0;
+
+      // Keep the chosen region, or match the region code of a restored estimate
+      const selected = findRegion(regions, $regionId.value || $region.value);
+      $regionId.replaceChildren(
+        new Option(placeholders?.Global?.SelectRegion || 'Select State/Region', ''),
+        ...regions.map(({ id, name }) => new Option(name, id)),
+      );
+      $regionId.value = selected ? String(selected.id) : '';
+
+      $regionId.hidden = !hasRegions;
+      $regionId.disabled = !hasRegions;
+      $region.hidden = hasRegions;
+      $region.disabled = hasRegions;
+      element.querySelector('label[for^="cart-estimate-region"]').htmlFor = hasRegions
+        ? $regionId.id
+        : $region.id;
+    };
+
+    $country.replaceChildren(
+      new Option(placeholders?.Global?.SelectCountry || 'Select Country', ''),
+      ...countries.map(({ code, name }) => new Option(name, code)),
+    );
+    // A store selling to a single country has nothing to choose
+    $country.value = countries.length === 1 ? countries[0].code : '';
+    if (estimate) {
+      $country.value = estimate.address.country_code;
+      $region.value = estimate.address.region;
+      $form.elements.postcode.value = estimate.address.postcode;
+    }
+    renderRegions();
+    // The region code of the estimate may have been renamed since, its ID hasn't
+    if (estimate?.address.region_id && !$regionId.value) {
+      $regionId.value = String(estimate.address.region_id);
+    }
+    $country.addEventListener('change', renderRegions);
+
+    let selected = estimate?.shippingMethod ?? null;
+
+    const setError = (message) => {
+      $error.textContent = message;
+      $error.hidden = !message;
+    };
+
+    /**
+     * Reads the entered address. Countries with regions send the chosen region's code and ID,
+     * like checkout does.
+     * @returns {{ country_code: string, region: string, region_id: number|null,
+     * postcode: string }} Estimate address
+     */
+    const getAddress = () => {
+      const region = findRegion(getRegions($country.value), $regionId.value);
+      return {
+        country_code: $country.value,
+        region: $regionId.disabled ? $region.value.trim() : region?.code ?? '',
+        region_id: region?.id ?? null,
+        postcode: formatPostcode($form.elements.postcode.value, $country.value),
+      };
+    };
+
+    const isSelected = (method) => selected?.carrier_code === method.carrier_code
+      && selected?.method_code === method.method_code;
+
+    /**
+     * Renders the shipping methods as radio options
+     * @param {Array<Object>} methods - Shipping methods of the App Builder action
+     */
+    const renderMethods = (methods) => {
+      $methods.hidden = false;
+      if (methods.length === 0) {
+        $options.innerHTML = `<p class="cart-estimate__empty">${placeholders?.Global?.CartEstimateNoMethods || 'No shipping methods are available for this address.'}</p>`;
+        return;
+      }
+
+      $options.replaceChildren(...methods.map((method) => {
+        const id = `cart-estimate-${method.carrier_code}-${method.method_code}`;
+        const $option = document.createElement('div');
+        $option.className = 'cart-estimate__option';
+        $option.innerHTML = `
+          <input type="radio" id="${id}" name="shippingMethod" class="cart-estimate__radio" />
+          <label for="${id}" class="cart-estimate__option-label">
+            <span class="cart-estimate__option-name"></span>
+            <span class="cart-estimate__option-price">${formatPrice(method.amount)}</span>
+          </label>
+          ${method.available ? '' : '<span class="cart-estimate__option-message"></span>'}
+        `;
+        $option.querySelector('.cart-estimate__option-name').textContent = [method.carrier_title, method.method_title]
+          .filter(Boolean).join(' - ');
+        $option.querySelector('.cart-estimate__option-message')?.append(method.error_message || '');
+
+        const $radio = $option.querySelector('.cart-estimate__radio');
+        $radio.disabled = !method.available;
+        $radio.checked = method.available && isSelected(method);
+        $radio.addEventListener('change', async () => {
+          setError('');
+          $methods.disabled = true;
           try {
-            e.target.closest('.cart-item__remove').disabled = true;
-            const updatedCart = await removeCartItem(cartId, itemUid);
-            if (updatedCart) {
-              currentCartData = transformCartData(updatedCart);
-              renderCartItems(currentCartData?.items || []);
-              renderOrderSummary(currentCartData);
-              showNotification('Item removed from cart', 'success');
-            }
+            // Publishes the estimated cart, which re-renders the totals
+            await selectShippingEstimate(getAddress(), method);
+            selected = method;
           } catch (error) {
-            showNotification(error.message || 'Failed to remove item', 'error');
-            await loadCart();
+            $radio.checked = false;
+            setError(error.message || placeholders?.Global?.CartEstimateError || 'Shipping could not be estimated.');
+          } finally {
+            $methods.disabled = false;
           }
         });
+        return $option;
+      }));
+    };
+
+    /**
+     * Fetches and renders the shipping methods of the entered address
+     */
+    const loadMethods = async () => {
+      const address = getAddress();
+      if (!address.country_code) {
+        setError(placeholders?.Global?.CartEstimateCountryRequired || 'Select a country.');
+        return;
+      }
+      // The postcode is optional, but one that can't exist finds no rates
+      const postcodeError = validatePostcode(address.postcode, address.country_code);
+      if (postcodeError) {
+        setError(postcodeError);
+        return;
+      }
+      $form.elements.postcode.value = address.postcode;
+
+      setError('');
+      $submit.disabled = true;
+      try {
+        renderMethods(await estimateShipping(address));
+      } catch (error) {
+        $methods.hidden = true;
+        setError(error.message || placeholders?.Global?.CartEstimateError || 'Shipping could not be estimated.');
+      } finally {
+        $submit.disabled = false;
+      }
+    };
+
+    $form.addEventListener('submit', (event) => {
+      event.preventDefault();
+      loadMethods();
+    });
+
+    /**
+     * Follows the shipping method of the cart, e.g. after checkout changed it in another tab
+     * @param {Object} cartData - Cart data
+     */
+    const update = (cartData) => {
+      if (!cartData.shippingMethod) {
+        return;
+      }
+      selected = {
+        carrier_code: cartData.shippingMethod.carrierCode,
+        method_code: cartData.shippingMethod.methodCode,
+      };
+      $options.querySelectorAll('.cart-estimate__radio').forEach(($radio) => {
+        $radio.checked = $radio.id === `cart-estimate-${selected.carrier_code}-${selected.method_code}`;
       });
-    }
+    };
+
+    return { element, update, loadMethods };
+  }
+
+  const shippingEstimator = enableEstimateShipping === 'true' && countries.length > 0
+    && createShippingEstimator();
+  if (shippingEstimator) {
+    $estimate.append(shippingEstimator.element);
   }
 
   /**
-   * Renders order summary
-   * @param {Object} cartData - Cart data
+   * Renders the cart UI from App Builder cart data
+   * @param {Object|null} apiCart - Cart data from API
    */
-  function renderOrderSummary(cartData) {
-    if (!cartData) {
-      $summary.innerHTML = '';
-      return;
+  function renderCart(apiCart) {
+    currentApiCart = apiCart;
+    currentCartData = transformCartData(apiCart);
+    renderView();
+  }
+
+  /**
+   * Renders the optimistic view of the cart
+   */
+  function renderView() {
+    const viewCartData = getViewCartData();
+
+    if (viewCartData && viewCartData.items.length > 0) {
+      renderCartItems(viewCartData.items);
+      renderOrderSummary(viewCartData);
+      renderValidation();
+      renderPromotions(viewCartData);
+      if (shippingEstimator) {
+        shippingEstimator.update(viewCartData);
+      }
+    } else {
+      renderCartItems([]);
+      $wrapper.style.display = 'none';
+      $emptyCart.style.display = 'block';
     }
+  }
 
-    $summary.innerHTML = `
-      <div class="cart-summary">
-        <h2 class="cart-summary__title">${placeholders?.Global?.OrderSummary || 'Order Summary'}</h2>
-        <div class="cart-summary__content">
-          <div class="cart-summary__row">
-            <span class="cart-summary__label">${placeholders?.Global?.Subtotal || 'Subtotal'}</span>
-            <span class="cart-summary__value">${formatPrice(cartData.prices.subtotalExcludingTax)}</span>
-          </div>
-          <div class="cart-summary__divider"></div>
-          <div class="cart-summary__row cart-summary__row--total">
-            <span class="cart-summary__label">${placeholders?.Global?.Total || 'Total'}</span>
-            <span class="cart-summary__value cart-summary__value--total">${formatPrice(cartData.prices.grandTotal)}</span>
-          </div>
-          <div class="cart-summary__actions">
-            <a href="${rootLink(checkoutURL)}" class="button button--primary cart-summary__checkout-btn">
-              ${placeholders?.Global?.ProceedToCheckout || 'Proceed to Checkout'}
-            </a>
+  /**
+   * Shows or clears the error of the "Save for later" list
+   * @param {string} message - Error message, empty to clear it
+   */
+  function setSavedError(message) {
+    $savedError.textContent = message;
+    $savedError.hidden = !message;
+  }
+
+  /**
+   * Renders the "Save for later" list
+   * @param {Array<Object>} savedItems - Saved items
+   */
+  function renderSavedItems(savedItems) {
+    $savedForLater.hidden = savedItems.length === 0;
+
+    $savedItems.replaceChildren(...savedItems.map((savedItem) => {
+      const $item = document.createElement('li');
+      $item.className = 'cart-saved-item';
+      $item.innerHTML = `
+        <a href="${getProductLink(savedItem.urlKey, savedItem.sku)}" class="cart-saved-item__image-link">
+          ${savedItem.image ? `<img src="${savedItem.image}" alt="" class="cart-saved-item__image" />` : '<div class="cart-item__image-placeholder"></div>'}
+        </a>
+        <div class="cart-saved-item__content">
+          <a href="${getProductLink(savedItem.urlKey, savedItem.sku)}" class="cart-saved-item__name"></a>
+          <span class="cart-saved-item__meta">${formatPrice(savedItem.price)} × ${savedItem.quantity}</span>
+          <div class="cart-saved-item__actions">
+            <button type="button" class="button button--secondary cart-saved-item__move-to-cart">${placeholders?.Global?.CartMoveToCart || 'Move to cart'}</button>
+            <button type="button" class="cart-item__action cart-saved-item__remove">${placeholders?.Global?.Remove || 'Remove'}</button>
           </div>
         </div>
-      </div>
-    `;
+      `;
+      $item.querySelector('.cart-saved-item__name').textContent = savedItem.name;
+
+      const $buttons = $item.querySelectorAll('button');
+      const run = async (operation, errorMessage) => {
+        setSavedError('');
+        $buttons.forEach(($button) => { $button.disabled = true; });
+        try {
+          await operation(savedItem);
+        } catch (error) {
+          $buttons.forEach(($button) => { $button.disabled = false; });
+          setSavedError(error.message || errorMessage);
+        }
+      };
+
+      $item.querySelector('.cart-saved-item__move-to-cart').addEventListener('click', () => {
+        run(moveToCart, placeholders?.Global?.CartMoveToCartError || 'Failed to move item to cart');
+      });
+      $item.querySelector('.cart-saved-item__remove').addEventListener('click', () => {
+        run(removeSavedItem, placeholders?.Global?.CartRemoveSavedItemError || 'Failed to remove saved item');
+      });
+      return $item;
+    }));
   }
 
   /**
-   * Loads cart data and renders UI
+   * Shares a link to the cart as shown, or copies it where the device can't share
    */
-  async function loadCart() {
-    const cartId = getCartId();
-    if (!cartId) {
-      $wrapper.style.display = 'none';
-      $emptyCart.style.display = 'block';
-      $summary.innerHTML = '';
+  async function shareCart() {
+    const items = getViewCartData()?.items ?? [];
+    if (items.length === 0) {
       return;
     }
+    try {
+      const result = await shareLink(
+        getSharedCartLink(items),
+        placeholders?.Global?.CartShareTitle || 'Shopping cart',
+      );
+      if (result === 'copied') {
+        showNotification(placeholders?.Global?.CartShareCopied || 'Cart link copied to the clipboard', 'success');
+      }
+    } catch (error) {
+      console.error('Error sharing cart:', error);
+      showNotification(placeholders?.Global?.CartShareError || 'Failed to share cart', 'error');
+    }
+  }
+
+  /**
+   * Shows the prompt or result of a shared cart import, replacing the previous one
+   * @param {Object} props - InLineAlert props
+   */
+  function renderSharedCartAlert(props) {
+    sharedCartAlert?.remove();
+    sharedCartAlert = UI.render(InLineAlert, {
+      variant: 'secondary',
+      icon: h(Icon, { source: 'Cart' }),
+      'aria-live': 'polite',
+      role: 'status',
+      onDismiss: () => {
+        sharedCartAlert?.remove();
+        sharedCartAlert = null;
+      },
+      ...props,
+    })($sharedCart);
+  }
 
+  /**
+   * Adds the lines of a shared cart and reports those that can no longer be bought
+   * @param {Array<Object>} items - Shared cart lines
+   * @param {boolean} replace - Start a new cart instead of adding to the current one
+   */
+  async function importSharedCart(items, replace) {
+    sharedCartAlert?.remove();
+    sharedCartAlert = null;
     try {
-      const apiCart = await getCart(cartId);
-      currentCartData = transformCartData(apiCart);
-
-      if (currentCartData && currentCartData.items.length > 0) {
-        renderCartItems(currentCartData.items);
-        renderOrderSummary(currentCartData);
-      } else {
-        $wrapper.style.display = 'none';
-        $emptyCart.style.display = 'block';
-        $summary.innerHTML = '';
+      const { addedItems, droppedItems } = await importCartItems(items, { replace });
+      const messages = [];
+      if (addedItems.length > 0) {
+        messages.push((placeholders?.Global?.CartSharedAdded || '{count} product(s) from the shared cart were added to your cart.')
+          .replace('{count}', addedItems.length));
       }
+      if (droppedItems.length > 0) {
+        messages.push((placeholders?.Global?.CartSharedDropped || 'These products can no longer be bought: {products}.')
+          .replace('{products}', droppedItems.map(({ sku }) => sku).join(', ')));
+      }
+      renderSharedCartAlert({
+        heading: placeholders?.Global?.CartSharedHeading || 'Shared cart',
+        description: messages.join(' '),
+        type: droppedItems.length > 0 ? 'warning' : 'success',
+      });
+    } catch (error) {
+      console.error('Error importing shared cart:', error);
+      showNotification(error.message || placeholders?.Global?.CartSharedError || 'Failed to add the shared cart', 'error');
+    }
+  }
+
+  /**
+   * Imports the shared cart of the page URL, if any. A guest with a cart of their own is
+   * asked whether to replace it or add to it; other visitors get the lines added right away.
+   */
+  function handleSharedCartLink() {
+    const param = getSharedCartParam();
+    if (!param) {
+      return;
+    }
+    clearSharedCartParam();
+
+    let items;
+    try {
+      items = decodeSharedCart(param);
+    } catch {
+      renderSharedCartAlert({
+        heading: placeholders?.Global?.CartSharedInvalid || 'This shared cart link is not valid',
+        type: 'error',
+        icon: h(Icon, { source: 'AlertWithCircle' }),
+      });
+      return;
+    }
+
+    if (checkIsAuthenticated() || !currentCartData?.items.length) {
+      importSharedCart(items, false);
+      return;
+    }
+
+    renderSharedCartAlert({
+      heading: placeholders?.Global?.CartSharedHeading || 'Shared cart',
+      description: (placeholders?.Global?.CartSharedPrompt || '{count} product(s) were shared with you. Replace your cart with them, or add them to your cart.')
+        .replace('{count}', items.length),
+      type: 'warning',
+      additionalActions: [
+        {
+          label: placeholders?.Global?.CartSharedReplace || 'Replace my cart',
+          onClick: () => importSharedCart(items, true),
+        },
+        {
+          label: placeholders?.Global?.CartSharedMerge || 'Add to my cart',
+          onClick: () => importSharedCart(items, false),
+        },
+      ],
+    });
+  }
+
+  /**
+   * Loads cart data and renders UI
+   */
+  async function loadCart() {
+    try {
+      await loadAppBuilderCart();
     } catch (error) {
       console.error('Error loading cart:', error);
       showNotification('Failed to load cart', 'error');
@@ -563,20 +1399,46 @@ export default async function decorate(block) {
     }
   }
 
+  // Checkout stays closed while the cart has lines that can't be ordered
+  $checkoutButton.addEventListener('click', (event) => {
+    if ($checkoutButton.getAttribute('aria-disabled') === 'true') {
+      event.preventDefault();
+      $validation.scrollIntoView({ behavior: 'smooth', block: 'center' });
+      return;
+    }
+    publishInitiateCheckout(transformCart(currentApiCart));
+  });
+
+  $shareButton?.addEventListener('click', shareCart);
+
+  // Tell the shopper when their guest cart was merged on sign-in
+  renderMergedCartBanner($mergedCartBanner, placeholders);
+
+  // Explain why the cart was replaced when the stored one could no longer be used
+  events.on(CART_RECOVERED_EVENT, (recovery) => {
+    showNotification(getCartRecoveryMessage(recovery, placeholders), 'info');
+  }, { eager: true });
+
+  // Render every cart change, whichever block or tab made it
+  events.on(APPBUILDER_CART_EVENT, renderCart);
+
+  if (enableSaveForLater === 'true') {
+    renderSavedItems(getSavedItems());
+    events.on(SAVED_FOR_LATER_EVENT, renderSavedItems);
+  }
+
   // Initial load
   await loadCart();
+  publishShoppingCartView(transformCart(currentApiCart));
 
-  // Listen for cart updates from other pages
-  window.addEventListener('storage', (e) => {
-    if (e.key === CART_ID_STORAGE_KEY) {
-      loadCart();
-    }
-  });
+  if (enableShareCart === 'true') {
+    handleSharedCartLink();
+  }
 
-  // Custom event listener for cart updates
-  window.addEventListener('cart-updated', () => {
-    loadCart();
-  });
+  // Show the rates of the remembered estimate again
+  if (shippingEstimator && getShippingEstimate() && currentCartData?.items.length) {
+    shippingEstimator.loadMethods();
+  }
 
   return Promise.resolve();
 }
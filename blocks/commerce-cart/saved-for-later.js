@@ -0,0 +1,270 @@
+import { events } from '@dropins/tools/event-bus.js';
+import {
+  addProductsToWishlist,
+  getDefaultWishlist,
+  removeProductsFromWishlist,
+  updateProductsInWishlist,
+} from '@dropins/storefront-wishlist/api.js';
+import { checkIsAuthenticated } from '../../scripts/commerce.js';
+import { addItem, removeItem } from '../../scripts/appbuilder-cart.js';
+import { getStoreCurrency } from '../../scripts/commerce-locale.js';
+
+/**
+ * "Save for later" list of the cart page. Guests keep it in localStorage. Signed-in customers
+ * keep it in their wishlist, through the wishlist drop-in, so it follows them to other
+ * devices: their saved items are the wishlist items described as saved for later, apart from
+ * what they added to the wishlist itself. A guest's list is added to the wishlist on sign-in.
+ */
+
+/**
+ * LocalStorage key for the items a guest saved for later
+ */
+export const SAVED_FOR_LATER_STORAGE_KEY = 'savedForLater';
+
+/**
+ * Description of the wishlist items a customer saved for later
+ */
+export const SAVED_FOR_LATER_DESCRIPTION = 'saved-for-later';
+
+/**
+ * Event emitted with the saved items whenever the list changes
+ */
+export const SAVED_FOR_LATER_EVENT = 'saved-for-later/data';
+
+/**
+ * Last wishlist published by the wishlist drop-in
+ */
+let wishlist = null;
+
+/**
+ * Reads the items a guest saved for later
+ * @returns {Array<Object>} Saved items
+ */
+function readGuestItems() {
+  try {
+    return JSON.parse(localStorage.getItem(SAVED_FOR_LATER_STORAGE_KEY)) || [];
+  } catch (error) {
+    console.error('Error reading saved items from localStorage:', error);
+    return [];
+  }
+}
+
+/**
+ * Maps a wishlist drop-in item to a saved item
+ * @param {Object} item - Wishlist item
+ * @returns {Object} Saved item
+ */
+function fromWishlistItem(item) {
+  const { product = {} } = item;
+  return {
+    id: item.id,
+    sku: product.sku,
+    name: product.name || product.sku,
+    quantity: item.quantity || 1,
+    price: {
+      currency: product.prices?.final?.currency || getStoreCurrency(),
+      value: product.prices?.final?.amount || 0,
+    },
+    image: product.images?.[0]?.url || '',
+    urlKey: product.urlKey || '',
+    optionsUIDs: (item.selectedOptions || []).map(({ uid }) => uid),
+    enteredOptions: item.enteredOptions || [],
+    wishlistItem: item,
+  };
+}
+
+/**
+ * Returns the saved items of the current shopper
+ * @returns {Array<Object>} Saved items: `{ id, sku, name, quantity, price, image, urlKey,
+ * optionsUIDs, enteredOptions }`
+ */
+export function getSavedItems() {
+  if (checkIsAuthenticated()) {
+    return (wishlist?.items || [])
+      .filter(({ description }) => description === SAVED_FOR_LATER_DESCRIPTION)
+      .map(fromWishlistItem);
+  }
+  return readGuestItems();
+}
+
+/**
+ * Emits the saved items
+ */
+function publish() {
+  events.emit(SAVED_FOR_LATER_EVENT, getSavedItems());
+}
+
+/**
+ * Stores the items a guest saved for later and publishes them
+ * @param {Array<Object>} items - Saved items
+ */
+function writeGuestItems(items) {
+  if (items.length > 0) {
+    localStorage.setItem(SAVED_FOR_LATER_STORAGE_KEY, JSON.stringify(items));
+  } else {
+    localStorage.removeItem(SAVED_FOR_LATER_STORAGE_KEY);
+  }
+  publish();
+}
+
+/**
+ * Adds cart lines or saved items to the wishlist
+ * @param {Array<Object>} items - Items with `sku`, `quantity`, `optionsUIDs` and
+ * `enteredOptions`
+ * @returns {Promise<Array<Object>>} Wishlist items the products were added as. Products
+ * already in the wishlist only have their quantity raised and aren't listed.
+ */
+async function addToWishlist(items) {
+  const currentWishlist = wishlist
+    ?? (checkIsAuthenticated() ? await getDefaultWishlist() : null);
+  const previousItemIds = new Set((currentWishlist?.items ?? []).map(({ id }) => id));
+  const skus = new Set(items.map(({ sku }) => sku));
+  const updatedWishlist = await addProductsToWishlist(items.map(({
+    sku, quantity, optionsUIDs, enteredOptions,
+  }) => ({
+    sku, quantity, optionsUIDs, enteredOptions,
+  })));
+  return (updatedWishlist?.items ?? [])
+    .filter(({ id, product }) => !previousItemIds.has(id) && skus.has(product?.sku));
+}
+
+/**
+ * Adds items to the customer's wishlist as saved for later. If they can't be described as
+ * saved, they are taken off the wishlist again.
+ * @param {Array<Object>} items - Items with `sku`, `quantity`, `optionsUIDs` and
+ * `enteredOptions`
+ * @returns {Promise<Array<Object>>} Wishlist items added
+ */
+async function addToSavedWishlistItems(items) {
+  const addedItems = await addToWishlist(items);
+  if (addedItems.length === 0) {
+    return addedItems;
+  }
+  try {
+    const updatedWishlist = await updateProductsInWishlist(addedItems.map((item) => ({
+      wishlistItemId: item.id,
+      quantity: item.quantity,
+      description: SAVED_FOR_LATER_DESCRIPTION,
+    })));
+    events.emit('wishlist/data', updatedWishlist);
+  } catch (error) {
+    await removeProductsFromWishlist(addedItems);
+    throw error;
+  }
+  return addedItems;
+}
+
+/**
+ * Moves a cart line to the "Save for later" list. If the line can't be removed from the
+ * cart, it is taken off the list again.
+ * @param {Object} cartItem - Cart item: `{ uid, sku, name, quantity, price, image, urlKey,
+ * optionsUIDs, enteredOptions }`
+ * @returns {Promise<void>}
+ */
+export async function saveForLater(cartItem) {
+  if (checkIsAuthenticated()) {
+    const addedItems = await addToSavedWishlistItems([cartItem]);
+    try {
+      await removeItem(cartItem.uid);
+    } catch (error) {
+      if (addedItems.length > 0) {
+        await removeProductsFromWishlist(addedItems);
+      }
+      throw error;
+    }
+    return;
+  }
+
+  const id = [cartItem.sku, ...cartItem.optionsUIDs].join('|');
+  const items = readGuestItems().filter((item) => item.id !== id);
+  writeGuestItems([{
+    id,
+    sku: cartItem.sku,
+    name: cartItem.name,
+    quantity: cartItem.quantity,
+    price: cartItem.price,
+    image: cartItem.image,
+    urlKey: cartItem.urlKey,
+    optionsUIDs: cartItem.optionsUIDs,
+    enteredOptions: cartItem.enteredOptions,
+  }, ...items]);
+  try {
+    await removeItem(cartItem.uid);
+  } catch (error) {
+    writeGuestItems(items);
+    throw error;
+  }
+}
+
+/**
+ * Removes an item from the "Save for later" list
+ * @param {Object} savedItem - Saved item
+ * @returns {Promise<void>}
+ */
+export async function removeSavedItem(savedItem) {
+  if (checkIsAuthenticated()) {
+    await removeProductsFromWishlist([savedItem.wishlistItem]);
+    return;
+  }
+  writeGuestItems(readGuestItems().filter(({ id }) => id !== savedItem.id));
+}
+
+/**
+ * Adds a saved item back to the cart and takes it off the list
+ * @param {Object} savedItem - Saved item
+ * @returns {Promise<void>}
+ */
+export async function moveToCart(savedItem) {
+  await addItem({
+    sku: savedItem.sku,
+    quantity: savedItem.quantity,
+    optionsUIDs: savedItem.optionsUIDs,
+    enteredOptions: savedItem.enteredOptions,
+  });
+  await removeSavedItem(savedItem);
+}
+
+/**
+ * Adds a cart line to the wishlist, then removes it from the cart. If the line can't be
+ * removed, the wishlist item it added is taken off the wishlist again.
+ * @param {Object} cartItem - Cart item
+ * @returns {Promise<void>}
+ */
+export async function moveToWishlist(cartItem) {
+  const addedItems = await addToWishlist([cartItem]);
+  try {
+    await removeItem(cartItem.uid);
+  } catch (error) {
+    if (addedItems.length > 0) {
+      await removeProductsFromWishlist(addedItems);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Adds what a guest saved to the wishlist as saved for later once they sign in, so it stays
+ * available, and shows the guest list again on sign-out
+ * @param {boolean} authenticated - Whether the shopper is signed in
+ */
+async function adoptGuestItems(authenticated) {
+  const items = readGuestItems();
+  if (!authenticated || items.length === 0) {
+    publish();
+    return;
+  }
+  try {
+    await addToSavedWishlistItems(items);
+    localStorage.removeItem(SAVED_FOR_LATER_STORAGE_KEY);
+  } catch (error) {
+    console.error('Error moving saved items to the wishlist:', error);
+  }
+  publish();
+}
+
+events.on('wishlist/data', (data) => {
+  wishlist = data;
+  publish();
+}, { eager: true });
+
+events.on('authenticated', adoptGuestItems, { eager: true });
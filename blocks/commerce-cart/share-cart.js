@@ -0,0 +1,162 @@
+/**
+ * Shareable cart links. The lines of a cart (SKU, quantity and selected option UIDs) are
+ * packed into a compact URL parameter of the cart page, which adds them to the visitor's
+ * cart when opened.
+ *
+ * Entered options are left out: they are what the shopper typed, e.g. a gift card's recipient
+ * name, email and message, or a personalization text, and a link is easily passed on. Lines
+ * that need them can't be added from a link and are reported as skipped.
+ *
+ * Links aren't signed: the storefront has no secret to sign them with, and every line goes
+ * through `cart-add-item` again on import, so a tampered link can't add anything a shopper
+ * couldn't add from the product page.
+ */
+
+/**
+ * URL parameter holding a shared cart
+ */
+export const SHARED_CART_PARAM = 'sharedCart';
+
+/**
+ * Format version of the shared cart parameter
+ */
+const SHARED_CART_VERSION = 1;
+
+/**
+ * Maximum number of lines read from a shared cart link
+ */
+const MAX_SHARED_ITEMS = 100;
+
+/**
+ * Encodes text as URL-safe base64 without padding
+ * @param {string} text - Text to encode
+ * @returns {string} Encoded text
+ */
+function toBase64Url(text) {
+  const bytes = new TextEncoder().encode(text);
+  const binary = Array.from(bytes, (byte) => String.fromCharCode(byte)).join('');
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decodes URL-safe base64, with or without padding
+ * @param {string} value - Encoded text
+ * @returns {string} Decoded text
+ */
+function fromBase64Url(value) {
+  const binary = atob(value.replace(/-/g, '+').replace(/_/g, '/'));
+  return new TextDecoder().decode(Uint8Array.from(binary, (char) => char.charCodeAt(0)));
+}
+
+/**
+ * Packs cart lines into a shared cart parameter value. Each line is stored as
+ * `[sku, quantity, optionsUIDs]`, without the options when there are none. Entered options
+ * are never packed.
+ * @param {Array<{
+ *   sku: string,
+ *   quantity: number,
+ *   optionsUIDs?: string[]
+ * }>} items - Cart lines, with the SKU of the product added from the product page
+ * @returns {string} Parameter value
+ */
+export function encodeSharedCart(items) {
+  const lines = items.map(({ sku, quantity, optionsUIDs = [] }) => (
+    optionsUIDs.length > 0 ? [sku, quantity, optionsUIDs] : [sku, quantity]
+  ));
+  return toBase64Url(JSON.stringify([SHARED_CART_VERSION, lines]));
+}
+
+/**
+ * Reads the cart lines of a shared cart parameter value. Entered options are still read from
+ * links made before they were left out.
+ * @param {string} value - Parameter value
+ * @returns {Array<{
+ *   sku: string,
+ *   quantity: number,
+ *   optionsUIDs: string[],
+ *   enteredOptions: Array<{ uid: string, value: string }>
+ * }>} Cart lines
+ * @throws {Error} If the value isn't a shared cart
+ */
+export function decodeSharedCart(value) {
+  let version;
+  let lines;
+  try {
+    [version, lines] = JSON.parse(fromBase64Url(value));
+  } catch {
+    throw new Error('Invalid shared cart link');
+  }
+
+  const isString = (entry) => typeof entry === 'string' && entry.length > 0;
+  const valid = version === SHARED_CART_VERSION
+    && Array.isArray(lines)
+    && lines.length > 0
+    && lines.length <= MAX_SHARED_ITEMS
+    && lines.every(([sku, quantity, optionsUIDs = [], enteredOptions = []]) => isString(sku)
+      && Number.isInteger(quantity) && quantity > 0
+      && Array.isArray(optionsUIDs) && optionsUIDs.every(isString)
+      && Array.isArray(enteredOptions)
+      && enteredOptions.every((option) => Array.isArray(option)
+        && isString(option[0]) && typeof option[1] === 'string'));
+  if (!valid) {
+    throw new Error('Invalid shared cart link');
+  }
+
+  return lines.map(([sku, quantity, optionsUIDs = [], enteredOptions = []]) => ({
+    sku,
+    quantity,
+    optionsUIDs,
+    enteredOptions: enteredOptions.map(([uid, optionValue]) => ({ uid, value: optionValue })),
+  }));
+}
+
+/**
+ * Builds the link to the cart page that imports cart lines
+ * @param {Array<Object>} items - Cart lines, see `encodeSharedCart`
+ * @returns {string} Absolute link
+ */
+export function getSharedCartLink(items) {
+  const url = new URL(window.location.pathname, window.location.origin);
+  url.searchParams.set(SHARED_CART_PARAM, encodeSharedCart(items));
+  return url.toString();
+}
+
+/**
+ * Opens the share sheet of the device with a link, or copies the link where there is none
+ * @param {string} link - Link to share
+ * @param {string} title - Title of the shared link
+ * @returns {Promise<'shared'|'copied'|'cancelled'>} What happened to the link
+ */
+export async function shareLink(link, title) {
+  if (navigator.share) {
+    try {
+      await navigator.share({ title, url: link });
+      return 'shared';
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        return 'cancelled';
+      }
+      // Not allowed here, e.g. in an iframe, fall back to the clipboard
+    }
+  }
+  await navigator.clipboard.writeText(link);
+  return 'copied';
+}
+
+/**
+ * Reads the shared cart parameter of the current page
+ * @returns {string|null} Parameter value, null if there is none
+ */
+export function getSharedCartParam() {
+  return new URLSearchParams(window.location.search).get(SHARED_CART_PARAM);
+}
+
+/**
+ * Removes the shared cart parameter from the address bar, so a reload doesn't import the
+ * lines again
+ */
+export function clearSharedCartParam() {
+  const url = new URL(window.location.href);
+  url.searchParams.delete(SHARED_CART_PARAM);
+  window.history.replaceState(window.history.state, '', url.toString());
+}
@@ -0,0 +1,94 @@
+/**
+ * Progress of an order being paid, kept in localStorage so it survives the redirect to a
+ * payment provider, a reload or a closed tab. Each step is recorded once it is done, and the
+ * capture and the order placement also before they are sent, so a half-finished checkout
+ * resumes where it stopped and no step runs twice.
+ */
+
+/**
+ * LocalStorage key of the checkout state
+ */
+const CHECKOUT_STATE_STORAGE_KEY = 'checkoutState';
+
+/**
+ * Checkout steps, in order
+ * - `prepared` - `checkout-prepare` set the addresses and methods on the cart
+ * - `paypal_created` - A PayPal order was created, the shopper was sent to approve it
+ * - `approved` - PayPal sent the shopper back with the order approved
+ * - `capturing` - The payment capture was sent, it may have gone through
+ * - `captured` - The payment was captured, the order is still to be placed
+ * - `placing` - The order was sent to be placed, it may have gone through
+ * - `ordered` - The order was placed
+ */
+export const CHECKOUT_STATUS = Object.freeze({
+  PREPARED: 'prepared',
+  PAYPAL_CREATED: 'paypal_created',
+  APPROVED: 'approved',
+  CAPTURING: 'capturing',
+  CAPTURED: 'captured',
+  PLACING: 'placing',
+  ORDERED: 'ordered',
+});
+
+/**
+ * @typedef {Object} CheckoutState
+ * @property {string} cartId - App Builder cart ID
+ * @property {string} status - One of `CHECKOUT_STATUS`
+ * @property {string} paymentMethod - Code of the payment method
+ * @property {string|null} [paypalOrderId] - PayPal order ID, once it is created
+ * @property {string|null} [orderNumber] - Order number, once the order is placed. Unknown for
+ * an order whose placement was interrupted.
+ * @property {string|null} [orderRef] - Reference the order details page loads the order with:
+ * the order number for customers, the order token for guests
+ * @property {boolean} [customerOrder] - Whether a signed-in customer placed the order
+ * @property {number} updatedAt - Time of the last change
+ */
+
+/**
+ * Gets the saved checkout state
+ * @returns {CheckoutState|null} Checkout state, null if no order is being paid
+ */
+export function getCheckoutState() {
+  try {
+    const saved = localStorage.getItem(CHECKOUT_STATE_STORAGE_KEY);
+    return saved ? JSON.parse(saved) : null;
+  } catch (error) {
+    console.error('Error reading checkout state from localStorage:', error);
+    return null;
+  }
+}
+
+/**
+ * Saves the checkout state. Changes to the same cart and PayPal order are merged into the
+ * saved state, anything else replaces it.
+ * @param {Partial<CheckoutState>} changes - Cart ID and the values that changed
+ * @returns {CheckoutState} Saved state
+ */
+export function saveCheckoutState(changes) {
+  const saved = getCheckoutState();
+  const isSameFlow = saved?.cartId === changes.cartId
+    && (!changes.paypalOrderId || !saved.paypalOrderId
+      || saved.paypalOrderId === changes.paypalOrderId);
+  const state = {
+    ...(isSameFlow ? saved : {}),
+    ...changes,
+    updatedAt: Date.now(),
+  };
+  try {
+    localStorage.setItem(CHECKOUT_STATE_STORAGE_KEY, JSON.stringify(state));
+  } catch (error) {
+    console.error('Error saving checkout state to localStorage:', error);
+  }
+  return state;
+}
+
+/**
+ * Removes the checkout state
+ */
+export function clearCheckoutState() {
+  try {
+    localStorage.removeItem(CHECKOUT_STATE_STORAGE_KEY);
+  } catch (error) {
+    console.error('Error removing checkout state from localStorage:', error);
+  }
+}
@@ -5,32 +5,108 @@ import {
   Button,
   provider as UI,
 } from '@dropins/tools/components.js';
+import { events } from '@dropins/tools/event-bus.js';
+import { render as CheckoutProvider } from '@dropins/storefront-checkout/render.js';
+import OutOfStock from '@dropins/storefront-checkout/containers/OutOfStock.js';
+import {
+  getCustomer,
+  getCustomerAddress,
+  createCustomerAddress,
+} from '@dropins/storefront-account/api.js';
 import { readBlockConfig } from '../../scripts/aem.js';
-import { fetchPlaceholders, rootLink, getProductLink } from '../../scripts/commerce.js';
+import {
+  fetchPlaceholders,
+  rootLink,
+  getProductLink,
+  checkIsAuthenticated,
+  CORE_FETCH_GRAPHQL,
+  CUSTOMER_FORGOTPASSWORD_PATH,
+  ORDER_DETAILS_PATH,
+  CUSTOMER_ORDER_DETAILS_PATH,
+  SUPPORT_PATH,
+} from '../../scripts/commerce.js';
+import {
+  getCart,
+  prepareCheckout,
+  placeOrder,
+} from '../../scripts/appbuilder-storefront.js';
+import {
+  APPBUILDER_CART_EVENT,
+  CART_ERROR_REASONS,
+  CART_RECOVERED_EVENT,
+  getCartId,
+  getCartErrorReason,
+  getCartRecoveryMessage,
+  getShippingEstimate,
+  estimateShipping,
+  estimateTotals,
+  clearCartId,
+  loadCart as loadAppBuilderCart,
+  getUnavailableItems,
+  updateProductsFromCart,
+  transformCart,
+} from '../../scripts/appbuilder-cart.js';
+import { publishPlaceOrder } from '../../scripts/commerce-acdl.js';
+import { formatPrice } from '../../scripts/commerce-locale.js';
+import { getCountries, findRegion } from '../../scripts/commerce-countries.js';
+import {
+  ADDRESS_FIELDS,
+  formatPostcode,
+  getAddressRules,
+  getStreetLines,
+  normalizePhone,
+  validateAddress,
+} from '../../scripts/commerce-address.js';
+import renderMergedCartBanner from '../../scripts/components/commerce-merged-cart-banner/commerce-merged-cart-banner.js';
+import renderPriceSummary, {
+  getTaxDisplaySetting,
+  renderItemPrice,
+  transformCartPrices,
+  transformItemPrices,
+} from '../../scripts/components/commerce-price-summary/commerce-price-summary.js';
+import {
+  getPaymentMethod,
+  getAvailablePaymentMethods,
+  findReturningPaymentMethod,
+} from './payment-methods.js';
+import {
+  CHECKOUT_STATUS,
+  getCheckoutState,
+  saveCheckoutState,
+  clearCheckoutState,
+} from './checkout-state.js';
+import isEmailAvailable from './email-availability.js';
+
+// Initializers
+import '../../scripts/initializers/cart.js';
+import '../../scripts/initializers/account.js';
 
 /**
- * LocalStorage keys
+ * Time the guest email must stay unchanged before its account is looked up, in milliseconds
+ */
+const EMAIL_LOOKUP_DELAY = 500;
+
+/**
+ * LocalStorage key for guest address
  */
-const CART_ID_STORAGE_KEY = 'cartId';
 const GUEST_ADDRESS_STORAGE_KEY = 'guestAddress';
 
 /**
- * Base URL for API endpoints
+ * How long a placed order's confirmation is shown again when checkout is reloaded, in ms
  */
-const BASE_URL = window.BASE_URL || 'https://748062-appbuilderpoc-stage.adobeio-static.net/api/v1/web';
+const ORDER_CONFIRMATION_TTL = 30 * 60 * 1000;
 
 /**
- * Gets cart ID from localStorage
- * @returns {string|null} Cart ID or null if not found
+ * Statuses of a checkout that is finished instead of showing the form: the payment was taken,
+ * approved or sent to be captured, or the order was sent to be placed, and the order isn't
+ * known to be placed
  */
-function getCartId() {
-  try {
-    return localStorage.getItem(CART_ID_STORAGE_KEY);
-  } catch (error) {
-    console.error('Error reading cart ID from localStorage:', error);
-    return null;
-  }
-}
+const RESUMED_STATUSES = [
+  CHECKOUT_STATUS.APPROVED,
+  CHECKOUT_STATUS.CAPTURING,
+  CHECKOUT_STATUS.CAPTURED,
+  CHECKOUT_STATUS.PLACING,
+];
 
 /**
  * Gets saved guest address from localStorage
@@ -58,239 +134,6 @@ function saveAddress(address) {
   }
 }
 
-/**
- * Fetches cart data from API
- * @param {string} cartId - Cart ID
- * @returns {Promise<Object|null>} Cart data or null if error
- */
-async function getCart(cartId) {
-  if (!cartId) {
-    return null;
-  }
-
-  const apiUrl = `${BASE_URL}/poc-appbuilder-storefront/cart-get`;
-
-  try {
-    const response = await fetch(apiUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({ cartId }),
-    });
-
-    if (!response.ok) {
-      throw new Error(`Failed to fetch cart: ${response.status} ${response.statusText}`);
-    }
-
-    const data = await response.json();
-    return data?.cart || null;
-  } catch (error) {
-    console.error('Error fetching cart:', error);
-    return null;
-  }
-}
-
-/**
- * Prepares checkout by calling checkout-prepare API
- * @param {Object} checkoutData - Checkout data
- * @returns {Promise<Object|null>} Checkout response or null if error
- */
-async function prepareCheckout(checkoutData) {
-  const apiUrl = `${BASE_URL}/poc-appbuilder-storefront/checkout-prepare`;
-
-  try {
-    const response = await fetch(apiUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(checkoutData),
-    });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      let errorMessage = `Failed to prepare checkout: ${response.status} ${response.statusText}`;
-      
-      try {
-        const errorData = JSON.parse(errorText);
-        errorMessage = errorData?.message || errorData?.error || errorMessage;
-      } catch {
-        if (errorText) {
-          errorMessage = errorText;
-        }
-      }
-      
-      throw new Error(errorMessage);
-    }
-
-    const data = await response.json();
-    return data?.cart || null;
-  } catch (error) {
-    console.error('Error preparing checkout:', error);
-    throw error;
-  }
-}
-
-/**
- * Creates PayPal order by calling paypal-order-create API
- * @param {string} cartId - Cart ID
- * @param {Object} amount - Amount object with value and currency_code
- * @param {Array} items - Items array (empty for now)
- * @returns {Promise<Object|null>} PayPal order response or null if error
- */
-async function createPayPalOrder(cartId, amount, items = []) {
-  const apiUrl = `${BASE_URL}/poc-appbuilder-storefront/paypal-order-create`;
-
-  // Determine return URL based on environment
-  const isLocalhost = window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1';
-  const returnUrl = isLocalhost 
-    ? `${window.location.protocol}//localhost:3000${window.location.pathname}`
-    : `${window.location.origin}${window.location.pathname}`;
-
-  try {
-    const response = await fetch(apiUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        cartId,
-        amount,
-        items,
-        returnUrl,
-      }),
-    });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      let errorMessage = `Failed to create PayPal order: ${response.status} ${response.statusText}`;
-      
-      try {
-        const errorData = JSON.parse(errorText);
-        errorMessage = errorData?.message || errorData?.error || errorMessage;
-      } catch {
-        if (errorText) {
-          errorMessage = errorText;
-        }
-      }
-      
-      throw new Error(errorMessage);
-    }
-
-    const data = await response.json();
-    return data || null;
-  } catch (error) {
-    console.error('Error creating PayPal order:', error);
-    throw error;
-  }
-}
-
-/**
- * Captures PayPal payment by calling paypal-order-capture API
- * @param {string} paypalOrderId - PayPal Order ID (token from URL)
- * @returns {Promise<Object|null>} Capture response or null if error
- */
-async function capturePayPalOrder(paypalOrderId) {
-  const apiUrl = `${BASE_URL}/poc-appbuilder-storefront/paypal-order-capture`;
-
-  console.log('capturePayPalOrder called with paypalOrderId:', paypalOrderId);
-  console.log('API URL:', apiUrl);
-
-  try {
-    const response = await fetch(apiUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        paypalOrderId,
-      }),
-    });
-
-    console.log('Capture API response status:', response.status, response.statusText);
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error('Capture API error response:', errorText);
-      let errorMessage = `Failed to capture PayPal payment: ${response.status} ${response.statusText}`;
-      
-      try {
-        const errorData = JSON.parse(errorText);
-        errorMessage = errorData?.message || errorData?.error || errorMessage;
-      } catch {
-        if (errorText) {
-          errorMessage = errorText;
-        }
-      }
-      
-      throw new Error(errorMessage);
-    }
-
-    const data = await response.json();
-    console.log('Capture API response data:', data);
-    return data || null;
-  } catch (error) {
-    console.error('Error capturing PayPal order:', error);
-    console.error('Error stack:', error.stack);
-    throw error;
-  }
-}
-
-/**
- * Places order by calling checkout-place-order API
- * @param {string} cartId - Cart ID
- * @returns {Promise<Object|null>} Order response or null if error
- */
-async function placeOrder(cartId) {
-  const apiUrl = `${BASE_URL}/poc-appbuilder-storefront/checkout-place-order`;
-
-  try {
-    const response = await fetch(apiUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        cartId,
-      }),
-    });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      let errorMessage = `Failed to place order: ${response.status} ${response.statusText}`;
-      
-      try {
-        const errorData = JSON.parse(errorText);
-        errorMessage = errorData?.message || errorData?.error || errorMessage;
-      } catch {
-        if (errorText) {
-          errorMessage = errorText;
-        }
-      }
-      
-      throw new Error(errorMessage);
-    }
-
-    const data = await response.json();
-    return data || null;
-  } catch (error) {
-    console.error('Error placing order:', error);
-    throw error;
-  }
-}
-
-/**
- * Clears cart ID from localStorage
- */
-function clearCartId() {
-  try {
-    localStorage.removeItem(CART_ID_STORAGE_KEY);
-  } catch (error) {
-    console.error('Error clearing cart ID from localStorage:', error);
-  }
-}
-
 /**
  * Transforms API cart response to display format
  * @param {Object} apiCart - Cart data from API
@@ -301,19 +144,13 @@ function transformCartData(apiCart) {
     return null;
   }
 
+  const prices = transformCartPrices(apiCart);
   const items = (apiCart.itemsV2?.items || []).map((item) => ({
     uid: item.uid,
     sku: item.product?.sku || '',
     name: item.product?.name || '',
     quantity: item.quantity || 0,
-    price: {
-      currency: item.prices?.price?.currency || 'USD',
-      value: item.prices?.price?.value || 0,
-    },
-    rowTotal: {
-      currency: item.prices?.row_total?.currency || 'USD',
-      value: item.prices?.row_total?.value || 0,
-    },
+    ...transformItemPrices(item, prices.currency),
     image: item.product?.thumbnail?.url || '',
     imageLabel: item.product?.thumbnail?.label || '',
     urlKey: item.product?.url_key || '',
@@ -323,34 +160,13 @@ function transformCartData(apiCart) {
     id: apiCart.id,
     totalQuantity: apiCart.total_quantity || 0,
     items,
-    prices: {
-      grandTotal: {
-        currency: apiCart.prices?.grand_total?.currency || 'USD',
-        value: apiCart.prices?.grand_total?.value || 0,
-      },
-      subtotalExcludingTax: {
-        currency: apiCart.prices?.subtotal_excluding_tax?.currency || 'USD',
-        value: apiCart.prices?.subtotal_excluding_tax?.value || 0,
-      },
-    },
+    prices,
+    appliedCoupons: (apiCart.applied_coupons || []).map(({ code }) => code),
+    // Left out by older App Builder actions, the payment methods then decide for themselves
+    availablePaymentMethods: apiCart.available_payment_methods ?? null,
   };
 }
 
-/**
- * Formats price for display
- * @param {Object} price - Price object with currency and value
- * @returns {string} Formatted price string
- */
-function formatPrice(price) {
-  if (!price || !price.currency || price.value === undefined) {
-    return '$0.00';
-  }
-  return new Intl.NumberFormat('en-US', {
-    style: 'currency',
-    currency: price.currency,
-  }).format(price.value);
-}
-
 /**
  * Validates email format
  * @param {string} email - Email to validate
@@ -364,9 +180,12 @@ function isValidEmail(email) {
 /**
  * Validates form fields
  * @param {Object} formData - Form data object
+ * @param {Object} [options]
+ * @param {boolean} [options.regionRequired=true] - Whether the country needs a region
+ * @param {Object<string, boolean>} [options.requiredFields] - Optional fields the block requires
  * @returns {Object} Validation result with isValid and errors
  */
-function validateForm(formData) {
+function validateForm(formData, { regionRequired = true, requiredFields } = {}) {
   const errors = {};
 
   // Email validation
@@ -377,284 +196,437 @@ function validateForm(formData) {
   }
 
   // Shipping address validation
-  if (!formData.firstname || !formData.firstname.trim()) {
-    errors.firstname = 'First name is required';
-  }
+  Object.assign(errors, validateAddress(formData, { regionRequired, requiredFields }));
 
-  if (!formData.lastname || !formData.lastname.trim()) {
-    errors.lastname = 'Last name is required';
-  }
+  return {
+    isValid: Object.keys(errors).length === 0,
+    errors,
+  };
+}
 
-  if (!formData.company || !formData.company.trim()) {
-    errors.company = 'Company name is required';
-  }
+/**
+ * Checkout steps, in order
+ */
+const CHECKOUT_STEPS = ['contact', 'shipping-address', 'shipping-method', 'payment', 'review'];
 
-  if (!formData.street || !formData.street.trim()) {
-    errors.street = 'Street address is required';
-  }
+/**
+ * Prefix of the billing address fields
+ */
+const BILLING_PREFIX = 'billing_';
 
-  if (!formData.city || !formData.city.trim()) {
-    errors.city = 'City is required';
-  }
+/**
+ * Form fields validated by each step
+ */
+const STEP_FIELDS = {
+  contact: ['guestEmail'],
+  'shipping-address': ADDRESS_FIELDS,
+  payment: ADDRESS_FIELDS.map((field) => `${BILLING_PREFIX}${field}`),
+};
 
-  if (!formData.region || !formData.region.trim()) {
-    errors.region = 'State/Region is required';
-  }
+/**
+ * Formats an address on one line
+ * @param {Object} values - Form values
+ * @returns {string} Address
+ */
+function formatAddress(values) {
+  return [
+    `${values.firstname} ${values.lastname}`.trim(),
+    values.company,
+    ...getStreetLines(values),
+    `${values.city}, ${values.region} ${values.postcode}`,
+    values.country_code,
+  ].filter(Boolean).join(', ');
+}
 
-  if (!formData.postcode || !formData.postcode.trim()) {
-    errors.postcode = 'Postal code is required';
+/**
+ * Formats a shipping method with its price
+ * @param {Object|null} method - Shipping method of the App Builder action
+ * @returns {string} Method name and price
+ */
+function formatShippingMethod(method) {
+  if (!method) {
+    return '';
   }
+  const name = [method.carrier_title, method.method_title].filter(Boolean).join(' - ');
+  return `${name} (${formatPrice(method.amount)})`;
+}
 
-  if (!formData.country_code || !formData.country_code.trim()) {
-    errors.country_code = 'Country is required';
-  }
+/**
+ * Checks whether two shipping methods are the same
+ * @param {Object|null} a - Shipping method
+ * @param {Object|null} b - Shipping method
+ * @returns {boolean} True if carrier and method match
+ */
+function isSameShippingMethod(a, b) {
+  return !!a && !!b && a.carrier_code === b.carrier_code && a.method_code === b.method_code;
+}
 
-  if (!formData.telephone || !formData.telephone.trim()) {
-    errors.telephone = 'Phone number is required';
-  }
+/**
+ * Gets the URL payment providers send the shopper back to, this page
+ * @returns {string} Return URL
+ */
+function getReturnUrl() {
+  const isLocalhost = window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1';
+  return isLocalhost
+    ? `${window.location.protocol}//localhost:3000${window.location.pathname}`
+    : `${window.location.origin}${window.location.pathname}`;
+}
 
-  return {
-    isValid: Object.keys(errors).length === 0,
-    errors,
-  };
+/**
+ * Builds an address form: the customer's saved addresses, the address fields and the option
+ * to save a new address to the account
+ * @param {Object} placeholders - Placeholders
+ * @param {string} [prefix=''] - Prefix of the field IDs and names, e.g. `billing_`
+ * @param {string} [section='shipping'] - Autocomplete section, `shipping` or `billing`
+ * @returns {string} Fields markup
+ */
+function getAddressFieldsMarkup(placeholders, prefix = '', section = 'shipping') {
+  return `
+    <div class="checkout__address-form" data-prefix="${prefix}">
+      <div class="checkout__address-book" hidden></div>
+      <div class="checkout__address-fields">
+        <div class="checkout__row">
+          <div class="checkout__field checkout__field--half">
+            <label for="${prefix}firstname" class="checkout__label">
+              ${placeholders?.Global?.FirstName || 'First Name'} <span class="checkout__required">*</span>
+            </label>
+            <input 
+              type="text" 
+              id="${prefix}firstname" 
+              name="${prefix}firstname" 
+              class="checkout__input" 
+              required
+              autocomplete="${section} given-name"
+            />
+            <span class="checkout__error" id="${prefix}firstname-error"></span>
+          </div>
+
+          <div class="checkout__field checkout__field--half">
+            <label for="${prefix}lastname" class="checkout__label">
+              ${placeholders?.Global?.LastName || 'Last Name'} <span class="checkout__required">*</span>
+            </label>
+            <input 
+              type="text" 
+              id="${prefix}lastname" 
+              name="${prefix}lastname" 
+              class="checkout__input" 
+              required
+              autocomplete="${section} family-name"
+            />
+            <span class="checkout__error" id="${prefix}lastname-error"></span>
+          </div>
+        </div>
+
+        <div class="checkout__field">
+          <label for="${prefix}company" class="checkout__label">
+            ${placeholders?.Global?.Company || 'Company'} <span class="checkout__required" hidden>*</span>
+          </label>
+          <input 
+            type="text" 
+            id="${prefix}company" 
+            name="${prefix}company" 
+            class="checkout__input" 
+            autocomplete="${section} organization"
+          />
+          <span class="checkout__error" id="${prefix}company-error"></span>
+        </div>
+
+        <div class="checkout__field">
+          <label for="${prefix}street" class="checkout__label">
+            ${placeholders?.Global?.StreetAddress || 'Street Address'} <span class="checkout__required">*</span>
+          </label>
+          <input 
+            type="text" 
+            id="${prefix}street" 
+            name="${prefix}street" 
+            class="checkout__input" 
+            required
+            autocomplete="${section} address-line1"
+          />
+          <span class="checkout__error" id="${prefix}street-error"></span>
+        </div>
+
+        <div class="checkout__field">
+          <label for="${prefix}street_2" class="checkout__label">
+            ${placeholders?.Global?.StreetAddressLine2 || 'Street Address Line 2'}
+          </label>
+          <input 
+            type="text" 
+            id="${prefix}street_2" 
+            name="${prefix}street_2" 
+            class="checkout__input" 
+            autocomplete="${section} address-line2"
+          />
+          <span class="checkout__error" id="${prefix}street_2-error"></span>
+        </div>
+
+        <div class="checkout__field" hidden>
+          <label for="${prefix}street_3" class="checkout__label">
+            ${placeholders?.Global?.StreetAddressLine3 || 'Street Address Line 3'}
+          </label>
+          <input 
+            type="text" 
+            id="${prefix}street_3" 
+            name="${prefix}street_3" 
+            class="checkout__input" 
+            autocomplete="${section} address-line3"
+            disabled
+          />
+          <span class="checkout__error" id="${prefix}street_3-error"></span>
+        </div>
+
+        <div class="checkout__row">
+          <div class="checkout__field checkout__field--half">
+            <label for="${prefix}country_code" class="checkout__label">
+              ${placeholders?.Global?.Country || 'Country'} <span class="checkout__required">*</span>
+            </label>
+            <select 
+              id="${prefix}country_code" 
+              name="${prefix}country_code" 
+              class="checkout__input checkout__select" 
+              required
+              autocomplete="${section} country"
+            ></select>
+            <span class="checkout__error" id="${prefix}country_code-error"></span>
+          </div>
+
+          <div class="checkout__field checkout__field--half">
+            <label for="${prefix}region" class="checkout__label">
+              ${placeholders?.Global?.StateRegion || 'State/Region'} <span class="checkout__required checkout__region-required">*</span>
+            </label>
+            <input 
+              type="text" 
+              id="${prefix}region" 
+              name="${prefix}region" 
+              class="checkout__input" 
+              required
+              autocomplete="${section} address-level1"
+            />
+            <select 
+              id="${prefix}region_id" 
+              name="${prefix}region_id" 
+              class="checkout__input checkout__select" 
+              autocomplete="${section} address-level1"
+              hidden
+              disabled
+            ></select>
+            <span class="checkout__error" id="${prefix}region-error"></span>
+          </div>
+        </div>
+
+        <div class="checkout__row">
+          <div class="checkout__field checkout__field--half">
+            <label for="${prefix}city" class="checkout__label">
+              ${placeholders?.Global?.City || 'City'} <span class="checkout__required">*</span>
+            </label>
+            <input 
+              type="text" 
+              id="${prefix}city" 
+              name="${prefix}city" 
+              class="checkout__input" 
+              required
+              autocomplete="${section} address-level2"
+            />
+            <span class="checkout__error" id="${prefix}city-error"></span>
+          </div>
+
+          <div class="checkout__field checkout__field--half">
+            <label for="${prefix}postcode" class="checkout__label">
+              ${placeholders?.Global?.PostalCode || 'Postal Code'} <span class="checkout__required">*</span>
+            </label>
+            <input 
+              type="text" 
+              id="${prefix}postcode" 
+              name="${prefix}postcode" 
+              class="checkout__input" 
+              required
+              autocomplete="${section} postal-code"
+            />
+            <span class="checkout__error" id="${prefix}postcode-error"></span>
+          </div>
+        </div>
+
+        <div class="checkout__field">
+          <label for="${prefix}telephone" class="checkout__label">
+            ${placeholders?.Global?.PhoneNumber || 'Phone Number'} <span class="checkout__required">*</span>
+          </label>
+          <input 
+            type="tel" 
+            id="${prefix}telephone" 
+            name="${prefix}telephone" 
+            class="checkout__input" 
+            required
+            autocomplete="${section} tel"
+          />
+          <span class="checkout__error" id="${prefix}telephone-error"></span>
+        </div>
+      </div>
+      <label class="checkout__checkbox checkout__save-address" hidden>
+        <input type="checkbox" name="${prefix}saveAddress" />
+        ${placeholders?.Global?.CheckoutSaveAddress || 'Save this address to my account'}
+      </label>
+    </div>
+  `;
 }
 
 export default async function decorate(block) {
-  // Check for PayPal return token FIRST, before any other operations
-  const urlParams = new URLSearchParams(window.location.search);
-  const paypalToken = urlParams.get('token');
-  const isPayPalReturn = !!paypalToken;
-
-  console.log('Checkout page loaded. PayPal return:', isPayPalReturn, 'Token:', paypalToken);
+  const {
+    'require-company': requireCompany = 'false',
+    'require-telephone': requireTelephone = 'true',
+  } = readBlockConfig(block);
+  // Optional address fields the store requires
+  const requiredFields = {
+    company: requireCompany === 'true',
+    telephone: requireTelephone === 'true',
+  };
 
-  const placeholders = await fetchPlaceholders();
+  // Check for a return from a payment provider FIRST, before any other operations
+  const urlParams = new URLSearchParams(window.location.search);
+  const returningPaymentMethod = findReturningPaymentMethod(urlParams);
+
+  const [placeholders, taxDisplaySetting, countries] = await Promise.all([
+    fetchPlaceholders(),
+    getTaxDisplaySetting(),
+    // Without the store's countries no address can be entered, the form says so
+    getCountries().catch((error) => {
+      console.error('Error loading countries:', error);
+      return [];
+    }),
+  ]);
 
   // Layout
   const fragment = document.createRange().createContextualFragment(`
+    <div class="checkout__merged-cart-banner"></div>
     <div class="checkout__notification"></div>
     <div class="checkout__wrapper">
       <div class="checkout__main">
         <h1 class="checkout__title">${placeholders?.Global?.Checkout || 'Checkout'}</h1>
         
+        <div class="checkout__out-of-stock"></div>
         <div class="checkout__cart-items"></div>
         
-        <form class="checkout__form" id="checkout-form">
-          <div class="checkout__section">
-            <h2 class="checkout__section-title">${placeholders?.Global?.GuestEmail || 'Email Address'}</h2>
-            <div class="checkout__field">
-              <label for="guestEmail" class="checkout__label">
-                ${placeholders?.Global?.Email || 'Email'} <span class="checkout__required">*</span>
-              </label>
-              <input 
-                type="email" 
-                id="guestEmail" 
-                name="guestEmail" 
-                class="checkout__input" 
-                required
-                autocomplete="email"
-              />
-              <span class="checkout__error" id="guestEmail-error"></span>
+        <form class="checkout__form" id="checkout-form" novalidate>
+          <section class="checkout__section checkout__step" data-step="contact">
+            <div class="checkout__step-header">
+              <h2 class="checkout__section-title">${placeholders?.Global?.GuestEmail || 'Email Address'}</h2>
+              <button type="button" class="checkout__step-edit" hidden>${placeholders?.Global?.Edit || 'Edit'}</button>
             </div>
-          </div>
-
-          <div class="checkout__section">
-            <h2 class="checkout__section-title">${placeholders?.Global?.ShippingAddress || 'Shipping Address'}</h2>
-            
-            <div class="checkout__row">
-              <div class="checkout__field checkout__field--half">
-                <label for="firstname" class="checkout__label">
-                  ${placeholders?.Global?.FirstName || 'First Name'} <span class="checkout__required">*</span>
+            <p class="checkout__step-summary" hidden></p>
+            <div class="checkout__step-body">
+              <div class="checkout__field">
+                <label for="guestEmail" class="checkout__label">
+                  ${placeholders?.Global?.Email || 'Email'} <span class="checkout__required">*</span>
                 </label>
                 <input 
-                  type="text" 
-                  id="firstname" 
-                  name="firstname" 
+                  type="email" 
+                  id="guestEmail" 
+                  name="guestEmail" 
                   class="checkout__input" 
                   required
-                  autocomplete="given-name"
+                  autocomplete="email"
                 />
-                <span class="checkout__error" id="firstname-error"></span>
+                <span class="checkout__error" id="guestEmail-error"></span>
               </div>
 
-              <div class="checkout__field checkout__field--half">
-                <label for="lastname" class="checkout__label">
-                  ${placeholders?.Global?.LastName || 'Last Name'} <span class="checkout__required">*</span>
-                </label>
-                <input 
-                  type="text" 
-                  id="lastname" 
-                  name="lastname" 
-                  class="checkout__input" 
-                  required
-                  autocomplete="family-name"
-                />
-                <span class="checkout__error" id="lastname-error"></span>
+              <div class="checkout__sign-in" hidden>
+                <p class="checkout__sign-in-message">
+                  ${placeholders?.Global?.CheckoutAccountExists || 'You already have an account with this email. Sign in to check out with your saved addresses, or continue as a guest.'}
+                </p>
+                <button type="button" class="button button--secondary checkout__sign-in-button">
+                  ${placeholders?.Global?.SignIn || 'Sign in'}
+                </button>
+                <div class="checkout__sign-in-form" hidden></div>
               </div>
-            </div>
 
-            <div class="checkout__field">
-              <label for="company" class="checkout__label">
-                ${placeholders?.Global?.Company || 'Company'} <span class="checkout__required">*</span>
-              </label>
-              <input 
-                type="text" 
-                id="company" 
-                name="company" 
-                class="checkout__input" 
-                required
-                autocomplete="organization"
-              />
-              <span class="checkout__error" id="company-error"></span>
+              <button type="submit" class="button button--primary checkout__step-continue">
+                ${placeholders?.Global?.Continue || 'Continue'}
+              </button>
             </div>
+          </section>
 
-            <div class="checkout__field">
-              <label for="street" class="checkout__label">
-                ${placeholders?.Global?.StreetAddress || 'Street Address'} <span class="checkout__required">*</span>
-              </label>
-              <input 
-                type="text" 
-                id="street" 
-                name="street" 
-                class="checkout__input" 
-                required
-                autocomplete="street-address"
-              />
-              <span class="checkout__error" id="street-error"></span>
+          <section class="checkout__section checkout__step" data-step="shipping-address">
+            <div class="checkout__step-header">
+              <h2 class="checkout__section-title">${placeholders?.Global?.ShippingAddress || 'Shipping Address'}</h2>
+              <button type="button" class="checkout__step-edit" hidden>${placeholders?.Global?.Edit || 'Edit'}</button>
             </div>
+            <p class="checkout__step-summary" hidden></p>
+            <div class="checkout__step-body">
+              ${getAddressFieldsMarkup(placeholders)}
 
-            <div class="checkout__row">
-              <div class="checkout__field checkout__field--half">
-                <label for="city" class="checkout__label">
-                  ${placeholders?.Global?.City || 'City'} <span class="checkout__required">*</span>
-                </label>
-                <input 
-                  type="text" 
-                  id="city" 
-                  name="city" 
-                  class="checkout__input" 
-                  required
-                  autocomplete="address-level2"
-                />
-                <span class="checkout__error" id="city-error"></span>
-              </div>
+              <button type="submit" class="button button--primary checkout__step-continue">
+                ${placeholders?.Global?.Continue || 'Continue'}
+              </button>
+            </div>
+          </section>
 
-              <div class="checkout__field checkout__field--half">
-                <label for="region" class="checkout__label">
-                  ${placeholders?.Global?.StateRegion || 'State/Region'} <span class="checkout__required">*</span>
-                </label>
-                <input 
-                  type="text" 
-                  id="region" 
-                  name="region" 
-                  class="checkout__input" 
-                  required
-                  autocomplete="address-level1"
-                />
-                <span class="checkout__error" id="region-error"></span>
-              </div>
+          <section class="checkout__section checkout__step" data-step="shipping-method">
+            <div class="checkout__step-header">
+              <h2 class="checkout__section-title">${placeholders?.Global?.ShippingMethod || 'Shipping Method'}</h2>
+              <button type="button" class="checkout__step-edit" hidden>${placeholders?.Global?.Edit || 'Edit'}</button>
+            </div>
+            <p class="checkout__step-summary" hidden></p>
+            <div class="checkout__step-body">
+              <fieldset class="checkout__shipping-methods">
+                <legend class="checkout__label">${placeholders?.Global?.CheckoutChooseShippingMethod || 'Choose how your order is shipped'}</legend>
+                <div class="checkout__shipping-options"></div>
+              </fieldset>
+              <span class="checkout__error" id="shippingMethod-error"></span>
+
+              <button type="submit" class="button button--primary checkout__step-continue">
+                ${placeholders?.Global?.Continue || 'Continue'}
+              </button>
             </div>
+          </section>
 
-            <div class="checkout__row">
-              <div class="checkout__field checkout__field--half">
-                <label for="postcode" class="checkout__label">
-                  ${placeholders?.Global?.PostalCode || 'Postal Code'} <span class="checkout__required">*</span>
+          <section class="checkout__section checkout__step" data-step="payment">
+            <div class="checkout__step-header">
+              <h2 class="checkout__section-title">${placeholders?.Global?.PaymentMethod || 'Payment Method'}</h2>
+              <button type="button" class="checkout__step-edit" hidden>${placeholders?.Global?.Edit || 'Edit'}</button>
+            </div>
+            <p class="checkout__step-summary" hidden></p>
+            <div class="checkout__step-body">
+              <div class="checkout__billing">
+                <h3 class="checkout__subsection-title">${placeholders?.Global?.BillingAddress || 'Billing Address'}</h3>
+                <label class="checkout__checkbox">
+                  <input type="checkbox" id="billingSameAsShipping" name="billingSameAsShipping" checked />
+                  ${placeholders?.Global?.CheckoutBillingSameAsShipping || 'Billing address same as shipping'}
                 </label>
-                <input 
-                  type="text" 
-                  id="postcode" 
-                  name="postcode" 
-                  class="checkout__input" 
-                  required
-                  autocomplete="postal-code"
-                />
-                <span class="checkout__error" id="postcode-error"></span>
+                <div class="checkout__billing-fields" hidden>
+                  ${getAddressFieldsMarkup(placeholders, BILLING_PREFIX, 'billing')}
+                </div>
               </div>
 
-              <div class="checkout__field checkout__field--half">
-                <label for="country_code" class="checkout__label">
-                  ${placeholders?.Global?.Country || 'Country'} <span class="checkout__required">*</span>
-                </label>
-                <select 
-                  id="country_code" 
-                  name="country_code" 
-                  class="checkout__input checkout__select" 
-                  required
-                  autocomplete="country"
-                >
-                  <option value="">Select Country</option>
-                  <option value="US">United States</option>
-                  <option value="CA">Canada</option>
-                  <option value="GB">United Kingdom</option>
-                  <option value="AU">Australia</option>
-                  <option value="DE">Germany</option>
-                  <option value="FR">France</option>
-                  <option value="IN">India</option>
-                </select>
-                <span class="checkout__error" id="country_code-error"></span>
-              </div>
+              <fieldset class="checkout__payment-methods">
+                <legend class="checkout__subsection-title">${placeholders?.Global?.CheckoutChoosePaymentMethod || 'Choose how you pay'}</legend>
+                <div class="checkout__payment-options"></div>
+              </fieldset>
+              <span class="checkout__error" id="paymentMethod-error"></span>
+
+              <button type="submit" class="button button--primary checkout__step-continue">
+                ${placeholders?.Global?.Continue || 'Continue'}
+              </button>
             </div>
+          </section>
 
-            <div class="checkout__field">
-              <label for="telephone" class="checkout__label">
-                ${placeholders?.Global?.PhoneNumber || 'Phone Number'} <span class="checkout__required">*</span>
-              </label>
-              <input 
-                type="tel" 
-                id="telephone" 
-                name="telephone" 
-                class="checkout__input" 
-                required
-                autocomplete="tel"
-              />
-              <span class="checkout__error" id="telephone-error"></span>
+          <section class="checkout__section checkout__step" data-step="review">
+            <div class="checkout__step-header">
+              <h2 class="checkout__section-title">${placeholders?.Global?.CheckoutReview || 'Review and Place Order'}</h2>
+              <button type="button" class="checkout__step-edit" hidden>${placeholders?.Global?.Edit || 'Edit'}</button>
             </div>
-          </div>
+            <p class="checkout__step-summary" hidden></p>
+            <div class="checkout__step-body">
+              <dl class="checkout__review"></dl>
 
-          <div class="checkout__section">
-            <h2 class="checkout__section-title">${placeholders?.Global?.PaymentMethod || 'Payment Method'}</h2>
-            <div class="checkout__payment-methods">
-              <div class="checkout__payment-option">
-                <input 
-                  type="radio" 
-                  id="payment-paypal" 
-                  name="paymentMethod" 
-                  value="paypal" 
-                  class="checkout__radio" 
-                  checked
-                  required
-                />
-                <label for="payment-paypal" class="checkout__payment-label">
-                  <span class="checkout__payment-name">PayPal</span>
-                  <span class="checkout__payment-description">Pay securely with your PayPal account</span>
-                </label>
-              </div>
-              <div class="checkout__payment-option checkout__payment-option--disabled">
-                <input 
-                  type="radio" 
-                  id="payment-cod" 
-                  name="paymentMethod" 
-                  value="cod" 
-                  class="checkout__radio" 
-                  disabled
-                />
-                <label for="payment-cod" class="checkout__payment-label checkout__payment-label--disabled">
-                  <span class="checkout__payment-name">Cash on Delivery (COD)</span>
-                  <span class="checkout__payment-description">Pay when you receive your order</span>
-                  <span class="checkout__payment-disabled-badge">Coming Soon</span>
-                </label>
-              </div>
+              <button type="button" class="button button--primary checkout__place-order" id="place-order-btn">
+                ${placeholders?.Global?.PlaceOrder || 'Place Order'}
+              </button>
             </div>
-          </div>
+          </section>
         </form>
       </div>
 
       <div class="checkout__sidebar">
         <div class="checkout__summary"></div>
-        <div class="checkout__actions">
-          <button type="button" class="button button--primary checkout__place-order" id="place-order-btn">
-            ${placeholders?.Global?.PlaceOrder || 'Place Order'}
-          </button>
-        </div>
       </div>
     </div>
 
@@ -668,12 +640,25 @@ export default async function decorate(block) {
   `);
 
   const $wrapper = fragment.querySelector('.checkout__wrapper');
+  const $mergedCartBanner = fragment.querySelector('.checkout__merged-cart-banner');
   const $notification = fragment.querySelector('.checkout__notification');
+  const $outOfStock = fragment.querySelector('.checkout__out-of-stock');
   const $cartItems = fragment.querySelector('.checkout__cart-items');
   const $summary = fragment.querySelector('.checkout__summary');
   const $empty = fragment.querySelector('.checkout__empty');
   const $form = fragment.querySelector('#checkout-form');
   const $placeOrderBtn = fragment.querySelector('#place-order-btn');
+  const $steps = [...fragment.querySelectorAll('.checkout__step')];
+  const $shippingMethods = fragment.querySelector('.checkout__shipping-methods');
+  const $shippingOptions = fragment.querySelector('.checkout__shipping-options');
+  const $paymentOptions = fragment.querySelector('.checkout__payment-options');
+  const $review = fragment.querySelector('.checkout__review');
+  const $billingSameAsShipping = fragment.querySelector('#billingSameAsShipping');
+  const $billingFields = fragment.querySelector('.checkout__billing-fields');
+  const $email = fragment.querySelector('#guestEmail');
+  const $signIn = fragment.querySelector('.checkout__sign-in');
+  const $signInButton = fragment.querySelector('.checkout__sign-in-button');
+  const $signInForm = fragment.querySelector('.checkout__sign-in-form');
 
   block.innerHTML = '';
   block.appendChild(fragment);
@@ -681,6 +666,24 @@ export default async function decorate(block) {
   let currentNotification = null;
   let currentCartData = null;
 
+  // Whether the cart was shown, so later cart changes are rendered too
+  let cartLoaded = false;
+
+  // Lines of the cart that can't be ordered
+  let unavailableItems = [];
+
+  // Step shown, and the shipping methods offered for the shipping address
+  let currentStep = CHECKOUT_STEPS[0];
+  let shippingMethods = [];
+  let selectedShippingMethod = null;
+
+  // Signed-in customer and their saved addresses
+  let customer = null;
+  let customerAddresses = [];
+
+  // Fields the shopper left once, validated as they type from then on
+  const touchedFields = new Set();
+
   /**
    * Shows a notification message
    */
@@ -714,22 +717,38 @@ export default async function decorate(block) {
     }
   }
 
+  /**
+   * Shows the error of a field, or clears it
+   * @param {string} field - Field name
+   * @param {string} [message] - Error message, none to clear the error
+   */
+  function showFieldError(field, message) {
+    const errorEl = document.getElementById(`${field}-error`);
+    if (errorEl) {
+      errorEl.textContent = message || '';
+      errorEl.style.display = message ? 'block' : 'none';
+    }
+    $form.elements[field]?.setAttribute?.('aria-invalid', String(!!message));
+  }
+
   /**
    * Displays validation errors
    */
   function displayErrors(errors) {
     // Clear all errors
     $form.querySelectorAll('.checkout__error').forEach((el) => {
-      el.textContent = '';
-      el.style.display = 'none';
+      showFieldError(el.id.replace(/-error$/, ''));
     });
 
     // Display new errors
     Object.keys(errors).forEach((field) => {
-      const errorEl = document.getElementById(`${field}-error`);
-      if (errorEl) {
-        errorEl.textContent = errors[field];
-        errorEl.style.display = 'block';
+      showFieldError(field, errors[field]);
+    });
+
+    // Saved addresses missing a required field are opened to complete them
+    ['', BILLING_PREFIX].forEach((prefix) => {
+      if (ADDRESS_FIELDS.some((field) => errors[`${prefix}${field}`])) {
+        $form.querySelector(`.checkout__address-form[data-prefix="${prefix}"] .checkout__address-fields`).hidden = false;
       }
     });
   }
@@ -760,16 +779,22 @@ export default async function decorate(block) {
                 <div class="checkout__item-sku">SKU: ${item.sku}</div>
                 <div class="checkout__item-quantity">Qty: ${item.quantity}</div>
               </div>
-              <div class="checkout__item-price">${formatPrice(item.rowTotal)}</div>
+              <div class="checkout__item-price" data-item-uid="${item.uid}"></div>
             </div>
           `).join('')}
         </div>
       </div>
     `;
+
+    items.forEach((item) => {
+      const $price = $cartItems.querySelector(`.checkout__item-price[data-item-uid="${item.uid}"]`);
+      renderItemPrice($price, item, { total: true, placeholders });
+    });
   }
 
   /**
-   * Renders order summary
+   * Renders order summary, with the coupon codes and gift cards applied in the cart
+   * @param {Object} cartData - Cart data
    */
   function renderOrderSummary(cartData) {
     if (!cartData) {
@@ -781,25 +806,48 @@ export default async function decorate(block) {
       <div class="checkout-summary">
         <h2 class="checkout-summary__title">${placeholders?.Global?.OrderSummary || 'Order Summary'}</h2>
         <div class="checkout-summary__content">
-          <div class="checkout-summary__row">
-            <span class="checkout-summary__label">${placeholders?.Global?.Subtotal || 'Subtotal'}</span>
-            <span class="checkout-summary__value">${formatPrice(cartData.prices.subtotalExcludingTax)}</span>
-          </div>
-          <div class="checkout-summary__divider"></div>
-          <div class="checkout-summary__row checkout-summary__row--total">
-            <span class="checkout-summary__label">${placeholders?.Global?.Total || 'Total'}</span>
-            <span class="checkout-summary__value checkout-summary__value--total">${formatPrice(cartData.prices.grandTotal)}</span>
-          </div>
+          <div class="checkout-summary__totals"></div>
+          ${cartData.appliedCoupons.length > 0 ? `
+            <div class="checkout-summary__codes">
+              ${placeholders?.Global?.CheckoutAppliedCoupons || 'Applied codes'}: ${cartData.appliedCoupons.join(', ')}
+            </div>
+          ` : ''}
         </div>
       </div>
     `;
+    renderPriceSummary($summary.querySelector('.checkout-summary__totals'), cartData.prices, {
+      placeholders,
+      displaySetting: taxDisplaySetting,
+    });
   }
 
   /**
-   * Loads cart and renders UI
+   * Renders the cart lines and totals, and keeps the order from being placed while lines
+   * can't be ordered
+   * @param {Object|null} apiCart - App Builder cart
    */
-  async function loadCart() {
-    const cartId = getCartId();
+  function renderCart(apiCart) {
+    currentCartData = transformCartData(apiCart);
+    unavailableItems = getUnavailableItems(apiCart);
+    $placeOrderBtn.disabled = unavailableItems.length > 0;
+
+    if (currentCartData && currentCartData.items.length > 0) {
+      renderCartItems(currentCartData.items);
+      renderOrderSummary(currentCartData);
+      renderPaymentMethods();
+      $wrapper.style.display = '';
+      $empty.style.display = 'none';
+    } else {
+      $wrapper.style.display = 'none';
+      $empty.style.display = 'block';
+    }
+  }
+
+  /**
+   * Loads cart and renders UI
+   */
+  async function loadCart() {
+    const cartId = getCartId();
     if (!cartId) {
       $wrapper.style.display = 'none';
       $empty.style.display = 'block';
@@ -807,28 +855,60 @@ export default async function decorate(block) {
     }
 
     try {
-      const apiCart = await getCart(cartId);
-      currentCartData = transformCartData(apiCart);
+      renderCart(await loadAppBuilderCart());
+      cartLoaded = true;
 
       if (currentCartData && currentCartData.items.length > 0) {
-        renderCartItems(currentCartData.items);
-        renderOrderSummary(currentCartData);
-        $wrapper.style.display = '';
-        $empty.style.display = 'none';
-
-        // Load saved address if available
+        // Load saved address if available, for customers only the one they entered themselves.
+        // An address being entered, e.g. before signing in, is kept.
         const savedAddress = getSavedAddress();
-        if (savedAddress) {
-          Object.keys(savedAddress).forEach((key) => {
+        const isEnteringAddress = [...touchedFields].some((field) => field !== 'guestEmail');
+        if (savedAddress && !isEnteringAddress
+          && (!customer || savedAddress.guestEmail === customer.email)) {
+          const { billingSameAsShipping = true, billingAddress = {}, ...address } = savedAddress;
+          Object.keys(address).forEach((key) => {
             const input = $form.querySelector(`[name="${key}"]`);
             if (input) {
-              input.value = savedAddress[key];
+              input.value = address[key];
+            }
+          });
+          Object.keys(billingAddress).forEach((key) => {
+            const input = $form.querySelector(`[name="${BILLING_PREFIX}${key}"]`);
+            if (input) {
+              input.value = billingAddress[key];
             }
           });
+          // Also brings back the billing choice after a payment provider's redirect
+          $billingSameAsShipping.checked = billingSameAsShipping;
+          toggleBillingAddress();
         }
-      } else {
-        $wrapper.style.display = 'none';
-        $empty.style.display = 'block';
+
+        // Fill the fields still empty from the cart's shipping estimate
+        const estimate = getShippingEstimate();
+        if (estimate) {
+          const { region_id: regionId, ...estimateAddress } = estimate.address;
+          Object.entries(estimateAddress).forEach(([key, value]) => {
+            const input = $form.querySelector(`[name="${key}"]`);
+            if (input && !input.value && value) {
+              input.value = value;
+            }
+          });
+          // The estimate's region ID selects the region in the country's list
+          const { $regionId } = getAddressElements();
+          if (regionId && !$regionId.value) {
+            renderRegions();
+            $regionId.value = String(regionId);
+          }
+        }
+
+        // The saved region codes select the regions in the countries' lists
+        ['', BILLING_PREFIX].forEach((prefix) => {
+          renderRegions(prefix);
+          renderAddressRules(prefix);
+        });
+
+        renderAddressBook('');
+        renderAddressBook(BILLING_PREFIX);
       }
     } catch (error) {
       console.error('Error loading cart:', error);
@@ -838,6 +918,1003 @@ export default async function decorate(block) {
     }
   }
 
+  /**
+   * Lists the regions of a country
+   * @param {string} countryCode - Two-letter country code
+   * @returns {Array<{ id: number, code: string, name: string }>} Regions, none if the country
+   * takes a free text region
+   */
+  function getRegions(countryCode) {
+    return countries.find(({ code }) => code === countryCode)?.regions ?? [];
+  }
+
+  /**
+   * Whether an address in a country needs a region
+   * @param {string} countryCode - Two-letter country code
+   * @returns {boolean} True where the store's country list defines regions, or without a list
+   */
+  function isRegionRequired(countryCode) {
+    return countries.length === 0 || getRegions(countryCode).length > 0;
+  }
+
+  /**
+   * Finds the country and region fields of an address form
+   * @param {string} [prefix=''] - Prefix of the address fields
+   * @returns {Object} Country select, region text field, region select, and the region label
+   * with its required marker
+   */
+  function getAddressElements(prefix = '') {
+    const $region = $form.elements[`${prefix}region`];
+    const $field = $region.closest('.checkout__field');
+    return {
+      $country: $form.elements[`${prefix}country_code`],
+      $region,
+      $regionId: $form.elements[`${prefix}region_id`],
+      $regionLabel: $field.querySelector('.checkout__label'),
+      $regionRequired: $field.querySelector('.checkout__region-required'),
+    };
+  }
+
+  /**
+   * Lists the countries allowed in the store. Without them no address can be entered, and the
+   * disabled list says so.
+   * @param {string} [prefix=''] - Prefix of the address fields
+   */
+  function renderCountries(prefix = '') {
+    const { $country } = getAddressElements(prefix);
+    $country.disabled = countries.length === 0;
+    if (countries.length === 0) {
+      $country.replaceChildren(new Option(placeholders?.Global?.CheckoutCountriesError || 'Countries could not be loaded. Reload the page to try again.', ''));
+      return;
+    }
+    const selected = $country.value;
+    $country.replaceChildren(
+      new Option(placeholders?.Global?.SelectCountry || 'Select Country', ''),
+      ...countries.map(({ code, name }) => new Option(name, code)),
+    );
+    // A store selling to a single country has nothing to choose
+    $country.value = countries.length === 1 ? countries[0].code : selected;
+  }
+
+  /**
+   * Shows a region dropdown for countries with regions, and a free text field for the others
+   * @param {string} [prefix=''] - Prefix of the address fields
+   */
+  function renderRegions(prefix = '') {
+    const {
+      $country, $region, $regionId, $regionLabel, $regionRequired,
+    } = getAddressElements(prefix);
+    const regions = getRegions($country.value);
+    const hasRegions = regions.length > 0;
+
+    // Keep the chosen region, or match the region code of a restored address
+    const selected = findRegion(regions, $regionId.value || $region.value);
+    $regionId.replaceChildren(
+      new Option(placeholders?.Global?.SelectRegion || 'Select State/Region', ''),
+      ...regions.map(({ id, name }) => new Option(name, id)),
+    );
+    $regionId.value = selected ? String(selected.id) : '';
+
+    $regionId.hidden = !hasRegions;
+    $regionId.disabled = !hasRegions;
+    $region.hidden = hasRegions;
+    $region.disabled = hasRegions;
+    $regionLabel.htmlFor = hasRegions ? $regionId.id : $region.id;
+    $regionRequired.hidden = !isRegionRequired($country.value);
+  }
+
+  /**
+   * Applies the rules of the chosen country to an address form: the required fields, the
+   * number of street lines and the postcode format
+   * @param {string} [prefix=''] - Prefix of the address fields
+   */
+  function renderAddressRules(prefix = '') {
+    const rules = getAddressRules($form.elements[`${prefix}country_code`].value, { requiredFields });
+    ADDRESS_FIELDS
+      .filter((field) => field !== 'country_code' && field !== 'region')
+      .forEach((field) => {
+        const $input = $form.elements[`${prefix}${field}`];
+        $input.required = rules.required.includes(field);
+        const $required = $input.closest('.checkout__field').querySelector('.checkout__required');
+        if ($required) {
+          $required.hidden = !$input.required;
+        }
+      });
+
+    // Lines the country doesn't use are left out of the address
+    ['street_2', 'street_3'].forEach((field, index) => {
+      const $input = $form.elements[`${prefix}${field}`];
+      const used = index + 2 <= rules.streetLines;
+      $input.closest('.checkout__field').hidden = !used;
+      $input.disabled = !used;
+    });
+
+    $form.elements[`${prefix}postcode`].placeholder = rules.postcodeExample
+      ? `${placeholders?.Global?.CheckoutPostcodeExample || 'e.g.'} ${rules.postcodeExample}`
+      : '';
+  }
+
+  /**
+   * Shows the billing address form when it differs from the shipping address
+   */
+  function toggleBillingAddress() {
+    $billingFields.hidden = $billingSameAsShipping.checked;
+  }
+
+  /**
+   * Reads an address form
+   * @param {FormData} formData - Form data
+   * @param {string} [prefix=''] - Prefix of the address fields
+   * @returns {Object} Trimmed address fields, with the `region_id` of the chosen region, the
+   * postcode formatted and the phone number in E.164 format when it is valid
+   */
+  function readAddress(formData, prefix = '') {
+    const address = Object.fromEntries(
+      ADDRESS_FIELDS.map((field) => [field, formData.get(`${prefix}${field}`)?.trim() || '']),
+    );
+    address.postcode = formatPostcode(address.postcode, address.country_code);
+    address.telephone = normalizePhone(address.telephone, address.country_code)
+      ?? address.telephone;
+
+    // Countries with regions send the chosen region's code and ID
+    const region = findRegion(getRegions(address.country_code), formData.get(`${prefix}region_id`));
+    if (!getAddressElements(prefix).$regionId.disabled) {
+      address.region = region?.code ?? '';
+    }
+    address.region_id = region?.id ?? null;
+    return address;
+  }
+
+  /**
+   * Reads the form fields
+   * @returns {Object} Email and shipping address fields, whether billing is the same as
+   * shipping, and the billing address
+   */
+  function getFormValues() {
+    const formData = new FormData($form);
+    return {
+      guestEmail: formData.get('guestEmail')?.trim() || '',
+      ...readAddress(formData),
+      billingSameAsShipping: $billingSameAsShipping.checked,
+      billingAddress: readAddress(formData, BILLING_PREFIX),
+    };
+  }
+
+  /**
+   * Validates the form values, and the billing address when it differs from the shipping one
+   * @param {Object} values - Form values
+   * @returns {Object} Validation result with isValid and errors
+   */
+  function validateValues(values) {
+    const { errors } = validateForm(values, {
+      regionRequired: isRegionRequired(values.country_code),
+      requiredFields,
+    });
+    if (!values.billingSameAsShipping) {
+      const billingErrors = validateAddress(values.billingAddress, {
+        regionRequired: isRegionRequired(values.billingAddress.country_code),
+        requiredFields,
+      });
+      Object.entries(billingErrors).forEach(([field, message]) => {
+        errors[`${BILLING_PREFIX}${field}`] = message;
+      });
+    }
+    return {
+      isValid: Object.keys(errors).length === 0,
+      errors,
+    };
+  }
+
+  /**
+   * Picks the fields saved for the next visit
+   * @param {Object} values - Form values
+   * @returns {Object} Email, shipping address and billing choice
+   */
+  function getAddressValues(values) {
+    return {
+      guestEmail: values.guestEmail,
+      ...Object.fromEntries([...ADDRESS_FIELDS, 'region_id'].map((field) => [field, values[field]])),
+      billingSameAsShipping: values.billingSameAsShipping,
+      billingAddress: values.billingAddress,
+    };
+  }
+
+  /**
+   * Converts address fields to a `checkout-prepare` address
+   * @param {Object} address - Address fields
+   * @returns {Object} Cart address
+   */
+  function toCartAddress(address) {
+    return {
+      vat_id: '',
+      city: address.city,
+      custom_attributes: [],
+      company: address.company || '',
+      country_code: address.country_code,
+      firstname: address.firstname,
+      lastname: address.lastname,
+      postcode: address.postcode,
+      region: address.region,
+      region_id: address.region_id,
+      street: getStreetLines(address),
+      telephone: address.telephone,
+    };
+  }
+
+  /**
+   * Converts a saved address of the customer's account to address fields
+   * @param {Object} address - Account address
+   * @returns {Object} Address fields
+   */
+  function toAddressValues(address) {
+    return {
+      firstname: address.firstName ?? '',
+      lastname: address.lastName ?? '',
+      company: address.company ?? '',
+      street: address.street ?? '',
+      street_2: address.streetMultiline_2 ?? '',
+      street_3: address.streetMultiline_3 ?? '',
+      country_code: address.countryCode ?? '',
+      region: address.region?.regionCode || address.region?.region || '',
+      city: address.city ?? '',
+      postcode: address.postcode ?? '',
+      telephone: address.telephone ?? '',
+    };
+  }
+
+  /**
+   * Converts address fields to an address of the customer's account
+   * @param {Object} address - Address fields
+   * @returns {Object} Account address
+   */
+  function toAccountAddress(address) {
+    const region = findRegion(getRegions(address.country_code), address.region_id);
+    return {
+      firstName: address.firstname,
+      lastName: address.lastname,
+      company: address.company,
+      street: getStreetLines(address),
+      city: address.city,
+      postcode: address.postcode,
+      countryCode: address.country_code,
+      telephone: address.telephone,
+      region: region
+        ? { region: region.name, regionCode: region.code, regionId: region.id }
+        : { region: address.region },
+      defaultShipping: false,
+      defaultBilling: false,
+    };
+  }
+
+  /**
+   * Fills an address form
+   * @param {string} prefix - Prefix of the address fields
+   * @param {Object} values - Address fields
+   */
+  function fillAddress(prefix, values) {
+    ADDRESS_FIELDS.forEach((field) => {
+      $form.elements[`${prefix}${field}`].value = values[field] ?? '';
+    });
+    // The region code selects the region in the country's list
+    $form.elements[`${prefix}region_id`].value = '';
+    renderRegions(prefix);
+    renderAddressRules(prefix);
+  }
+
+  /**
+   * Chooses a saved address, which fills the address form and hides it, or a new address
+   * @param {string} prefix - Prefix of the address fields
+   * @param {Object|null} address - Account address, null for a new address
+   * @param {Object} [options]
+   * @param {boolean} [options.clear=true] - Empties the fields when choosing a new address
+   */
+  function selectAddress(prefix, address, { clear = true } = {}) {
+    const $addressForm = $form.querySelector(`.checkout__address-form[data-prefix="${prefix}"]`);
+    if (address) {
+      fillAddress(prefix, toAddressValues(address));
+    } else if (clear) {
+      fillAddress(prefix, { firstname: customer?.firstName, lastname: customer?.lastName });
+    }
+
+    $addressForm.querySelector('.checkout__address-fields').hidden = !!address;
+    $addressForm.querySelector('.checkout__save-address').hidden = !customer || !!address;
+    $addressForm.querySelectorAll('.checkout__address-option .checkout__radio').forEach(($radio) => {
+      $radio.checked = $radio.value === String(address ? customerAddresses.indexOf(address) : 'new');
+    });
+  }
+
+  /**
+   * Lists the customer's saved addresses above an address form. The address already in the
+   * form stays chosen, and an empty form gets the default shipping or billing address.
+   * @param {string} prefix - Prefix of the address fields
+   */
+  function renderAddressBook(prefix) {
+    const $addressForm = $form.querySelector(`.checkout__address-form[data-prefix="${prefix}"]`);
+    const $addressBook = $addressForm.querySelector('.checkout__address-book');
+    const current = readAddress(new FormData($form), prefix);
+
+    if (customerAddresses.length === 0) {
+      $addressBook.replaceChildren();
+      $addressBook.hidden = true;
+      selectAddress(prefix, null, { clear: false });
+      return;
+    }
+
+    $addressBook.hidden = false;
+    $addressBook.innerHTML = `
+      <fieldset class="checkout__address-list">
+        <legend class="checkout__label">${placeholders?.Global?.CheckoutSavedAddresses || 'Saved addresses'}</legend>
+      </fieldset>
+    `;
+    const $list = $addressBook.querySelector('.checkout__address-list');
+    [...customerAddresses, null].forEach((address, index) => {
+      const id = `${prefix}address-${index}`;
+      const $option = document.createElement('div');
+      $option.className = 'checkout__address-option';
+      $option.innerHTML = `
+        <input type="radio" id="${id}" name="${prefix}addressId" value="${address ? index : 'new'}" class="checkout__radio" />
+        <label for="${id}" class="checkout__address-label"></label>
+      `;
+      $option.querySelector('label').textContent = address
+        ? formatAddress(toAddressValues(address))
+        : placeholders?.Global?.CheckoutNewAddress || 'New address';
+      $option.querySelector('input').addEventListener('change', () => selectAddress(prefix, address));
+      $list.append($option);
+    });
+
+    const matchingAddress = customerAddresses.find(
+      (address) => formatAddress(toAddressValues(address)) === formatAddress(current),
+    );
+    const defaultAddress = customerAddresses.find(
+      (address) => (prefix === BILLING_PREFIX ? address.defaultBilling : address.defaultShipping),
+    ) ?? customerAddresses[0];
+    // Keep the address already entered, or start from the default one
+    selectAddress(prefix, current.street ? matchingAddress : defaultAddress, { clear: false });
+  }
+
+  /**
+   * Saves a new address to the customer's account when asked to, and chooses it in the lists
+   * @param {string} prefix - Prefix of the address fields
+   */
+  async function saveToAddressBook(prefix) {
+    const $save = $form.elements[`${prefix}saveAddress`];
+    if (!customer || !$save.checked || $save.closest('.checkout__save-address').hidden) {
+      return;
+    }
+    try {
+      await createCustomerAddress(toAccountAddress(readAddress(new FormData($form), prefix)));
+      customerAddresses = (await getCustomerAddress()) ?? [];
+      $save.checked = false;
+      renderAddressBook('');
+      renderAddressBook(BILLING_PREFIX);
+    } catch (error) {
+      console.error('Error saving address:', error);
+      // The order can still use the address
+      showNotification(error.message || placeholders?.Global?.CheckoutSaveAddressError || 'The address could not be saved to your account', 'warning');
+    }
+  }
+
+  /**
+   * Loads the signed-in customer and their saved addresses. Customers order with the email
+   * of their account, and the order is attached to it through their token.
+   */
+  async function loadCustomer() {
+    customer = null;
+    customerAddresses = [];
+    if (checkIsAuthenticated()) {
+      try {
+        const [customerData, addresses] = await Promise.all([getCustomer(), getCustomerAddress()]);
+        customer = customerData ?? null;
+        customerAddresses = addresses ?? [];
+      } catch (error) {
+        console.error('Error loading customer:', error);
+      }
+    }
+
+    $email.readOnly = !!customer?.email;
+    if (customer?.email) {
+      $email.value = customer.email;
+    }
+  }
+
+  // Pending account lookup of the guest email, and the sign-in form once rendered
+  let emailLookupTimer = null;
+  let signInContainer = null;
+
+  /**
+   * Hides the offer to sign in and its form
+   */
+  function hideSignIn() {
+    clearTimeout(emailLookupTimer);
+    $signIn.hidden = true;
+    $signInButton.hidden = false;
+    $signInForm.hidden = true;
+    signInContainer?.remove();
+    signInContainer = null;
+  }
+
+  /**
+   * Looks up whether the guest email has an account, and offers to sign in if it has. The
+   * lookup waits for the shopper to stop typing, and answers for an email changed since are
+   * ignored. Checking out as a guest stays possible either way.
+   */
+  function checkEmailAccount() {
+    hideSignIn();
+    const email = $email.value.trim();
+    if (customer || !isValidEmail(email)) {
+      return;
+    }
+    emailLookupTimer = setTimeout(async () => {
+      try {
+        const available = await isEmailAvailable(email);
+        if (!available && !customer && $email.value.trim() === email) {
+          $signIn.hidden = false;
+        }
+      } catch (error) {
+        console.error('Error looking up the email account:', error);
+      }
+    }, EMAIL_LOOKUP_DELAY);
+  }
+
+  /**
+   * Renders the auth drop-in's sign-in form with the guest email. Signing in merges the guest
+   * cart into the customer's cart, and `cart/merged` switches the checkout to the customer.
+   */
+  async function showSignInForm() {
+    $signInButton.hidden = true;
+    $signInForm.hidden = false;
+    try {
+      const [{ SignIn }, { render: authRenderer }] = await Promise.all([
+        import('@dropins/storefront-auth/containers/SignIn.js'),
+        import('@dropins/storefront-auth/render.js'),
+        import('../../scripts/initializers/auth.js'),
+      ]);
+      const container = await authRenderer.render(SignIn, {
+        formSize: 'small',
+        renderSignUpLink: false,
+        initialEmailValue: $email.value.trim(),
+        routeForgotPassword: () => rootLink(CUSTOMER_FORGOTPASSWORD_PATH),
+        onSuccessCallback: async () => hideSignIn(),
+      })($signInForm);
+      // The offer may have been hidden while the form was loading
+      if ($signInForm.hidden) {
+        container.remove();
+      } else {
+        signInContainer = container;
+      }
+    } catch (error) {
+      console.error('Error rendering the sign-in form:', error);
+      hideSignIn();
+      showNotification(placeholders?.Global?.CheckoutSignInError || 'Sign in is not available right now, please continue as a guest.', 'error');
+    }
+  }
+
+  /**
+   * Switches the checkout to the customer who signed in, or back to a guest. What was entered
+   * is kept, and a customer who signed in at the email step moves on to the shipping address.
+   */
+  async function switchCustomer() {
+    await loadCustomer();
+    await loadCart();
+    if (customer) {
+      hideSignIn();
+      if (currentStep === 'contact') {
+        goToStep('shipping-address');
+      }
+    }
+  }
+
+  /**
+   * Gets the selected payment method
+   * @returns {Object|null} Payment method, null if none is selected or it is no longer offered
+   */
+  function getSelectedPaymentMethod() {
+    const code = new FormData($form).get('paymentMethod');
+    return getAvailablePaymentMethods(currentCartData)
+      .find((method) => method.code === code) ?? null;
+  }
+
+  /**
+   * Builds the context given to the hooks of a payment method
+   * @param {Object} method - Payment method
+   * @param {HTMLElement|null} [$container] - Container of the method's form
+   * @returns {Object} Payment context
+   */
+  function getPaymentContext(
+    method,
+    $container = $paymentOptions.querySelector(`[data-payment-form="${method.code}"]`),
+  ) {
+    return {
+      cartId: getCartId(),
+      cart: currentCartData,
+      $container,
+      returnUrl: getReturnUrl(),
+      placeholders,
+    };
+  }
+
+  /**
+   * Checks that an available payment method is selected and its form is complete
+   * @returns {boolean} True if the order can be paid with the selected method
+   */
+  function checkPaymentMethod() {
+    const method = getSelectedPaymentMethod();
+    const error = method
+      ? method.validate?.(getPaymentContext(method))
+      : placeholders?.Global?.CheckoutPaymentMethodRequired || 'Select a payment method';
+    if (error) {
+      displayErrors({ paymentMethod: error });
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Highlights the selected payment option and shows the form of its method only
+   */
+  function handlePaymentMethodChange() {
+    $paymentOptions.querySelectorAll('.checkout__payment-option').forEach(($option) => {
+      const selected = $option.querySelector('.checkout__radio').checked;
+      $option.classList.toggle('checkout__payment-option--selected', selected);
+      const $methodForm = $option.querySelector('.checkout__payment-form');
+      if ($methodForm) {
+        $methodForm.hidden = !selected;
+      }
+    });
+  }
+
+  /**
+   * Renders the payment methods the cart can be paid with as radio options. Options are only
+   * rendered again when the methods change, e.g. when a gift card covers the total, so what was
+   * entered in their forms is kept. The selected method stays selected while it is offered.
+   */
+  function renderPaymentMethods() {
+    const methods = getAvailablePaymentMethods(currentCartData);
+    const codes = methods.map(({ code }) => code).join(',');
+    if ($paymentOptions.dataset.methods === codes) {
+      return;
+    }
+    $paymentOptions.dataset.methods = codes;
+
+    if (methods.length === 0) {
+      $paymentOptions.innerHTML = `<p class="checkout__payment-empty">${placeholders?.Global?.CheckoutNoPaymentMethods || 'No payment methods are available for this cart.'}</p>`;
+      return;
+    }
+
+    const selectedCode = new FormData($form).get('paymentMethod');
+    $paymentOptions.replaceChildren(...methods.map((method) => {
+      const id = `payment-${method.code}`;
+      const $option = document.createElement('div');
+      $option.className = 'checkout__payment-option';
+      $option.innerHTML = `
+        <input type="radio" id="${id}" name="paymentMethod" class="checkout__radio" required />
+        <label for="${id}" class="checkout__payment-label">
+          <span class="checkout__payment-name"></span>
+          ${method.description ? '<span class="checkout__payment-description"></span>' : ''}
+        </label>
+      `;
+      $option.querySelector('.checkout__payment-name').textContent = method.title;
+      $option.querySelector('.checkout__payment-description')?.append(method.description || '');
+
+      const $radio = $option.querySelector('.checkout__radio');
+      $radio.value = method.code;
+      $radio.checked = method.code === selectedCode;
+      $radio.addEventListener('change', handlePaymentMethodChange);
+
+      if (method.renderForm) {
+        const $methodForm = document.createElement('div');
+        $methodForm.className = 'checkout__payment-form';
+        $methodForm.dataset.paymentForm = method.code;
+        $option.append($methodForm);
+        method.renderForm($methodForm, getPaymentContext(method, $methodForm));
+      }
+      return $option;
+    }));
+
+    // The first method is selected when the one chosen before is no longer offered
+    if (!$paymentOptions.querySelector('.checkout__radio:checked')) {
+      $paymentOptions.querySelector('.checkout__radio').checked = true;
+    }
+    handlePaymentMethodChange();
+  }
+
+  /**
+   * Summarizes what was entered in a step
+   * @param {string} step - Step name
+   * @returns {string} Summary shown once the step is complete
+   */
+  function getStepSummary(step) {
+    const values = getFormValues();
+    switch (step) {
+      case 'contact':
+        return values.guestEmail;
+      case 'shipping-address':
+        return formatAddress(values);
+      case 'shipping-method':
+        return formatShippingMethod(selectedShippingMethod);
+      case 'billing':
+        return values.billingSameAsShipping
+          ? placeholders?.Global?.CheckoutBillingSameAsShipping || 'Billing address same as shipping'
+          : formatAddress(values.billingAddress);
+      case 'payment':
+        return [
+          $form.querySelector('input[name="paymentMethod"]:checked + label .checkout__payment-name')?.textContent,
+          getStepSummary('billing'),
+        ].filter(Boolean).join('. ');
+      default:
+        return '';
+    }
+  }
+
+  /**
+   * Lists the steps entered before placing the order
+   */
+  function renderReview() {
+    const rows = [
+      [placeholders?.Global?.Email || 'Email', 'contact'],
+      [placeholders?.Global?.ShippingAddress || 'Shipping Address', 'shipping-address'],
+      [placeholders?.Global?.ShippingMethod || 'Shipping Method', 'shipping-method'],
+      [placeholders?.Global?.BillingAddress || 'Billing Address', 'billing'],
+      [placeholders?.Global?.PaymentMethod || 'Payment Method', 'payment'],
+    ];
+    $review.replaceChildren(...rows.flatMap(([label, step]) => {
+      const $term = document.createElement('dt');
+      $term.textContent = label;
+      const $description = document.createElement('dd');
+      $description.textContent = getStepSummary(step);
+      return [$term, $description];
+    }));
+  }
+
+  /**
+   * Shows a step. Steps before it are collapsed to their summary, with an Edit button, and
+   * steps after it are collapsed. Fields are only hidden, so going back keeps what was entered.
+   * @param {string} step - Step name
+   * @param {Object} [options]
+   * @param {boolean} [options.focus=true] - Moves the focus to the first field of the step
+   */
+  function goToStep(step, { focus = true } = {}) {
+    currentStep = step;
+    const currentIndex = CHECKOUT_STEPS.indexOf(step);
+
+    $steps.forEach(($step) => {
+      const index = CHECKOUT_STEPS.indexOf($step.dataset.step);
+      const isComplete = index < currentIndex;
+      $step.classList.toggle('checkout__step--current', index === currentIndex);
+      $step.classList.toggle('checkout__step--complete', isComplete);
+      $step.querySelector('.checkout__step-body').hidden = index !== currentIndex;
+      $step.querySelector('.checkout__step-edit').hidden = !isComplete;
+      const $stepSummary = $step.querySelector('.checkout__step-summary');
+      $stepSummary.textContent = isComplete ? getStepSummary($step.dataset.step) : '';
+      $stepSummary.hidden = !isComplete;
+    });
+
+    if (step === 'review') {
+      renderReview();
+    }
+
+    if (focus) {
+      const $current = $form.querySelector(`.checkout__step[data-step="${step}"]`);
+      const $field = [...$current.querySelectorAll('input:not([disabled]):not([type="radio"]), select:not([disabled]), input[type="radio"]:checked:not([disabled])')]
+        .find(($element) => !$element.closest('[hidden]'))
+        ?? $current.querySelector('.checkout__step-body button');
+      $field?.focus();
+    }
+  }
+
+  /**
+   * Applies a shipping method to the cart, which publishes it and refreshes the totals
+   * @param {Object} method - Shipping method of the App Builder action
+   * @returns {Promise<boolean>} True if the method was applied
+   */
+  async function selectShippingMethod(method) {
+    const values = getFormValues();
+    $shippingMethods.disabled = true;
+    try {
+      await estimateTotals({
+        country_code: values.country_code,
+        region: values.region,
+        region_id: values.region_id,
+        postcode: values.postcode,
+      }, method);
+      selectedShippingMethod = method;
+      displayErrors({});
+      return true;
+    } catch (error) {
+      console.error('Error selecting shipping method:', error);
+      selectedShippingMethod = null;
+      displayErrors({ shippingMethod: error.message || placeholders?.Global?.CheckoutShippingMethodError || 'The shipping method could not be applied' });
+      return false;
+    } finally {
+      $shippingMethods.disabled = false;
+      $shippingOptions.querySelectorAll('.checkout__radio').forEach(($radio) => {
+        $radio.checked = isSameShippingMethod({
+          carrier_code: $radio.dataset.carrierCode,
+          method_code: $radio.dataset.methodCode,
+        }, selectedShippingMethod);
+      });
+    }
+  }
+
+  /**
+   * Renders the shipping methods offered for the shipping address as radio options
+   */
+  function renderShippingMethods() {
+    if (shippingMethods.length === 0) {
+      $shippingOptions.innerHTML = `<p class="checkout__shipping-empty">${placeholders?.Global?.CheckoutNoShippingMethods || 'No shipping methods are available for this address.'}</p>`;
+      return;
+    }
+
+    $shippingOptions.replaceChildren(...shippingMethods.map((method) => {
+      const id = `shipping-${method.carrier_code}-${method.method_code}`;
+      const $option = document.createElement('div');
+      $option.className = `checkout__shipping-option${method.available ? '' : ' checkout__shipping-option--disabled'}`;
+      $option.innerHTML = `
+        <input type="radio" id="${id}" name="shippingMethod" class="checkout__radio" />
+        <label for="${id}" class="checkout__shipping-label">
+          <span class="checkout__shipping-name"></span>
+          <span class="checkout__shipping-price">${formatPrice(method.amount)}</span>
+        </label>
+        ${method.available ? '' : '<span class="checkout__shipping-message"></span>'}
+      `;
+      $option.querySelector('.checkout__shipping-name').textContent = [method.carrier_title, method.method_title]
+        .filter(Boolean).join(' - ');
+      $option.querySelector('.checkout__shipping-message')?.append(method.error_message || '');
+
+      const $radio = $option.querySelector('.checkout__radio');
+      $radio.dataset.carrierCode = method.carrier_code;
+      $radio.dataset.methodCode = method.method_code;
+      $radio.disabled = !method.available;
+      $radio.checked = isSameShippingMethod(method, selectedShippingMethod);
+      $radio.addEventListener('change', () => selectShippingMethod(method));
+      return $option;
+    }));
+  }
+
+  /**
+   * Loads the shipping methods of the shipping address. The method chosen before, here or in
+   * the cart's shipping estimator, stays selected when the address still offers it.
+   * @returns {Promise<boolean>} True if the methods were loaded
+   */
+  async function loadShippingMethods() {
+    const values = getFormValues();
+    try {
+      shippingMethods = await estimateShipping({
+        country_code: values.country_code,
+        region: values.region,
+        region_id: values.region_id,
+        postcode: values.postcode,
+      });
+    } catch (error) {
+      console.error('Error loading shipping methods:', error);
+      showNotification(error.message || placeholders?.Global?.CheckoutShippingMethodsError || 'Shipping methods could not be loaded', 'error');
+      return false;
+    }
+
+    const previousMethod = selectedShippingMethod ?? getShippingEstimate()?.shippingMethod;
+    const method = shippingMethods.find((option) => option.available
+      && isSameShippingMethod(option, previousMethod));
+    selectedShippingMethod = null;
+    renderShippingMethods();
+    if (method) {
+      await selectShippingMethod(method);
+    }
+    return true;
+  }
+
+  /**
+   * Checks the current step and moves to the next one
+   * @param {string} step - Step name
+   */
+  async function continueFrom(step) {
+    if (STEP_FIELDS[step]) {
+      const { errors } = validateValues(getFormValues());
+      const stepErrors = Object.fromEntries(
+        Object.entries(errors).filter(([field]) => STEP_FIELDS[step].includes(field)),
+      );
+      displayErrors(stepErrors);
+      if (Object.keys(stepErrors).length > 0) {
+        return;
+      }
+    }
+
+    if (step === 'shipping-address') {
+      await saveToAddressBook('');
+      saveAddress(getAddressValues(getFormValues()));
+      const $continue = $form.querySelector('[data-step="shipping-address"] .checkout__step-continue');
+      $continue.disabled = true;
+      const loaded = await loadShippingMethods();
+      $continue.disabled = false;
+      if (!loaded) {
+        return;
+      }
+    }
+
+    if (step === 'shipping-method' && !selectedShippingMethod) {
+      displayErrors({ shippingMethod: placeholders?.Global?.CheckoutShippingMethodRequired || 'Select a shipping method' });
+      return;
+    }
+
+    if (step === 'payment') {
+      if (!checkPaymentMethod()) {
+        return;
+      }
+      if (!$billingSameAsShipping.checked) {
+        await saveToAddressBook(BILLING_PREFIX);
+      }
+    }
+
+    goToStep(CHECKOUT_STEPS[CHECKOUT_STEPS.indexOf(step) + 1]);
+  }
+
+  /**
+   * Shows the confirmation of a placed order in place of the checkout
+   * @param {{ orderNumber: string }} order - Placed order
+   */
+  function renderOrderSuccess({ orderNumber }) {
+    $wrapper.style.display = 'none';
+    $empty.style.display = 'block';
+    $empty.innerHTML = `
+      <div class="checkout__empty-content">
+        <svg class="checkout__success-icon" width="64" height="64" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+          <path d="M9 12L11 14L15 10M21 12C21 16.9706 16.9706 21 12 21C7.02944 21 3 16.9706 3 12C3 7.02944 7.02944 3 12 3C16.9706 3 21 7.02944 21 12Z" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
+        </svg>
+        <h2 class="checkout__success-title">${placeholders?.Global?.OrderPlacedSuccessfully || 'Order Placed Successfully!'}</h2>
+        ${orderNumber ? `<p class="checkout__success-message">
+          ${placeholders?.Global?.OrderNumber || 'Order Number'}: <strong>${orderNumber}</strong>
+        </p>` : ''}
+        <p class="checkout__success-message">
+          ${placeholders?.Global?.ThankYouMessage || 'Thank you for your order. You will receive a confirmation email shortly.'}
+        </p>
+        <a href="${rootLink('/')}" class="button button--primary checkout__success-button">
+          ${placeholders?.Global?.ContinueShopping || 'Continue Shopping'}
+        </a>
+      </div>
+    `;
+  }
+
+  /**
+   * Hands a placed order over to the order drop-in. The URL becomes the order's details page,
+   * so a refresh opens the order there, and the order confirmation containers are rendered in
+   * place of the checkout: header with account creation for guests, status, customer details
+   * and addresses, costs and items. Orders without an order reference, e.g. from an App Builder
+   * action that doesn't return the guest token, only get a success message.
+   * @param {Object} order - Placed order, as saved in the checkout state
+   * @param {string} order.orderNumber - Order number
+   * @param {string|null} order.orderRef - Order number for customers, order token for guests
+   * @param {boolean} order.customerOrder - Whether a signed-in customer placed the order
+   */
+  async function renderOrderConfirmation({ orderNumber, orderRef, customerOrder }) {
+    if (!orderRef) {
+      renderOrderSuccess({ orderNumber });
+      return;
+    }
+
+    try {
+      const params = new URLSearchParams({ orderRef });
+      if (!customerOrder) {
+        params.set('orderNumber', orderNumber);
+      }
+      const path = customerOrder ? CUSTOMER_ORDER_DETAILS_PATH : ORDER_DETAILS_PATH;
+      window.history.pushState({}, '', rootLink(`${path}?${params}`));
+      window.scrollTo(0, 0);
+
+      // Loaded on demand, most visits never place an order
+      const [containers, fragments, checkoutApi] = await Promise.all([
+        import('./containers.js'),
+        import('./fragments.js'),
+        import('@dropins/storefront-checkout/api.js'),
+        import('../../scripts/initializers/auth.js'),
+      ]);
+      // The order header checks whether a guest's email has an account with the checkout drop-in
+      checkoutApi.setEndpoint(CORE_FETCH_GRAPHQL);
+
+      // Reads the order reference from the URL set above and loads the order, which fills the
+      // containers through `order/data`
+      await import('../../scripts/initializers/order.js');
+
+      const { orderConfirmation } = fragments.selectors;
+      const $confirmation = fragments.createOrderConfirmationFragment();
+      const $footer = $confirmation.querySelector(orderConfirmation.footer);
+      $footer.innerHTML = fragments.createOrderConfirmationFooter(rootLink(SUPPORT_PATH));
+      const render = (renderContainer, selector) => (
+        renderContainer($confirmation.querySelector(selector))
+      );
+      const rendering = Promise.all([
+        render(containers.renderOrderHeader, orderConfirmation.header),
+        render(containers.renderOrderStatus, orderConfirmation.orderStatus),
+        render(containers.renderShippingStatus, orderConfirmation.shippingStatus),
+        render(containers.renderCustomerDetails, orderConfirmation.customerDetails),
+        render(containers.renderOrderCostSummary, orderConfirmation.orderCostSummary),
+        render(containers.renderOrderGiftOptions, orderConfirmation.giftOptions),
+        render(containers.renderOrderProductList, orderConfirmation.orderProductList),
+        render(containers.renderOrderConfirmationFooterButton, orderConfirmation.continueButton),
+      ]);
+      block.replaceChildren($confirmation);
+      await rendering;
+    } catch (error) {
+      // The order is placed either way, fall back to the success message
+      console.error('Error rendering the order confirmation:', error);
+      if (!$empty.isConnected) {
+        block.replaceChildren($empty);
+      }
+      renderOrderSuccess({ orderNumber });
+    }
+  }
+
+  /**
+   * Publishes the `place-order` event of an order on the Adobe Data Layer
+   * @param {Object} orderedCart - App Builder cart the order was placed from
+   * @param {string} orderNumber - Order number
+   */
+  function publishOrder(orderedCart, orderNumber) {
+    const shippingMethod = orderedCart.shipping_addresses?.[0]?.selected_shipping_method;
+    const { code: paymentCode = '', title } = orderedCart.selected_payment_method ?? {};
+    publishPlaceOrder({
+      orderNumber,
+      email: orderedCart.email || customer?.email || $form.elements.guestEmail?.value || '',
+      cart: transformCart(orderedCart),
+      shippingMethod: shippingMethod
+        ? `${shippingMethod.carrier_code}_${shippingMethod.method_code}` : '',
+      paymentMethod: paymentCode ? {
+        code: paymentCode,
+        title: title || getPaymentMethod(paymentCode)?.title || paymentCode,
+      } : undefined,
+    });
+  }
+
+  /**
+   * Places the order of the prepared cart, clears the cart and shows the confirmation. The
+   * checkout is recorded as `placing` before the order is sent, so if the page is left during
+   * the call the next visit places it again, and a cart found already ordered then means the
+   * interrupted call placed the order.
+   * @param {string} cartId - App Builder cart ID
+   * @param {Object} [preparedCart] - Cart returned by `checkout-prepare`, fetched if not given
+   */
+  async function completeOrder(cartId, preparedCart) {
+    // The cart can't be fetched once it is ordered, the order's analytics are taken from it
+    const orderedCart = preparedCart ?? await getCart(cartId).catch(() => null);
+
+    const { status: previousStatus } = getCheckoutState() ?? {};
+    const wasPlacing = previousStatus === CHECKOUT_STATUS.PLACING;
+    saveCheckoutState({ cartId, status: CHECKOUT_STATUS.PLACING });
+
+    let orderResult;
+    try {
+      orderResult = await placeOrder(cartId);
+    } catch (orderError) {
+      if (!wasPlacing || getCartErrorReason(orderError) !== CART_ERROR_REASONS.INACTIVE) {
+        console.error('Error in placeOrder:', orderError);
+        // Only an answered call is known not to have placed the order
+        if (!wasPlacing && !orderError.retryable) {
+          saveCheckoutState({ cartId, status: previousStatus ?? CHECKOUT_STATUS.PREPARED });
+        }
+        throw new Error(`Failed to place order: ${orderError.message || orderError}`);
+      }
+      // Its number isn't known, the confirmation email has it
+      orderResult = { order: {} };
+    }
+
+    if (!orderResult || !orderResult.order) {
+      throw new Error('Failed to place order');
+    }
+
+    const orderNumber = orderResult.orderNumber || orderResult.order?.order?.number || '';
+    const state = saveCheckoutState({
+      cartId,
+      status: CHECKOUT_STATUS.ORDERED,
+      orderNumber,
+      // Customers open their orders by number, guests with the order token
+      orderRef: customer ? orderNumber : orderResult.order?.order?.token || null,
+      customerOrder: !!customer,
+    });
+    if (orderedCart) {
+      publishOrder(orderedCart, orderNumber);
+    }
+    clearCartId();
+    await renderOrderConfirmation(state);
+  }
+
   /**
    * Handles place order button click
    */
@@ -848,133 +1925,141 @@ export default async function decorate(block) {
       return;
     }
 
-    // Get form data
-    const formData = new FormData($form);
-    const selectedPaymentMethod = formData.get('paymentMethod');
-    
-    // Ensure only PayPal is allowed
-    if (selectedPaymentMethod !== 'paypal') {
-      showNotification('Only PayPal payment method is currently available', 'error');
-      // Force PayPal selection
-      const paypalRadio = $form.querySelector('#payment-paypal');
-      if (paypalRadio) {
-        paypalRadio.checked = true;
-      }
+    // A checkout whose payment was approved or whose order was sent is finished, not started
+    // over, so the payment isn't taken twice
+    const savedState = getCheckoutState();
+    if (savedState?.cartId === cartId && RESUMED_STATUSES.includes(savedState.status)) {
+      await resumeCheckout();
       return;
     }
 
-    const data = {
-      guestEmail: formData.get('guestEmail')?.trim() || '',
-      firstname: formData.get('firstname')?.trim() || '',
-      lastname: formData.get('lastname')?.trim() || '',
-      company: formData.get('company')?.trim() || '',
-      street: formData.get('street')?.trim() || '',
-      city: formData.get('city')?.trim() || '',
-      region: formData.get('region')?.trim() || '',
-      postcode: formData.get('postcode')?.trim() || '',
-      country_code: formData.get('country_code')?.trim() || '',
-      telephone: formData.get('telephone')?.trim() || '',
-      paymentMethod: 'paypal', // Always use PayPal
-    };
+    if (!checkPaymentMethod()) {
+      goToStep('payment');
+      return;
+    }
+
+    const paymentMethod = getSelectedPaymentMethod();
+    const data = getFormValues();
 
-    // Validate form
-    const validation = validateForm(data);
+    // Validate form, and go back to the first step with errors
+    const validation = validateValues(data);
     if (!validation.isValid) {
+      const invalidStep = CHECKOUT_STEPS.find(
+        (step) => STEP_FIELDS[step]?.some((field) => validation.errors[field]),
+      );
+      goToStep(invalidStep);
       displayErrors(validation.errors);
       showNotification('Please fill in all required fields', 'error');
       return;
     }
 
+    if (!selectedShippingMethod) {
+      goToStep('shipping-method');
+      displayErrors({ shippingMethod: placeholders?.Global?.CheckoutShippingMethodRequired || 'Select a shipping method' });
+      return;
+    }
+
     // Save address to localStorage
-    const addressToSave = {
-      guestEmail: data.guestEmail,
-      firstname: data.firstname,
-      lastname: data.lastname,
-      company: data.company,
-      street: data.street,
-      city: data.city,
-      region: data.region,
-      postcode: data.postcode,
-      country_code: data.country_code,
-      telephone: data.telephone,
-    };
-    saveAddress(addressToSave);
+    saveAddress(getAddressValues(data));
 
     // Prepare checkout data
     const checkoutData = {
       cartId,
-      guestEmail: data.guestEmail,
-      shippingAddress: {
-        vat_id: '',
-        city: data.city,
-        custom_attributes: [],
-        company: data.company || '',
-        country_code: data.country_code,
-        firstname: data.firstname,
-        lastname: data.lastname,
-        postcode: data.postcode,
-        region: 'CA',
-        region_id: 12, // Default region ID, should be dynamic
-        street: [data.street, ''],
-        telephone: data.telephone,
-      },
+      // Customer carts take the account's email, the order is attached to it by the token
+      ...(customer ? {} : { guestEmail: data.guestEmail }),
+      shippingAddress: toCartAddress(data),
+      billingAddress: toCartAddress(data.billingSameAsShipping ? data : data.billingAddress),
       shippingMethod: {
-        carrier_code: 'flatrate',
-        method_code: 'flatrate',
-      },
-      paymentMethod: {
-        code: 'checkmo',
+        carrier_code: selectedShippingMethod.carrier_code,
+        method_code: selectedShippingMethod.method_code,
       },
+      paymentMethod: paymentMethod.getPaymentInput?.(getPaymentContext(paymentMethod))
+        ?? { code: paymentMethod.code },
     };
 
     try {
       $placeOrderBtn.disabled = true;
       $placeOrderBtn.textContent = placeholders?.Global?.PlacingOrder || 'Placing Order...';
 
+      // Stock may have changed since the page loaded, check the cart again before submitting
+      if (getUnavailableItems(await loadAppBuilderCart()).length > 0) {
+        throw new Error(placeholders?.Global?.CheckoutUnavailableItems || 'Some items in your cart are no longer available. Update your cart to continue.');
+      }
+
       // Step 1: Prepare checkout
       const checkoutResult = await prepareCheckout(checkoutData);
-      
       if (!checkoutResult) {
         throw new Error('Failed to prepare checkout');
       }
+      saveCheckoutState({
+        cartId,
+        status: CHECKOUT_STATUS.PREPARED,
+        paymentMethod: paymentMethod.code,
+        paypalOrderId: null,
+        orderNumber: null,
+      });
 
-      // Step 2: Create PayPal order
-      const cartId = getCartId();
-      const amount = {
-        value: currentCartData.prices.grandTotal.value,
-        currency_code: currentCartData.prices.grandTotal.currency,
-      };
-
-      const paypalResult = await createPayPalOrder(cartId, amount, []);
-      
-      if (!paypalResult || !paypalResult.approvalUrl) {
-        throw new Error('Failed to create PayPal order');
+      // Step 2: Let the payment method take the payment, redirecting to its provider if it has one.
+      // The prepared cart has the totals of the address and shipping method.
+      const { redirectUrl } = await paymentMethod.beforePlaceOrder?.({
+        ...getPaymentContext(paymentMethod),
+        cart: transformCartData(checkoutResult),
+      }) ?? {};
+      if (redirectUrl) {
+        showNotification(`${placeholders?.Global?.CheckoutRedirectingTo || 'Redirecting to'} ${paymentMethod.title}...`, 'info');
+        window.location.href = redirectUrl;
+        return;
       }
 
-      // Step 3: Redirect to PayPal approval URL
-      showNotification('Redirecting to PayPal...', 'info');
-      window.location.href = paypalResult.approvalUrl;
+      // Step 3: Place the order
+      await completeOrder(cartId, checkoutResult);
     } catch (error) {
       showNotification(error.message || 'Failed to place order', 'error');
-      $placeOrderBtn.disabled = false;
+      $placeOrderBtn.disabled = unavailableItems.length > 0;
       $placeOrderBtn.textContent = placeholders?.Global?.PlaceOrder || 'Place Order';
     }
   }
 
   /**
-   * Handles PayPal return callback
-   * Processes payment capture and order placement
+   * Shows why a payment couldn't be completed in place of the checkout
+   * @param {Error} error - Payment error
    */
-  async function handlePayPalReturn() {
-    const urlParams = new URLSearchParams(window.location.search);
-    const token = urlParams.get('token');
-    const payerId = urlParams.get('PayerID');
+  function renderPaymentError(error) {
+    $wrapper.style.display = 'none';
+    $empty.style.display = 'block';
+    $empty.innerHTML = `
+      <div class="checkout__empty-content">
+        <h2>${placeholders?.Global?.PaymentError || 'Payment Processing Error'}</h2>
+        <p></p>
+        <a href="${rootLink('/cart')}" class="button button--primary">${placeholders?.Global?.BackToCart || 'Back to Cart'}</a>
+      </div>
+    `;
+    $empty.querySelector('p').textContent = error.message || 'An error occurred while processing your payment. Please try again.';
+  }
 
-    console.log('handlePayPalReturn called with token:', token, 'PayerID:', payerId);
+  /**
+   * Picks up a checkout where it stopped, following the saved checkout state. An approved
+   * payment is captured and a captured one gets its order placed, each step being recorded
+   * before it is sent and once done, so a reload or a closed tab never takes a payment or
+   * places an order twice: a capture or an order interrupted midway is sent again, and counts
+   * as done if the provider or the cart shows it went through. An order placed shortly before
+   * is shown again.
+   * @returns {Promise<boolean>} True if the checkout was resumed, false if there was nothing to
+   * resume and the checkout form is shown
+   */
+  async function resumeCheckout() {
+    const cartId = getCartId();
+    const state = getCheckoutState();
 
-    if (!token) {
-      console.warn('No token found in URL');
-      // No token in URL, proceed with normal checkout flow
+    if (state?.status === CHECKOUT_STATUS.ORDERED) {
+      if (!cartId && Date.now() - state.updatedAt < ORDER_CONFIRMATION_TTL) {
+        await renderOrderConfirmation(state);
+        return true;
+      }
+      clearCheckoutState();
+      return false;
+    }
+    if (!cartId || state?.cartId !== cartId || !RESUMED_STATUSES.includes(state.status)) {
       return false;
     }
 
@@ -989,169 +2074,185 @@ export default async function decorate(block) {
     `;
 
     try {
-      // Step 1: Capture PayPal payment
-      console.log('Starting PayPal capture with token:', token);
-      // showNotification('Capturing payment...', 'info');
-      
-      let captureResult;
-      try {
-        captureResult = await capturePayPalOrder(token);
-        console.log('PayPal capture result:', captureResult);
-      } catch (captureError) {
-        console.error('Error in capturePayPalOrder:', captureError);
-        throw new Error(`Failed to capture payment: ${captureError.message || captureError}`);
-      }
-
-      // Check if payment capture was successful and status is SUCCESS
-      if (!captureResult) {
-        throw new Error('Payment capture returned no result');
-      }
-
-      console.log('Capture result status:', captureResult.status);
-      console.log('Capture result status:', captureResult.status);
-
-      if (captureResult.status !== 'SUCCESS') {
-        const statusMsg = captureResult?.status || captureResult?.status || 'unknown';
-        throw new Error(`Payment capture was not completed successfully. Status: ${statusMsg}`);
-      }
-
-      console.log('Payment capture successful, proceeding to place order...');
-
-      // Step 2: Place order if payment is completed
-      const cartId = getCartId();
-      console.log('Cart ID:', cartId);
-      if (!cartId) {
-        throw new Error('Cart not found');
+      // Step 1: Take the approved payment
+      if ([CHECKOUT_STATUS.APPROVED, CHECKOUT_STATUS.CAPTURING].includes(state.status)) {
+        const method = getPaymentMethod(state.paymentMethod);
+        if (!method?.completePayment) {
+          throw new Error('Payment method not found');
+        }
+        await method.completePayment(state, getPaymentContext(method));
       }
 
-      console.log('Placing order with cartId:', cartId);
-      // Update UI to show placing order status
+      // Step 2: Place the order
       $empty.innerHTML = `
         <div class="checkout__empty-content">
           <h2>${placeholders?.Global?.PlacingOrder || 'Placing Your Order...'}</h2>
           <p>${placeholders?.Global?.PleaseWait || 'Please wait while we process your order.'}</p>
         </div>
       `;
-      
-      let orderResult;
-      try {
-        orderResult = await placeOrder(cartId);
-        console.log('Order placement result:', orderResult);
-      } catch (orderError) {
-        console.error('Error in placeOrder:', orderError);
-        throw new Error(`Failed to place order: ${orderError.message || orderError}`);
-      }
-
-      if (!orderResult || !orderResult.order) {
-        throw new Error('Failed to place order');
-      }
-
-      // Step 3: Clear cart and show success
-      clearCartId();
-
-      // Show success message
-      $empty.innerHTML = `
-        <div class="checkout__empty-content">
-          <svg class="checkout__success-icon" width="64" height="64" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
-            <path d="M9 12L11 14L15 10M21 12C21 16.9706 16.9706 21 12 21C7.02944 21 3 16.9706 3 12C3 7.02944 7.02944 3 12 3C16.9706 3 21 7.02944 21 12Z" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
-          </svg>
-          <h2 class="checkout__success-title">${placeholders?.Global?.OrderPlacedSuccessfully || 'Order Placed Successfully!'}</h2>
-          <p class="checkout__success-message">
-            ${placeholders?.Global?.OrderNumber || 'Order Number'}: <strong>${orderResult.orderNumber || orderResult.order?.order?.number || ''}</strong>
-          </p>
-          <p class="checkout__success-message">
-            ${placeholders?.Global?.ThankYouMessage || 'Thank you for your order. You will receive a confirmation email shortly.'}
-          </p>
-          <a href="${rootLink('/')}" class="button button--primary checkout__success-button">
-            ${placeholders?.Global?.ContinueShopping || 'Continue Shopping'}
-          </a>
-        </div>
-      `;
+      await completeOrder(cartId);
+    } catch (error) {
+      console.error('Error completing the order:', error);
+      renderPaymentError(error);
+    }
+    return true;
+  }
 
-      // showNotification('Order placed successfully!', 'success');
+  /**
+   * Handles the shopper's return from a payment provider. The method records the return in the
+   * checkout state, the provider's parameters are removed from the URL, and the checkout is
+   * resumed from the state, so reloading the page or going back to it doesn't repeat anything.
+   * @param {Object} method - Payment method the shopper returns from
+   * @returns {Promise<boolean>} True if the checkout form isn't to be shown
+   */
+  async function handlePaymentReturn(method) {
+    let result;
+    let returnError = null;
+    try {
+      result = await method.onReturn(urlParams, getPaymentContext(method));
+    } catch (error) {
+      returnError = error;
+    }
 
-      // Redirect to home page after 2 seconds
-      // setTimeout(() => {
-      //   window.location.href = rootLink('/');
-      // }, 3000);
+    const url = new URL(window.location.href);
+    (method.returnParams ?? []).forEach((param) => url.searchParams.delete(param));
+    window.history.replaceState(window.history.state, '', url);
 
+    if (returnError) {
+      console.error('Error processing payment return:', returnError);
+      renderPaymentError(returnError);
       return true;
-    } catch (error) {
-      console.error('Error processing PayPal return:', error);
-      // showNotification(error.message || 'Failed to process payment', 'error');  
-      
-      // Show error state
-      $empty.innerHTML = `
-        <div class="checkout__empty-content">
-          <h2>${placeholders?.Global?.PaymentError || 'Payment Processing Error'}</h2>
-          <p>${error.message || 'An error occurred while processing your payment. Please try again.'}</p>
-          <a href="${rootLink('/cart')}" class="button button--primary">${placeholders?.Global?.BackToCart || 'Back to Cart'}</a>
-        </div>
-      `;
+    }
+    if (result?.cancelled) {
+      showNotification(placeholders?.Global?.CheckoutPaymentCancelled || 'Your payment was cancelled. Choose a payment method to place your order.', 'info');
       return false;
     }
+    return resumeCheckout();
   }
 
   /**
-   * Handles payment method selection
+   * Gets the name a form field shows its error under
+   * @param {HTMLElement} $input - Form field
+   * @returns {string|null} Field name, e.g. `billing_region` for the billing region dropdown,
+   * null for fields without an error message of their own
    */
-  function handlePaymentMethodChange() {
-    const paymentOptions = $form.querySelectorAll('.checkout__payment-option');
-    paymentOptions.forEach((option) => {
-      const radio = option.querySelector('.checkout__radio');
-      if (radio && radio.checked) {
-        option.classList.add('checkout__payment-option--selected');
-      } else {
-        option.classList.remove('checkout__payment-option--selected');
-      }
-    });
+  function getErrorFieldName($input) {
+    if (!$input.name || ['radio', 'checkbox'].includes($input.type)) {
+      return null;
+    }
+    const field = $input.name.replace(/region_id$/, 'region');
+    return document.getElementById(`${field}-error`) ? field : null;
   }
 
-  // Initialize payment method styling
-  const paypalRadio = $form.querySelector('#payment-paypal');
-  if (paypalRadio) {
-    paypalRadio.checked = true;
-    handlePaymentMethodChange();
-    
-    // Add event listener for payment method changes
-    const paymentRadios = $form.querySelectorAll('input[name="paymentMethod"]');
-    paymentRadios.forEach((radio) => {
-      radio.addEventListener('change', () => {
-        // Prevent COD selection
-        if (radio.value === 'cod') {
-          radio.checked = false;
-          paypalRadio.checked = true;
-          showNotification('Cash on Delivery is not available yet. Please use PayPal.', 'info');
-        }
-        handlePaymentMethodChange();
-      });
-    });
+  /**
+   * Validates a field and shows or clears its error
+   * @param {string} field - Field name
+   */
+  function validateField(field) {
+    const { errors } = validateValues(getFormValues());
+    showFieldError(field, errors[field]);
   }
 
   // Event listeners
   $placeOrderBtn.addEventListener('click', handlePlaceOrder);
 
-  // Check if this is a PayPal return callback
-  if (isPayPalReturn && paypalToken) {
-    console.log('PayPal return detected, token:', paypalToken);
-    console.log('Calling handlePayPalReturn...');
-    try {
-      // This is a PayPal return, process payment capture and order placement
-      const paypalReturnSuccess = await handlePayPalReturn();
-      console.log('PayPal return handler completed, success:', paypalReturnSuccess);
-      if (!paypalReturnSuccess) {
-        // If PayPal return failed, still try to load cart for error display
-        await loadCart();
-      }
-    } catch (error) {
-      console.error('Error in PayPal return handler:', error);
-      showNotification(error.message || 'Failed to process PayPal return', 'error');
-      await loadCart();
+  ['', BILLING_PREFIX].forEach((prefix) => {
+    renderCountries(prefix);
+    renderRegions(prefix);
+    renderAddressRules(prefix);
+    getAddressElements(prefix).$country.addEventListener('change', () => {
+      renderRegions(prefix);
+      renderAddressRules(prefix);
+      // The region, postcode and phone number are checked again for the new country
+      ['region', 'postcode', 'telephone']
+        .map((field) => `${prefix}${field}`)
+        .filter((field) => touchedFields.has(field))
+        .forEach(validateField);
+    });
+  });
+
+  // A field's error is shown once the shopper leaves it, then follows what they type
+  $form.addEventListener('focusout', ({ target }) => {
+    const field = getErrorFieldName(target);
+    if (!field) {
+      return;
     }
-  } else {
-    // Normal checkout flow, load cart
-    console.log('Normal checkout flow, loading cart...');
+    // Show the postcode and phone number the way they are sent
+    const name = field.replace(BILLING_PREFIX, '');
+    if (['postcode', 'telephone'].includes(name)) {
+      const address = readAddress(new FormData($form), field.startsWith(BILLING_PREFIX) ? BILLING_PREFIX : '');
+      target.value = address[name];
+    }
+    touchedFields.add(field);
+    validateField(field);
+  });
+  $form.addEventListener('input', ({ target }) => {
+    const field = getErrorFieldName(target);
+    if (field && touchedFields.has(field)) {
+      validateField(field);
+    }
+  });
+  $billingSameAsShipping.addEventListener('change', toggleBillingAddress);
+
+  // Continue buttons submit the form, so Enter in a field continues too
+  $form.addEventListener('submit', (event) => {
+    // The sign-in form of the email step submits on its own
+    if (event.target !== $form) {
+      return;
+    }
+    event.preventDefault();
+    continueFrom(currentStep);
+  });
+  $email.addEventListener('input', checkEmailAccount);
+  $signInButton.addEventListener('click', showSignInForm);
+  $steps.forEach(($step) => {
+    $step.querySelector('.checkout__step-edit').addEventListener('click', () => goToStep($step.dataset.step));
+  });
+  goToStep(CHECKOUT_STEPS[0], { focus: false });
+
+  // Tell the shopper when their guest cart was merged on sign-in
+  renderMergedCartBanner($mergedCartBanner, placeholders);
+
+  // Explain why the cart was replaced when the stored one could no longer be used
+  events.on(CART_RECOVERED_EVENT, (recovery) => {
+    showNotification(getCartRecoveryMessage(recovery, placeholders), 'info');
+  }, { eager: true });
+
+  // Lines that can't be ordered, with the drop-in's actions to remove them or go back to the cart
+  CheckoutProvider.render(OutOfStock, {
+    routeCart: () => rootLink('/cart'),
+    onCartProductsUpdate: (items) => {
+      updateProductsFromCart(items).catch((error) => {
+        showNotification(error.message || placeholders?.Global?.CartRemoveItemError || 'Failed to remove item', 'error');
+      });
+    },
+  })($outOfStock);
+
+  // Render cart changes made here or in another block once the cart is shown
+  events.on(APPBUILDER_CART_EVENT, (apiCart) => {
+    if (cartLoaded) {
+      renderCart(apiCart);
+    }
+  });
+
+  // Signing in or out switches the cart and the customer, reload them
+  events.on('cart/merged', switchCustomer);
+  events.on('cart/reset', switchCustomer);
+
+  await loadCustomer();
+  // Customers have nothing to enter in the contact step
+  if (customer?.email) {
+    goToStep('shipping-address', { focus: false });
+  }
+
+  // Check if the shopper is back from a payment provider, or left a paid checkout unfinished
+  const resumed = returningPaymentMethod
+    ? await handlePaymentReturn(returningPaymentMethod)
+    : await resumeCheckout();
+  if (!resumed) {
     await loadCart();
+    // An email filled from the last checkout may have an account too
+    checkEmailAccount();
   }
 
   return Promise.resolve();
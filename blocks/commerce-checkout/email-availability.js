@@ -0,0 +1,48 @@
+import { CORE_FETCH_GRAPHQL } from '../../scripts/commerce.js';
+
+/**
+ * Whether the email a shopper checks out with already has an account, with Commerce's
+ * `isEmailAvailable` query. Commerce only tells when "Enable Guest Checkout Login" is on in
+ * Stores > Configuration > Customers > Customer Configuration > Account Information; otherwise
+ * every email is reported available.
+ */
+
+const IS_EMAIL_AVAILABLE_QUERY = `
+  query IS_EMAIL_AVAILABLE($email: String!) {
+    isEmailAvailable(email: $email) {
+      is_email_available
+    }
+  }
+`;
+
+/**
+ * Pending or loaded lookups by email, so an email is looked up once per page
+ * @type {Map<string, Promise<boolean>>}
+ */
+const lookups = new Map();
+
+/**
+ * Checks whether an email is free, i.e. has no customer account
+ * @param {string} email - Email address
+ * @returns {Promise<boolean>} True if no account uses the email
+ */
+export default function isEmailAvailable(email) {
+  const key = email.trim().toLowerCase();
+  if (!lookups.has(key)) {
+    lookups.set(key, CORE_FETCH_GRAPHQL.fetchGraphQl(IS_EMAIL_AVAILABLE_QUERY, {
+      variables: { email: key },
+    })
+      .then(({ data, errors }) => {
+        if (errors?.length) {
+          throw new Error(errors.map(({ message }) => message).join(' '));
+        }
+        return data?.isEmailAvailable?.is_email_available !== false;
+      })
+      .catch((error) => {
+        // Let the next lookup try again
+        lookups.delete(key);
+        throw error;
+      }));
+  }
+  return lookups.get(key);
+}
@@ -0,0 +1,237 @@
+import {
+  createPayPalOrder,
+  capturePayPalOrder,
+} from '../../scripts/appbuilder-storefront.js';
+import { roundAmount } from '../../scripts/commerce-locale.js';
+import {
+  CHECKOUT_STATUS,
+  getCheckoutState,
+  saveCheckoutState,
+} from './checkout-state.js';
+
+/**
+ * Payment methods of the custom checkout. Each method renders its own option, and takes part
+ * in placing the order through its hooks, e.g. to redirect to a payment provider and capture
+ * the payment when the shopper comes back. Other methods are added with
+ * `registerPaymentMethod` before the checkout block is decorated.
+ */
+
+/**
+ * Context given to the hooks of a payment method
+ * @typedef {Object} PaymentContext
+ * @property {string} cartId - App Builder cart ID
+ * @property {Object} cart - Cart data of the checkout, with its `prices`
+ * @property {HTMLElement|null} $container - Container of the method's form, if it renders one
+ * @property {string} returnUrl - URL providers redirect back to
+ * @property {Object} placeholders - Placeholders of the page
+ */
+
+/**
+ * @typedef {Object} PaymentMethod
+ * @property {string} code - Code of the method in the cart's `available_payment_methods`
+ * @property {string} title - Name shown when the backend doesn't give one
+ * @property {string} [description] - Text shown under the name
+ * @property {number} [sortOrder=0] - Position of the option, lowest first
+ * @property {function(Object): boolean} [isAvailable] - Whether the cart can be paid with the
+ * method, when the backend doesn't list the methods it allows
+ * @property {function(HTMLElement, PaymentContext): void} [renderForm] - Renders the fields of
+ * the method, shown while it is selected
+ * @property {function(PaymentContext): (string|null)} [validate] - Returns an error message if
+ * the form isn't complete
+ * @property {function(PaymentContext): Object} [getPaymentInput] - Payment method sent to
+ * `checkout-prepare`, `{ code }` by default
+ * @property {function(PaymentContext): Promise<{ redirectUrl?: string }|void>} [beforePlaceOrder]
+ * - Runs once the checkout is prepared. Returning a `redirectUrl` sends the shopper there
+ * instead of placing the order, which is then placed on return.
+ * @property {function(URLSearchParams): boolean} [isReturn] - Whether the page was opened on the
+ * way back from the method's provider
+ * @property {string[]} [returnParams] - URL parameters added by the provider, removed from the
+ * URL once the return is handled
+ * @property {function(URLSearchParams, PaymentContext): Promise<{ cancelled?: boolean }>}
+ * [onReturn] - Records the return in the checkout state, throws if it isn't the return of the
+ * payment started for the cart. Handling the same return again changes nothing.
+ * @property {function(Object, PaymentContext): Promise<void>} [completePayment] - Takes the
+ * payment of an `approved` checkout state, recording it as `capturing` before and `captured`
+ * once done, throws if it failed. Runs again on the next visit while the state is still
+ * `approved` or `capturing`, so a payment taken by an interrupted call counts as taken.
+ */
+
+/**
+ * Registered payment methods by code
+ * @type {Map<string, PaymentMethod>}
+ */
+const paymentMethods = new Map();
+
+/**
+ * Registers a payment method, replacing a method registered with the same code
+ * @param {PaymentMethod} method - Payment method
+ */
+export function registerPaymentMethod(method) {
+  paymentMethods.set(method.code, method);
+}
+
+/**
+ * Gets a registered payment method
+ * @param {string} code - Method code
+ * @returns {PaymentMethod|null} Payment method, null if none is registered with the code
+ */
+export function getPaymentMethod(code) {
+  return paymentMethods.get(code) ?? null;
+}
+
+/**
+ * Lists the registered methods a cart can be paid with. The backend decides through the cart's
+ * `available_payment_methods`, and the methods' own `isAvailable` is only used when it doesn't
+ * send them.
+ * @param {Object|null} cart - Cart data of the checkout
+ * @param {Array<{ code: string, title: string }>|null} [cart.availablePaymentMethods] - Methods
+ * allowed by the backend
+ * @returns {Array<PaymentMethod>} Methods sorted by `sortOrder`, titled like the backend does
+ */
+export function getAvailablePaymentMethods(cart) {
+  if (!cart) {
+    return [];
+  }
+  const allowed = cart.availablePaymentMethods;
+  return [...paymentMethods.values()]
+    .filter((method) => (allowed
+      ? allowed.some(({ code }) => code === method.code)
+      : method.isAvailable?.(cart) ?? true))
+    .map((method) => ({
+      ...method,
+      title: allowed?.find(({ code }) => code === method.code)?.title || method.title,
+    }))
+    .sort((a, b) => (a.sortOrder ?? 0) - (b.sortOrder ?? 0));
+}
+
+/**
+ * Finds the method whose provider redirected the shopper back to the checkout
+ * @param {URLSearchParams} params - Parameters of the page URL
+ * @returns {PaymentMethod|null} Payment method, null if the page wasn't opened on a return
+ */
+export function findReturningPaymentMethod(params) {
+  return [...paymentMethods.values()].find((method) => method.isReturn?.(params)) ?? null;
+}
+
+/**
+ * Whether a cart has something to pay
+ * @param {Object} cart - Cart data of the checkout
+ * @returns {boolean} True if the grand total is above zero
+ */
+function hasAmountDue(cart) {
+  return (cart.prices?.grandTotal?.value ?? 0) > 0;
+}
+
+/**
+ * Whether a PayPal capture failed because the order was captured before
+ * @param {Error} error - Error thrown by `paypal-order-capture`
+ * @returns {boolean} True for PayPal's `ORDER_ALREADY_CAPTURED`
+ */
+function isAlreadyCaptured(error) {
+  const details = JSON.stringify(error?.details ?? '');
+  return /ORDER_ALREADY_CAPTURED|already (been )?captured/i.test(`${error?.message} ${details}`);
+}
+
+registerPaymentMethod({
+  code: 'paypal_express',
+  title: 'PayPal',
+  description: 'Pay securely with your PayPal account',
+  sortOrder: 10,
+  isAvailable: hasAmountDue,
+  // The payment is taken by the App Builder PayPal actions, Commerce records the order offline
+  getPaymentInput: () => ({ code: 'checkmo' }),
+  async beforePlaceOrder({ cartId, cart, returnUrl }) {
+    // PayPal adds the order ID as `token` to both URLs, `paypal` tells them apart
+    const getUrl = (action) => {
+      const url = new URL(returnUrl);
+      url.searchParams.set('paypal', action);
+      return url.toString();
+    };
+    const { grandTotal } = cart.prices;
+    const result = await createPayPalOrder({
+      cartId,
+      amount: {
+        value: roundAmount(grandTotal.value, grandTotal.currency),
+        currency_code: grandTotal.currency,
+      },
+      items: [],
+      returnUrl: getUrl('return'),
+      cancelUrl: getUrl('cancel'),
+    });
+    if (!result?.approvalUrl) {
+      throw new Error('Failed to create PayPal order');
+    }
+    saveCheckoutState({
+      cartId,
+      status: CHECKOUT_STATUS.PAYPAL_CREATED,
+      paypalOrderId: result.id || new URL(result.approvalUrl).searchParams.get('token'),
+    });
+    return { redirectUrl: result.approvalUrl };
+  },
+  isReturn: (params) => params.has('token'),
+  returnParams: ['paypal', 'token', 'PayerID'],
+  async onReturn(params, { cartId }) {
+    const token = params.get('token');
+    const state = getCheckoutState();
+    if (!state?.paypalOrderId || state.paypalOrderId !== token) {
+      throw new Error('This PayPal payment was not started from this checkout. Go back to your cart to check out again.');
+    }
+    // Returns handled before, e.g. when the return page is reloaded, are resumed as they are
+    if (state.status !== CHECKOUT_STATUS.PAYPAL_CREATED) {
+      return { cancelled: false };
+    }
+    if (state.cartId !== cartId) {
+      throw new Error('Your cart changed while paying with PayPal. Go back to your cart to check out again.');
+    }
+    if (params.get('paypal') === 'cancel') {
+      saveCheckoutState({ cartId, status: CHECKOUT_STATUS.PREPARED, paypalOrderId: null });
+      return { cancelled: true };
+    }
+    saveCheckoutState({ cartId, paypalOrderId: token, status: CHECKOUT_STATUS.APPROVED });
+    return { cancelled: false };
+  },
+  async completePayment({ cartId, paypalOrderId }) {
+    // Recorded first, so a capture interrupted by a reload is checked again, not forgotten
+    saveCheckoutState({ cartId, paypalOrderId, status: CHECKOUT_STATUS.CAPTURING });
+    let result;
+    try {
+      result = await capturePayPalOrder(paypalOrderId);
+    } catch (error) {
+      // PayPal refuses to capture an order twice, the interrupted capture took the payment
+      if (!isAlreadyCaptured(error)) {
+        throw new Error(`Failed to capture payment: ${error.message || error}`);
+      }
+      result = { status: 'SUCCESS' };
+    }
+    if (result?.status !== 'SUCCESS') {
+      // Nothing was taken, the shopper starts the payment again
+      saveCheckoutState({ cartId, status: CHECKOUT_STATUS.PREPARED, paypalOrderId: null });
+      throw new Error(`Payment capture was not completed successfully. Status: ${result?.status || 'unknown'}`);
+    }
+    saveCheckoutState({ cartId, paypalOrderId, status: CHECKOUT_STATUS.CAPTURED });
+  },
+});
+
+registerPaymentMethod({
+  code: 'checkmo',
+  title: 'Check / Money order',
+  description: 'Send a check or money order once your order is placed',
+  sortOrder: 20,
+  isAvailable: hasAmountDue,
+});
+
+registerPaymentMethod({
+  code: 'cashondelivery',
+  title: 'Cash On Delivery',
+  description: 'Pay when you receive your order',
+  sortOrder: 30,
+  isAvailable: hasAmountDue,
+});
+
+registerPaymentMethod({
+  code: 'free',
+  title: 'No Payment Information Required',
+  description: 'Your order is fully covered, there is nothing to pay',
+  sortOrder: 40,
+  isAvailable: (cart) => !hasAmountDue(cart),
+});
@@ -6,7 +6,6 @@
  */
 
 import { Button, Icon, provider as UI } from '@dropins/tools/components.js';
-import * as cartApi from '@dropins/storefront-cart/api.js';
 import { events } from '@dropins/tools/event-bus.js';
 import { readBlockConfig, loadCSS } from '../../scripts/aem.js';
 import {
@@ -16,6 +15,9 @@ import {
   getProductLink,
   rootLink,
 } from '../../scripts/commerce.js';
+import { getProductDetailsBySku } from '../../scripts/appbuilder-storefront.js';
+import * as cartApi from '../../scripts/appbuilder-cart.js';
+import { formatPrice } from '../../scripts/commerce-locale.js';
 
 // Initialize cart
 import '../../scripts/initializers/cart.js';
@@ -30,34 +32,14 @@ const COMPARE_STORAGE_KEY = 'comparedProducts';
  */
 const MAX_COMPARE_PRODUCTS = 3;
 
-/**
- * Base URL for API endpoints
- */
-const BASE_URL = window.BASE_URL || 'https://748062-appbuilderpoc-stage.adobeio-static.net/api/v1/web';
-
 /**
  * Fetches product details by SKU from the API
  * @param {string} sku - Product SKU
  * @returns {Promise<Object|null>} Product data or null if error
  */
 async function fetchProductDetailsBySku(sku) {
-  const apiUrl = `${BASE_URL}/poc-appbuilder-storefront/get-product-details-by-sku`;
-  
   try {
-    const response = await fetch(apiUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({ sku }),
-    });
-
-    if (!response.ok) {
-      throw new Error(`Failed to fetch product: ${response.status} ${response.statusText}`);
-    }
-
-    const data = await response.json();
-    return data;
+    return await getProductDetailsBySku(sku);
   } catch (error) {
     console.error(`Error fetching product data for SKU ${sku}:`, error);
     return null;
@@ -99,20 +81,6 @@ function removeFromCompare(sku) {
   }
 }
 
-/**
- * Formats price for display
- * @param {Object} price - Price object with amount
- * @returns {string} Formatted price string
- */
-function formatPrice(price) {
-  if (!price?.final?.amount) return 'Price not available';
-  const { value, currency = 'USD' } = price.final.amount;
-  return new Intl.NumberFormat('en-US', {
-    style: 'currency',
-    currency,
-  }).format(value);
-}
-
 /**
  * Gets the primary product image URL
  * @param {Array} images - Array of image objects
@@ -218,11 +186,9 @@ function renderComparisonTable(products, container, labels) {
     // Price
     const priceDiv = document.createElement('div');
     priceDiv.className = 'commerce-compare-products-price';
-    if (product.price) {
-      priceDiv.textContent = formatPrice(product.price);
-    } else {
-      priceDiv.textContent = labels.Global?.PriceNotAvailable || 'Price not available';
-    }
+    priceDiv.textContent = formatPrice(product.price?.final?.amount, {
+      fallback: labels.Global?.PriceNotAvailable || 'Price not available',
+    });
 
     // Stock status
     const stockDiv = document.createElement('div');
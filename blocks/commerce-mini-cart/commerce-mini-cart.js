@@ -5,6 +5,7 @@ import { tryRenderAemAssetsImage } from '@dropins/tools/lib/aem/assets.js';
 import {
   InLineAlert,
   Icon,
+  Incrementer,
   provider as UI,
   Button,
 } from '@dropins/tools/components.js';
@@ -18,6 +19,12 @@ import '../../scripts/initializers/cart.js';
 
 import { readBlockConfig } from '../../scripts/aem.js';
 import { fetchPlaceholders, rootLink, getProductLink } from '../../scripts/commerce.js';
+import {
+  APPBUILDER_CART_EVENT,
+  addProductsToCart,
+  toCartItemInput,
+  updateProductsFromCart,
+} from '../../scripts/appbuilder-cart.js';
 
 export default async function decorate(block) {
   const {
@@ -49,11 +56,16 @@ export default async function decorate(block) {
   shadowWrapper.className = 'commerce-mini-cart__message-wrapper';
   shadowWrapper.appendChild(updateMessage);
 
-  const showMessage = (message) => {
+  let messageTimer = null;
+  const showMessage = (message, action) => {
     updateMessage.textContent = message;
+    if (action) {
+      updateMessage.append(' ', action);
+    }
     updateMessage.classList.add('commerce-mini-cart__update-message--visible');
     shadowWrapper.classList.add('commerce-mini-cart__message-wrapper--visible');
-    setTimeout(() => {
+    clearTimeout(messageTimer);
+    messageTimer = setTimeout(() => {
       updateMessage.classList.remove(
         'commerce-mini-cart__update-message--visible',
       );
@@ -140,6 +152,64 @@ export default async function decorate(block) {
     eager: true,
   });
 
+  // Latest App Builder cart, to put a removed line back on undo
+  let appBuilderCart = null;
+  events.on(APPBUILDER_CART_EVENT, (cart) => {
+    appBuilderCart = cart;
+  }, { eager: true });
+
+  /**
+   * Offers to put a removed line back in the cart
+   * @param {Object} item - Removed drop-in cart item
+   * @param {Object} input - Cart item input of the removed line
+   */
+  function showUndoMessage(item, input) {
+    const undoButton = document.createElement('button');
+    undoButton.type = 'button';
+    undoButton.className = 'commerce-mini-cart__undo';
+    undoButton.textContent = placeholders?.Global?.MiniCartUndoButton || 'Undo';
+    undoButton.addEventListener('click', async () => {
+      undoButton.disabled = true;
+      try {
+        await addProductsToCart([input]);
+      } catch (error) {
+        console.error('Error restoring cart item:', error);
+        showMessage(placeholders?.Global?.CartUpdateItemError || 'Failed to update the cart');
+      }
+    });
+
+    const message = placeholders?.Global?.MiniCartRemovedMessage?.replace('{product}', item.name)
+      || `${item.name} was removed from your cart.`;
+    showMessage(message, undoButton);
+  }
+
+  /**
+   * Updates a line of the App Builder cart. The drop-in's own quantity and remove controls
+   * call its cart API, which doesn't own guest carts (`disableGuestCart`).
+   * @param {Object} ctx - ItemQuantity or ItemRemoveAction slot context
+   * @param {number} quantity - New quantity, 0 removes the line
+   */
+  async function updateItem(ctx, quantity) {
+    const { item, handleItemsLoading, handleItemsError } = ctx;
+    const line = appBuilderCart?.itemsV2?.items?.find(({ uid }) => uid === item.uid);
+
+    handleItemsError(item.uid);
+    handleItemsLoading(item.uid, true);
+    try {
+      await updateProductsFromCart([{ uid: item.uid, quantity }]);
+      if (quantity === 0 && undo === 'true' && line) {
+        showUndoMessage(item, toCartItemInput(line));
+      }
+    } catch (error) {
+      handleItemsError(
+        item.uid,
+        error.message || placeholders?.Global?.CartUpdateItemError || 'Failed to update quantity',
+      );
+    } finally {
+      handleItemsLoading(item.uid, false);
+    }
+  }
+
   // Prevent mini cart from closing when undo is enabled
   if (undo === 'true') {
     // Add event listener to prevent event bubbling from remove buttons
@@ -166,9 +236,36 @@ export default async function decorate(block) {
     routeCart: cartURL ? () => rootLink(cartURL) : undefined,
     routeCheckout: checkoutURL ? () => rootLink(checkoutURL) : undefined,
     routeProduct: createProductLink,
-    undo: undo === 'true',
 
+    // Quantity and remove controls update the App Builder cart
     slots: {
+      ItemQuantity: (ctx) => {
+        const { item, itemsLoading } = ctx;
+        const quantity = document.createElement('div');
+        UI.render(Incrementer, {
+          value: item.quantity,
+          min: 1,
+          name: 'quantity',
+          disabled: itemsLoading?.has(item.uid),
+          'aria-label': placeholders?.Global?.Quantity || 'Quantity',
+          onValue: (value) => updateItem(ctx, Number(value)),
+        })(quantity);
+        ctx.replaceWith(quantity);
+      },
+      ItemRemoveAction: (ctx) => {
+        const { item, itemsLoading } = ctx;
+        const remove = document.createElement('div');
+        UI.render(Button, {
+          className: 'dropin-cart-item__remove',
+          variant: 'tertiary',
+          disabled: itemsLoading?.has(item.uid),
+          icon: h(Icon, { source: 'Trash', size: '24', stroke: '2' }),
+          'aria-label': `${placeholders?.Global?.Remove || 'Remove'} ${item.name}`,
+          'data-testid': 'cart-item-remove-button',
+          onClick: () => updateItem(ctx, 0),
+        })(remove);
+        ctx.replaceWith(remove);
+      },
       Thumbnail: (ctx) => {
         const { item, defaultImageProps } = ctx;
         const anchorWrapper = document.createElement('a');
@@ -0,0 +1,142 @@
+import { CS_FETCH_GRAPHQL } from '../../scripts/commerce.js';
+
+/**
+ * Catalog Service lookups of the quick order block. Checks that each SKU exists, can be added
+ * to the cart without choosing options, is in stock and is ordered in an allowed quantity.
+ */
+
+/**
+ * Product attributes holding the minimum and maximum quantity allowed in the cart. They must
+ * be visible on the storefront to be returned by Catalog Service.
+ */
+export const MIN_SALE_QTY_ATTRIBUTE = 'min_sale_qty';
+export const MAX_SALE_QTY_ATTRIBUTE = 'max_sale_qty';
+
+/**
+ * Maximum number of SKUs per Catalog Service request
+ */
+const SKUS_PER_REQUEST = 50;
+
+/**
+ * Reasons a quick order line can't be added
+ */
+export const LINE_ERRORS = {
+  NOT_FOUND: 'not-found',
+  HAS_OPTIONS: 'has-options',
+  OUT_OF_STOCK: 'out-of-stock',
+  MIN_QTY: 'min-qty',
+  MAX_QTY: 'max-qty',
+};
+
+const PRODUCTS_QUERY = `
+  query QUICK_ORDER_PRODUCTS($skus: [String]) {
+    products(skus: $skus) {
+      __typename
+      sku
+      name
+      urlKey
+      inStock
+      addToCartAllowed
+      attributes {
+        name
+        value
+      }
+      ... on SimpleProductView {
+        price {
+          final {
+            amount {
+              value
+              currency
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * Reads a numeric product attribute
+ * @param {Object} product - Catalog Service product
+ * @param {string} name - Attribute name
+ * @returns {number|null} Attribute value, null if missing or not a positive number
+ */
+function getNumericAttribute(product, name) {
+  const value = Number(product.attributes?.find((attribute) => attribute.name === name)?.value);
+  return Number.isFinite(value) && value > 0 ? value : null;
+}
+
+/**
+ * Fetches products by SKU, in batches
+ * @param {string[]} skus - Product SKUs
+ * @returns {Promise<Map<string, Object>>} Products by upper-cased SKU
+ */
+export async function fetchProductsBySku(skus) {
+  const batches = [];
+  for (let index = 0; index < skus.length; index += SKUS_PER_REQUEST) {
+    batches.push(skus.slice(index, index + SKUS_PER_REQUEST));
+  }
+
+  const responses = await Promise.all(batches.map((batch) => CS_FETCH_GRAPHQL.fetchGraphQl(
+    PRODUCTS_QUERY,
+    { method: 'GET', variables: { skus: batch } },
+  )));
+
+  const products = new Map();
+  responses.forEach(({ data, errors }) => {
+    if (errors?.length) {
+      throw new Error(errors.map(({ message }) => message).join(' '));
+    }
+    (data?.products ?? []).filter(Boolean).forEach((product) => {
+      products.set(product.sku.toUpperCase(), product);
+    });
+  });
+  return products;
+}
+
+/**
+ * Validates quick order lines against the catalog
+ * @param {Array<{ sku: string, quantity: number }>} lines - Lines to validate
+ * @returns {Promise<Array<{
+ *   sku: string,
+ *   quantity: number,
+ *   product: Object|null,
+ *   error: string|null,
+ *   limit: number|null
+ * }>>} Lines with the catalog product and the first error from LINE_ERRORS, if any. `limit`
+ * is the quantity limit of a `min-qty` or `max-qty` error.
+ */
+export async function validateLines(lines) {
+  const products = await fetchProductsBySku([...new Set(lines.map(({ sku }) => sku))]);
+
+  return lines.map((line) => {
+    const product = products.get(line.sku.toUpperCase()) ?? null;
+    const result = {
+      ...line,
+      sku: product?.sku ?? line.sku,
+      product,
+      error: null,
+      limit: null,
+    };
+
+    if (!product) {
+      return { ...result, error: LINE_ERRORS.NOT_FOUND };
+    }
+    if (product.__typename === 'ComplexProductView') {
+      return { ...result, error: LINE_ERRORS.HAS_OPTIONS };
+    }
+    if (!product.inStock || !product.addToCartAllowed) {
+      return { ...result, error: LINE_ERRORS.OUT_OF_STOCK };
+    }
+
+    const minQty = getNumericAttribute(product, MIN_SALE_QTY_ATTRIBUTE);
+    if (minQty && line.quantity < minQty) {
+      return { ...result, error: LINE_ERRORS.MIN_QTY, limit: minQty };
+    }
+    const maxQty = getNumericAttribute(product, MAX_SALE_QTY_ATTRIBUTE);
+    if (maxQty && line.quantity > maxQty) {
+      return { ...result, error: LINE_ERRORS.MAX_QTY, limit: maxQty };
+    }
+    return result;
+  });
+}
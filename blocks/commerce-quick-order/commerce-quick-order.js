@@ -0,0 +1,458 @@
+import { h } from '@dropins/tools/preact.js';
+import { InLineAlert, Icon, provider as UI } from '@dropins/tools/components.js';
+import { search } from '@dropins/storefront-product-discovery/api.js';
+import { readBlockConfig } from '../../scripts/aem.js';
+import { fetchPlaceholders, rootLink } from '../../scripts/commerce.js';
+import { importCartItems } from '../../scripts/appbuilder-cart.js';
+import { LINE_ERRORS, validateLines } from './catalog-api.js';
+
+// Initializers
+import '../../scripts/initializers/cart.js';
+import '../../scripts/initializers/search.js';
+
+/**
+ * Delay in milliseconds before a SKU being typed is searched
+ */
+const SUGGESTION_DELAY = 300;
+
+/**
+ * Minimum number of characters searched for suggestions
+ */
+const SUGGESTION_MIN_LENGTH = 2;
+
+/**
+ * Number of suggestions listed under a SKU field
+ */
+const SUGGESTION_COUNT = 8;
+
+/**
+ * Reads quick order lines from pasted text or a CSV file. Each row is `SKU,quantity`, with
+ * commas, semicolons, tabs or spaces between the two, and a missing quantity is 1. A first row
+ * naming the `sku` and `qty` or `quantity` columns is used to find them in wider files.
+ * @param {string} text - Pasted text or CSV file content
+ * @returns {{ lines: Array<{ sku: string, quantity: number }>, invalidRows: string[] }} Lines
+ * read, and the rows that couldn't be read
+ */
+export function parseLines(text) {
+  const rows = text.split(/\r?\n/).map((row) => row.trim()).filter(Boolean);
+  const table = rows.map((row) => {
+    const cells = /[,;\t]/.test(row) ? row.split(/[,;\t]/) : row.split(/\s+/);
+    return cells.map((cell) => cell.trim().replace(/^"(.*)"$/, '$1').trim());
+  });
+
+  let skuColumn = 0;
+  let quantityColumn = 1;
+  let firstRow = 0;
+  const header = table[0]?.map((cell) => cell.toLowerCase()) ?? [];
+  if (header.includes('sku')) {
+    skuColumn = header.indexOf('sku');
+    quantityColumn = header.findIndex((cell) => cell === 'qty' || cell === 'quantity');
+    firstRow = 1;
+  }
+
+  const lines = [];
+  const invalidRows = [];
+  table.slice(firstRow).forEach((cells, index) => {
+    const sku = cells[skuColumn];
+    const value = quantityColumn >= 0 ? cells[quantityColumn] : '';
+    const quantity = value ? Number(value) : 1;
+    if (!sku || !Number.isInteger(quantity) || quantity < 1) {
+      invalidRows.push(rows[firstRow + index]);
+    } else {
+      lines.push({ sku, quantity });
+    }
+  });
+  return { lines, invalidRows };
+}
+
+export default async function decorate(block) {
+  // Configuration
+  const {
+    rows: initialRows = '5',
+    'max-lines': maxLines = '100',
+    'enable-csv-upload': enableCsvUpload = 'true',
+  } = readBlockConfig(block);
+
+  const placeholders = await fetchPlaceholders();
+  const labels = placeholders?.Global ?? {};
+  const lineLimit = parseInt(maxLines, 10) || 100;
+
+  // Layout
+  const fragment = document.createRange().createContextualFragment(`
+    <div class="quick-order">
+      <h2 class="quick-order__title">${labels.QuickOrder || 'Quick Order'}</h2>
+      <div class="quick-order__notification"></div>
+      <form class="quick-order__form" novalidate>
+        <div class="quick-order__header" aria-hidden="true">
+          <span>${labels.QuickOrderSku || 'SKU'}</span>
+          <span>${labels.QuickOrderQuantity || 'Quantity'}</span>
+          <span></span>
+        </div>
+        <ol class="quick-order__rows"></ol>
+        <datalist id="quick-order-suggestions"></datalist>
+        <button type="button" class="button button--secondary quick-order__add-row">${labels.QuickOrderAddRow || 'Add row'}</button>
+        <details class="quick-order__bulk">
+          <summary>${labels.QuickOrderBulkEntry || 'Paste a list or upload a file'}</summary>
+          <label for="quick-order-paste" class="quick-order__label">${labels.QuickOrderPasteLabel || 'One SKU and quantity per line, e.g. "24-MB01, 3"'}</label>
+          <textarea id="quick-order-paste" class="quick-order__paste" rows="6"></textarea>
+          <div class="quick-order__bulk-actions">
+            <button type="button" class="button button--secondary quick-order__paste-apply">${labels.QuickOrderPasteApply || 'Add to list'}</button>
+            ${enableCsvUpload === 'true' ? `
+              <label class="button button--secondary quick-order__upload">
+                ${labels.QuickOrderUpload || 'Upload CSV'}
+                <input type="file" accept=".csv,text/csv,text/plain" class="quick-order__file" />
+              </label>
+            ` : ''}
+          </div>
+        </details>
+        <div class="quick-order__actions">
+          <button type="submit" class="button button--primary quick-order__submit">${labels.QuickOrderSubmit || 'Add to Cart'}</button>
+        </div>
+      </form>
+    </div>
+  `);
+
+  const $notification = fragment.querySelector('.quick-order__notification');
+  const $form = fragment.querySelector('.quick-order__form');
+  const $rows = fragment.querySelector('.quick-order__rows');
+  const $suggestions = fragment.querySelector('#quick-order-suggestions');
+  const $addRow = fragment.querySelector('.quick-order__add-row');
+  const $paste = fragment.querySelector('.quick-order__paste');
+  const $pasteApply = fragment.querySelector('.quick-order__paste-apply');
+  const $file = fragment.querySelector('.quick-order__file');
+  const $submit = fragment.querySelector('.quick-order__submit');
+
+  block.innerHTML = '';
+  block.appendChild(fragment);
+
+  let currentNotification = null;
+  let suggestionTimer = null;
+  let rowCount = 0;
+
+  /**
+   * Shows a notification message
+   * @param {string} heading - Message to display
+   * @param {string} type - Type of notification (success, warning, error)
+   * @param {Object} [props] - Other InLineAlert props
+   */
+  function showNotification(heading, type, props = {}) {
+    currentNotification?.remove();
+    currentNotification = UI.render(InLineAlert, {
+      heading,
+      type,
+      variant: 'primary',
+      icon: h(Icon, { source: type === 'success' ? 'CheckWithCircle' : 'AlertWithCircle' }),
+      'aria-live': 'polite',
+      role: 'status',
+      onDismiss: () => {
+        currentNotification?.remove();
+      },
+      ...props,
+    })($notification);
+  }
+
+  /**
+   * Shows the error of a row, or the name of its product
+   * @param {HTMLElement} $row - Row element
+   * @param {Object} status
+   * @param {string} [status.error] - Error message
+   * @param {string} [status.productName] - Name of the product found for the SKU
+   */
+  function setRowStatus($row, { error = '', productName = '' } = {}) {
+    const $status = $row.querySelector('.quick-order__row-status');
+    $status.textContent = error || productName;
+    $row.classList.toggle('quick-order__row--error', !!error);
+    $row.querySelector('.quick-order__sku').setAttribute('aria-invalid', error ? 'true' : 'false');
+  }
+
+  /**
+   * Lists the products matching a SKU being typed in the suggestions of every SKU field
+   * @param {string} phrase - Text typed
+   */
+  async function suggestProducts(phrase) {
+    try {
+      const { items = [] } = await search({
+        phrase,
+        pageSize: SUGGESTION_COUNT,
+        filter: [
+          { attribute: 'visibility', in: ['Search', 'Catalog, Search'] },
+        ],
+      }, { scope: 'quick-order' });
+      $suggestions.replaceChildren(...items.map((product) => {
+        const $option = document.createElement('option');
+        $option.value = product.sku;
+        $option.textContent = product.name;
+        return $option;
+      }));
+    } catch (error) {
+      console.error('Error searching products:', error);
+    }
+  }
+
+  /**
+   * Reads the rows of the form
+   * @returns {Array<{ $row: HTMLElement, sku: string, quantity: number }>} Rows with a SKU
+   */
+  function getFilledRows() {
+    return [...$rows.children]
+      .map(($row) => ({
+        $row,
+        sku: $row.querySelector('.quick-order__sku').value.trim(),
+        quantity: Number($row.querySelector('.quick-order__quantity').value),
+      }))
+      .filter(({ sku }) => sku);
+  }
+
+  /**
+   * Adds a row to the form
+   * @param {{ sku?: string, quantity?: number }} [line] - Line to fill the row with
+   * @returns {HTMLElement|null} Row element, null when the list is full
+   */
+  function addRow({ sku = '', quantity = 1 } = {}) {
+    if ($rows.children.length >= lineLimit) {
+      return null;
+    }
+
+    rowCount += 1;
+    const $row = document.createElement('li');
+    $row.className = 'quick-order__row';
+    $row.innerHTML = `
+      <label for="quick-order-sku-${rowCount}" class="quick-order__label">${labels.QuickOrderSku || 'SKU'}</label>
+      <input type="text" id="quick-order-sku-${rowCount}" class="quick-order__sku" list="quick-order-suggestions" autocomplete="off" />
+      <label for="quick-order-quantity-${rowCount}" class="quick-order__label">${labels.QuickOrderQuantity || 'Quantity'}</label>
+      <input type="number" id="quick-order-quantity-${rowCount}" class="quick-order__quantity" min="1" step="1" />
+      <button type="button" class="quick-order__remove" aria-label="${labels.Remove || 'Remove'}">×</button>
+      <p class="quick-order__row-status" aria-live="polite"></p>
+    `;
+
+    const $sku = $row.querySelector('.quick-order__sku');
+    $sku.value = sku;
+    $row.querySelector('.quick-order__quantity').value = quantity;
+
+    $sku.addEventListener('input', () => {
+      setRowStatus($row);
+      clearTimeout(suggestionTimer);
+      const phrase = $sku.value.trim();
+      if (phrase.length >= SUGGESTION_MIN_LENGTH) {
+        suggestionTimer = setTimeout(() => suggestProducts(phrase), SUGGESTION_DELAY);
+      }
+    });
+
+    // A list pasted into a SKU field fills as many rows as it has lines
+    $sku.addEventListener('paste', (event) => {
+      const text = event.clipboardData?.getData('text') ?? '';
+      if (/[\n,;\t]/.test(text.trim())) {
+        event.preventDefault();
+        // eslint-disable-next-line no-use-before-define
+        addLines(text, $row);
+      }
+    });
+
+    $row.querySelector('.quick-order__remove').addEventListener('click', () => {
+      $row.remove();
+      if ($rows.children.length === 0) {
+        addRow();
+      }
+    });
+
+    $rows.append($row);
+    return $row;
+  }
+
+  /**
+   * Adds the lines of pasted text or a CSV file, filling empty rows first
+   * @param {string} text - Text to read
+   * @param {HTMLElement} [$startRow] - Row to fill first, e.g. the one pasted into
+   */
+  function addLines(text, $startRow) {
+    const { lines, invalidRows } = parseLines(text);
+    const emptyRows = [...$rows.children]
+      .filter(($row) => $row === $startRow || !$row.querySelector('.quick-order__sku').value.trim());
+
+    let skipped = 0;
+    lines.forEach((line) => {
+      const $row = emptyRows.shift();
+      if ($row) {
+        $row.querySelector('.quick-order__sku').value = line.sku;
+        $row.querySelector('.quick-order__quantity').value = line.quantity;
+        setRowStatus($row);
+      } else if (!addRow(line)) {
+        skipped += 1;
+      }
+    });
+
+    const messages = [];
+    if (invalidRows.length > 0) {
+      messages.push((labels.QuickOrderInvalidRows || 'These lines could not be read: {rows}.')
+        .replace('{rows}', invalidRows.join(' | ')));
+    }
+    if (skipped > 0) {
+      messages.push((labels.QuickOrderTooManyLines || 'Only {count} lines can be ordered at once, {skipped} line(s) were left out.')
+        .replace('{count}', lineLimit)
+        .replace('{skipped}', skipped));
+    }
+    if (messages.length > 0) {
+      showNotification(messages.join(' '), 'warning');
+    }
+  }
+
+  /**
+   * Folds rows with the same SKU into the first one, summing their quantities
+   * @param {Array<{ $row: HTMLElement, sku: string, quantity: number }>} rows - Filled rows
+   * @returns {Array<{ $row: HTMLElement, sku: string, quantity: number }>} Rows left
+   */
+  function mergeDuplicateRows(rows) {
+    const bySku = new Map();
+    return rows.filter((row) => {
+      const key = row.sku.toUpperCase();
+      const first = bySku.get(key);
+      if (!first) {
+        bySku.set(key, row);
+        return true;
+      }
+      first.quantity += row.quantity;
+      first.$row.querySelector('.quick-order__quantity').value = first.quantity;
+      row.$row.remove();
+      return false;
+    });
+  }
+
+  /**
+   * Builds the message of a line the catalog rejected
+   * @param {{ error: string, limit: number|null }} line - Validated line
+   * @returns {string} Message
+   */
+  function getLineErrorMessage({ error, limit }) {
+    switch (error) {
+      case LINE_ERRORS.NOT_FOUND:
+        return labels.QuickOrderNotFound || 'SKU not found';
+      case LINE_ERRORS.HAS_OPTIONS:
+        return labels.QuickOrderHasOptions || 'This product has options. Add it from its product page.';
+      case LINE_ERRORS.OUT_OF_STOCK:
+        return labels.QuickOrderOutOfStock || 'Out of stock';
+      case LINE_ERRORS.MIN_QTY:
+        return (labels.QuickOrderMinQty || 'The minimum quantity is {qty}').replace('{qty}', limit);
+      case LINE_ERRORS.MAX_QTY:
+        return (labels.QuickOrderMaxQty || 'The maximum quantity is {qty}').replace('{qty}', limit);
+      default:
+        return error;
+    }
+  }
+
+  /**
+   * Validates the rows and adds the valid ones to the cart in one batch. Added rows are taken
+   * off the form; the others stay with their error.
+   */
+  async function submit() {
+    const quantityError = labels.QuickOrderInvalidQuantity || 'Enter a whole quantity of 1 or more';
+    const rows = getFilledRows().filter((row) => {
+      if (Number.isInteger(row.quantity) && row.quantity > 0) {
+        return true;
+      }
+      setRowStatus(row.$row, { error: quantityError });
+      return false;
+    });
+    if (rows.length === 0) {
+      if (!$rows.querySelector('.quick-order__row--error')) {
+        showNotification(labels.QuickOrderEmpty || 'Enter at least one SKU', 'error');
+      }
+      return;
+    }
+
+    $submit.disabled = true;
+    $submit.textContent = labels.QuickOrderSubmitting || 'Adding...';
+
+    try {
+      const mergedRows = mergeDuplicateRows(rows);
+      const validatedLines = await validateLines(mergedRows.map(({ sku, quantity }) => ({
+        sku,
+        quantity,
+      })));
+
+      const validRows = [];
+      validatedLines.forEach((line, index) => {
+        const { $row } = mergedRows[index];
+        if (line.error) {
+          setRowStatus($row, { error: getLineErrorMessage(line) });
+        } else {
+          setRowStatus($row, { productName: line.product.name });
+          validRows.push({ $row, line });
+        }
+      });
+
+      const { addedItems, droppedItems } = validRows.length > 0
+        ? await importCartItems(validRows.map(({ line }) => ({
+          sku: line.sku,
+          quantity: line.quantity,
+        })))
+        : { addedItems: [], droppedItems: [] };
+
+      // Rows were merged by SKU, so a SKU identifies its row
+      const droppedBySku = new Map(droppedItems.map((item) => [item.sku, item]));
+      validRows.forEach(({ $row, line }) => {
+        const dropped = droppedBySku.get(line.sku);
+        if (dropped) {
+          setRowStatus($row, { error: dropped.message || labels.QuickOrderAddError || 'Could not be added to the cart' });
+        } else {
+          $row.remove();
+        }
+      });
+      if ($rows.children.length === 0) {
+        addRow();
+      }
+
+      const failed = $rows.querySelectorAll('.quick-order__row--error').length;
+      const messages = [];
+      if (addedItems.length > 0) {
+        messages.push((labels.QuickOrderAdded || '{count} product(s) added to your cart.')
+          .replace('{count}', addedItems.length));
+      }
+      if (failed > 0) {
+        messages.push((labels.QuickOrderFailed || '{count} line(s) could not be added. Check the errors below.')
+          .replace('{count}', failed));
+      }
+      showNotification(messages.join(' '), failed > 0 ? 'warning' : 'success', addedItems.length > 0 ? {
+        additionalActions: [{
+          label: labels.ViewCart || 'View Cart',
+          onClick: () => { window.location.href = rootLink('/cart'); },
+        }],
+      } : {});
+    } catch (error) {
+      console.error('Error adding quick order lines:', error);
+      showNotification(error.message || labels.QuickOrderError || 'Failed to add the products to your cart', 'error');
+    } finally {
+      $submit.disabled = false;
+      $submit.textContent = labels.QuickOrderSubmit || 'Add to Cart';
+    }
+  }
+
+  $addRow.addEventListener('click', () => {
+    addRow()?.querySelector('.quick-order__sku').focus();
+  });
+
+  $pasteApply.addEventListener('click', () => {
+    addLines($paste.value);
+    $paste.value = '';
+  });
+
+  $file?.addEventListener('change', async () => {
+    const [file] = $file.files;
+    if (!file) {
+      return;
+    }
+    try {
+      addLines(await file.text());
+    } catch (error) {
+      console.error('Error reading quick order file:', error);
+      showNotification(labels.QuickOrderFileError || 'The file could not be read', 'error');
+    }
+    $file.value = '';
+  });
+
+  $form.addEventListener('submit', (event) => {
+    event.preventDefault();
+    submit();
+  });
+
+  Array.from({ length: Math.max(1, parseInt(initialRows, 10) || 1) }).forEach(() => addRow());
+}
@@ -1,4 +1,3 @@
-import * as cartApi from '@dropins/storefront-cart/api.js';
 import * as pdpApi from '@dropins/storefront-pdp/api.js';
 import { render as wishlistRenderer } from '@dropins/storefront-wishlist/render.js';
 import { render as authRenderer } from '@dropins/storefront-auth/render.js';
@@ -8,6 +7,7 @@ import Wishlist from '@dropins/storefront-wishlist/containers/Wishlist.js';
 import { tryRenderAemAssetsImage } from '@dropins/tools/lib/aem/assets.js';
 import { CS_FETCH_GRAPHQL, rootLink, getProductLink } from '../../scripts/commerce.js';
 import { readBlockConfig } from '../../scripts/aem.js';
+import * as cartApi from '../../scripts/appbuilder-cart.js';
 
 import '../../scripts/initializers/wishlist.js';
 import '../../scripts/initializers/cart.js';
@@ -1,20 +1,12 @@
+import { getCategories } from '../../scripts/appbuilder-storefront.js';
+
 /**
  * Fetches categories from the API
  * @returns {Promise<Object>} The categories response from the API
  */
 export async function fetchCategories() {
-  // Get BASE_URL from window (set via environment variable at build/runtime) or use default
-  // BASE_URL should be set as: window.BASE_URL = 'https://748062-appbuilderpoc-stage.adobeio-static.net/api/v1/web'
-  const baseUrl = window.BASE_URL || 'https://748062-appbuilderpoc-stage.adobeio-static.net/api/v1/web';
-  const apiUrl = `${baseUrl}/poc-appbuilder-storefront/get-categories`;
-
   try {
-    const response = await fetch(apiUrl);
-    if (!response.ok) {
-      throw new Error(`Failed to fetch categories: ${response.status} ${response.statusText}`);
-    }
-    const data = await response.json();
-    return data;
+    return await getCategories();
   } catch (error) {
     console.error('Error fetching categories:', error);
     throw error;
@@ -397,8 +397,11 @@ export default async function decorate(block) {
   async function toggleMiniCart(state) {
     if (state) {
       await loadMiniCartFragment();
-      const { publishShoppingCartViewEvent } = await import('@dropins/storefront-cart/api.js');
-      publishShoppingCartViewEvent();
+      const [{ getCartData }, { publishShoppingCartView }] = await Promise.all([
+        import('../../scripts/appbuilder-cart.js'),
+        import('../../scripts/commerce-acdl.js'),
+      ]);
+      publishShoppingCartView(await getCartData());
     }
 
     togglePanel(minicartPanel, state);
@@ -410,55 +413,19 @@ export default async function decorate(block) {
 
   /**
    * Updates cart button counter
+   * @param {Object|null} cartData - Cart data published on the event bus
    */
-  async function updateCartCounter() {
-    try {
-      const cartId = localStorage.getItem('cartId');
-      if (!cartId) {
-        cartButton.removeAttribute('data-count');
-        return;
-      }
-
-      const baseUrl = window.BASE_URL || 'https://748062-appbuilderpoc-stage.adobeio-static.net/api/v1/web';
-      const response = await fetch(`${baseUrl}/poc-appbuilder-storefront/cart-get`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ cartId }),
-      });
-
-      if (response.ok) {
-        const data = await response.json();
-        const totalQuantity = data?.cart?.total_quantity || 0;
-        if (totalQuantity > 0) {
-          cartButton.setAttribute('data-count', String(totalQuantity));
-        } else {
-          cartButton.removeAttribute('data-count');
-        }
-      } else {
-        cartButton.removeAttribute('data-count');
-      }
-    } catch (error) {
-      console.error('Error updating cart counter:', error);
+  function updateCartCounter(cartData) {
+    const totalQuantity = cartData?.totalQuantity || 0;
+    if (totalQuantity > 0) {
+      cartButton.setAttribute('data-count', String(totalQuantity));
+    } else {
       cartButton.removeAttribute('data-count');
     }
   }
 
-  // Initial cart counter update
-  updateCartCounter();
-
   // Listen for cart updates
-  window.addEventListener('cart-updated', () => {
-    updateCartCounter();
-  });
-
-  // Listen for storage changes
-  window.addEventListener('storage', (e) => {
-    if (e.key === 'cartId') {
-      updateCartCounter();
-    }
-  });
+  events.on('cart/data', updateCartCounter, { eager: true });
 
   /** Search */
   const searchFragment = document.createRange().createContextualFragment(`
@@ -32,6 +32,14 @@ import {
   fetchPlaceholders,
   getProductLink,
 } from '../../scripts/commerce.js';
+import {
+  APPBUILDER_CART_EVENT,
+  CART_RECOVERED_EVENT,
+  addItem,
+  getCartRecoveryMessage,
+  toCartItemInput,
+  updateProductsFromCart,
+} from '../../scripts/appbuilder-cart.js';
 
 // Initializers
 import { IMAGES_SIZES } from '../../scripts/initializers/pdp.js';
@@ -48,16 +56,6 @@ const COMPARE_STORAGE_KEY = 'comparedProducts';
  */
 const MAX_COMPARE_PRODUCTS = 3;
 
-/**
- * LocalStorage key for cart ID
- */
-const CART_ID_STORAGE_KEY = 'cartId';
-
-/**
- * Base URL for API endpoints
- */
-const BASE_URL = window.BASE_URL || 'https://748062-appbuilderpoc-stage.adobeio-static.net/api/v1/web';
-
 /**
  * Checks if the page has prerendered product JSON-LD data
  * @returns {boolean} True if product JSON-LD exists and contains @type=Product
@@ -162,116 +160,6 @@ function isProductInCompare(sku) {
   return products.includes(sku);
 }
 
-/**
- * Gets cart ID from localStorage
- * @returns {string|null} Cart ID or null if not found
- */
-function getCartId() {
-  try {
-    return localStorage.getItem(CART_ID_STORAGE_KEY);
-  } catch (error) {
-    console.error('Error reading cart ID from localStorage:', error);
-    return null;
-  }
-}
-
-/**
- * Saves cart ID to localStorage
- * @param {string} cartId - Cart ID to save
- */
-function setCartId(cartId) {
-  try {
-    if (cartId) {
-      localStorage.setItem(CART_ID_STORAGE_KEY, cartId);
-    } else {
-      localStorage.removeItem(CART_ID_STORAGE_KEY);
-    }
-  } catch (error) {
-    console.error('Error saving cart ID to localStorage:', error);
-  }
-}
-
-/**
- * Removes cart ID from localStorage (used after order placement)
- */
-function clearCartId() {
-  try {
-    localStorage.removeItem(CART_ID_STORAGE_KEY);
-  } catch (error) {
-    console.error('Error clearing cart ID from localStorage:', error);
-  }
-}
-
-/**
- * Creates a new cart via API
- * @returns {Promise<string>} Cart ID
- */
-async function createCart() {
-  const apiUrl = `${BASE_URL}/poc-appbuilder-storefront/cart-create`;
-
-  try {
-    const response = await fetch(apiUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-    });
-
-    if (!response.ok) {
-      throw new Error(`Failed to create cart: ${response.status} ${response.statusText}`);
-    }
-
-    const data = await response.json();
-    const cartId = data?.cart?.id;
-
-    if (!cartId) {
-      throw new Error('Cart ID not found in response');
-    }
-
-    // Save cart ID to localStorage
-    setCartId(cartId);
-    return cartId;
-  } catch (error) {
-    console.error('Error creating cart:', error);
-    throw error;
-  }
-}
-
-/**
- * Adds an item to cart via API
- * @param {string} cartId - Cart ID
- * @param {string} sku - Product SKU
- * @param {number} quantity - Product quantity
- * @returns {Promise<Object>} Cart response data
- */
-async function addItemToCart(cartId, sku, quantity) {
-  const apiUrl = `${BASE_URL}/poc-appbuilder-storefront/cart-add-item`;
-
-  try {
-    const response = await fetch(apiUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        cartId,
-        sku,
-        quantity,
-      }),
-    });
-
-    if (!response.ok) {
-      throw new Error(`Failed to add item to cart: ${response.status} ${response.statusText}`);
-    }
-
-    const data = await response.json();
-    return data;
-  } catch (error) {
-    console.error('Error adding item to cart:', error);
-    throw error;
-  }
-}
-
 // Function to update the Add to Cart button text
 function updateAddToCartButtonText(addToCartInstance, inCart, labels) {
   const buttonText = inCart
@@ -299,6 +187,7 @@ export default async function decorate(block) {
   // Layout
   const fragment = document.createRange().createContextualFragment(`
     <div class="product-details__alert"></div>
+    <div class="product-details__recovery-alert"></div>
     <div class="product-details__wrapper">
       <div class="product-details__left-column">
         <div class="product-details__gallery"></div>
@@ -325,6 +214,7 @@ export default async function decorate(block) {
   `);
 
   const $alert = fragment.querySelector('.product-details__alert');
+  const $recoveryAlert = fragment.querySelector('.product-details__recovery-alert');
   const $gallery = fragment.querySelector('.product-details__gallery');
   const $header = fragment.querySelector('.product-details__header');
   const $price = fragment.querySelector('.product-details__price');
@@ -358,6 +248,7 @@ export default async function decorate(block) {
 
   // Alert
   let inlineAlert = null;
+  let recoveryAlert = null;
   const routeToWishlist = '/wishlist';
 
   const [
@@ -580,10 +471,6 @@ export default async function decorate(block) {
         if (valid) {
           if (isUpdateMode) {
             // --- Update existing item ---
-            const { updateProductsFromCart } = await import(
-              '@dropins/storefront-cart/api.js'
-            );
-
             await updateProductsFromCart([{ ...values, uid: itemUidFromUrl }]);
 
             // --- START REDIRECT ON UPDATE ---
@@ -612,18 +499,13 @@ export default async function decorate(block) {
             throw new Error('Product SKU is required');
           }
 
-          // Get or create cart ID
-          let cartId = getCartId();
-          if (!cartId) {
-            // Create cart if it doesn't exist
-            cartId = await createCart();
-          }
-
-          // Add item to cart
-          await addItemToCart(cartId, sku, quantity);
-
-          // Emit cart updated event for other pages to refresh
-          window.dispatchEvent(new CustomEvent('cart-updated'));
+          // Add item to cart with its options, creating the cart if needed
+          await addItem({
+            sku,
+            quantity,
+            optionsUIDs: values?.optionsUIDs,
+            enteredOptions: values?.enteredOptions,
+          });
         }
 
         // reset any previous alerts if successful
@@ -658,6 +540,21 @@ export default async function decorate(block) {
     },
   })($addToCart);
 
+  // Explain why the cart was replaced when adding to a cart that could no longer be used
+  events.on(CART_RECOVERED_EVENT, async (recovery) => {
+    recoveryAlert?.remove();
+    recoveryAlert = await UI.render(InLineAlert, {
+      heading: labels.Global?.CartRecoveredHeading || 'We started a new cart',
+      description: getCartRecoveryMessage(recovery, labels),
+      icon: h(Icon, { source: 'Cart' }),
+      'aria-live': 'polite',
+      role: 'status',
+      onDismiss: () => {
+        recoveryAlert.remove();
+      },
+    })($recoveryAlert);
+  });
+
   // Lifecycle Events
   events.on('pdp/valid', (valid) => {
     // update add to cart button disabled state based on product selection validity
@@ -762,6 +659,25 @@ export default async function decorate(block) {
     { eager: true },
   );
 
+  // Restore the quantity and entered options (e.g. gift card fields) of the item being
+  // edited. Its selected options come from the `optionsUIDs` URL parameter.
+  if (itemUidFromUrl) {
+    let restored = false;
+    events.on(APPBUILDER_CART_EVENT, (cart) => {
+      const line = cart?.itemsV2?.items?.find(({ uid }) => uid === itemUidFromUrl);
+      if (restored || !line) {
+        return;
+      }
+      restored = true;
+      const { quantity, enteredOptions } = toCartItemInput(line);
+      pdpApi.setProductConfigurationValues((prev) => ({
+        ...prev,
+        quantity,
+        ...(enteredOptions.length > 0 && { enteredOptions }),
+      }));
+    }, { eager: true });
+  }
+
   // Set JSON-LD and Meta Tags
   events.on('aem/lcp', () => {
     const isPrerendered = isProductPrerendered();
@@ -6,9 +6,6 @@ import { getConfigValue } from '@dropins/tools/lib/aem/configs.js';
 import { Button, Icon, provider as UI } from '@dropins/tools/components.js';
 import { tryRenderAemAssetsImage } from '@dropins/tools/lib/aem/assets.js';
 
-// Cart Dropin
-import * as cartApi from '@dropins/storefront-cart/api.js';
-
 // Recommendations Dropin
 import ProductList from '@dropins/storefront-recommendations/containers/ProductList.js';
 import { render as provider } from '@dropins/storefront-recommendations/render.js';
@@ -21,6 +18,7 @@ import { render as wishlistRender } from '@dropins/storefront-wishlist/render.js
 // Block-level
 import { readBlockConfig } from '../../scripts/aem.js';
 import { fetchPlaceholders, getProductLink } from '../../scripts/commerce.js';
+import * as cartApi from '../../scripts/appbuilder-cart.js';
 
 // Initializers
 import '../../scripts/initializers/recommendations.js';
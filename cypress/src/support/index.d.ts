@@ -32,6 +32,24 @@ export interface CustomCypressCommands {
    */
   interceptConfig: (withConfig?: (config: Record<string, any>) => Record<string, any>) => void;
 
+  /**
+   * Points the storefront at the local App Builder stand-in and resets its state.
+   * The stand-in must be running (`npm start` in `tools/appbuilder-local`) at the
+   * `appBuilderEndpoint` Cypress env value. Runs before each test when that value is set.
+   * @param seed - Optional products, categories or carts to seed after the reset.
+   *
+   * @example
+   *   cy.useAppBuilderStandIn({
+   *     carts: [{ id: 'cypress-cart', items: [{ sku: 'ADB150', quantity: 1 }] }],
+   *   })
+   *   cy.visit('/cart')
+   */
+  useAppBuilderStandIn: (seed?: {
+    products?: Record<string, any>[];
+    categories?: Record<string, any>;
+    carts?: { id?: string; customerToken?: string; items?: { sku: string; quantity: number }[] }[];
+  }) => void;
+
   /** 
    * Waits for all images within the specified selector to be fully loaded.
    * Verifies that all images are complete and have a natural width greater than 0.
@@ -5,6 +5,7 @@ import './sessionStorage';
 import './getIFrameField';
 import './waitForImages';
 import './interceptConfig';
+import './useAppBuilderStandIn';
 import './waitForWishlistPage';
 import '@percy/cypress';
 import './percyTakeSnapshot';
@@ -0,0 +1,38 @@
+/**
+ * Points the storefront at the local App Builder stand-in (`tools/appbuilder-local`) and resets
+ * its state, optionally seeding products, categories or carts.
+ * @type {import('./index.d.ts').CustomCypressCommands['useAppBuilderStandIn']}
+ */
+const useAppBuilderStandIn = (seed) => {
+  const endpoint = Cypress.env('appBuilderEndpoint');
+  const { origin } = new URL(endpoint);
+
+  cy.request('POST', `${origin}/__admin/reset`);
+  if (seed) {
+    cy.request('POST', `${origin}/__admin/seed`, seed);
+  }
+
+  cy.interceptConfig((config) => ({
+    ...config,
+    public: {
+      ...config.public,
+      default: {
+        ...config.public.default,
+        appbuilder: {
+          ...config.public.default.appbuilder,
+          endpoint,
+        },
+      },
+    },
+  }));
+};
+
+Cypress.Commands.add('useAppBuilderStandIn', useAppBuilderStandIn);
+
+// Every spec runs against the stand-in when its endpoint is given, against the deployed
+// actions otherwise
+beforeEach(() => {
+  if (Cypress.env('appBuilderEndpoint')) {
+    cy.useAppBuilderStandIn();
+  }
+});
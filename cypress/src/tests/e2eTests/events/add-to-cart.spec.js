@@ -34,3 +34,36 @@ it("is sent on add to cart button click", () => {
       });
   });
 });
+
+it("is sent with the added line on App Builder cart add to cart", () => {
+  cy.visit(products.simple.urlPath);
+  cy.waitForResource("commerce-events-collector.js");
+  cy.get(".product-details__buttons__add-to-cart button")
+    .should("be.visible")
+    .click();
+  cy.get('button[data-count="1"]').should("be.visible");
+
+  cy.window()
+    .its("adobeDataLayer")
+    .then((adobeDataLayer) => {
+      expectsEventWithContext(
+        "add-to-cart",
+        [
+          "pageContext",
+          "storefrontInstanceContext",
+          "productContext",
+          "shoppingCartContext",
+          "changedProductsContext",
+        ],
+        adobeDataLayer,
+      );
+      const { productContext, changedProductsContext, shoppingCartContext } =
+        adobeDataLayer.getState();
+      expect(productContext.sku).to.equal(products.simple.sku);
+      expect(changedProductsContext.items[0].quantity).to.equal(1);
+      expect(shoppingCartContext.totalQuantity).to.equal(1);
+      expect(
+        shoppingCartContext.items.map((item) => item.product.sku),
+      ).to.include(products.simple.sku);
+    });
+});
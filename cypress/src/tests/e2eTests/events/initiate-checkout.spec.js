@@ -98,3 +98,33 @@ it("is sent on cart page Checkout button click", () => {
     });
   });
 });
+
+it("is sent with the App Builder cart on cart summary Checkout button click", () => {
+  cy.visit(products.simple.urlPath);
+  cy.get(".product-details__buttons__add-to-cart button")
+    .should("be.visible")
+    .click();
+  cy.get('button[data-count="1"]').should("be.visible");
+  cy.visit("/cart");
+
+  cy.waitForResource("commerce-events-collector.js").then(() => {
+    cy.window().then((win) => {
+      cy.spy(win.adobeDataLayer, "push").as("adl");
+      cy.get(".cart-summary__checkout-btn")
+        .should("be.visible")
+        .click()
+        .then(() => {
+          cy.get("@adl", { timeout: 1000 }).should((adobeDataLayerPush) => {
+            const targetEventIndex = adobeDataLayerPush.args.findIndex(
+              (event) => event[0]?.event === "initiate-checkout",
+            );
+            const shoppingCartContext = adobeDataLayerPush.args.find(
+              (event) => !!event[0]?.shoppingCartContext,
+            )?.[0].shoppingCartContext;
+            expect(targetEventIndex).to.be.greaterThan(-1);
+            expect(shoppingCartContext.totalQuantity).to.equal(1);
+          });
+        });
+    });
+  });
+});
@@ -5,7 +5,11 @@ import {
   setGuestShippingAddress,
 } from "../../../actions";
 import { expectsEventWithContext } from "../../../assertions";
-import { customerShippingAddress, products } from "../../../fixtures";
+import {
+  checkMoneyOrder,
+  customerShippingAddress,
+  products,
+} from "../../../fixtures";
 
 /**
  * https://github.com/adobe/commerce-events/blob/main/examples/events/place-order.md
@@ -77,3 +81,61 @@ it("is sent on place order button click", { tags: "@skipSaas" }, () => {
       });
   });
 });
+
+it("is sent with the order on App Builder checkout place order", () => {
+  cy.visit(products.simple.urlPath);
+  cy.get(".product-details__buttons__add-to-cart button")
+    .should("be.visible")
+    .click();
+  cy.get('button[data-count="1"]').should("be.visible");
+  cy.visit("/checkout");
+
+  // contact
+  cy.get("#guestEmail").should("be.visible").type(customerShippingAddress.email);
+  cy.get('[data-step="contact"] .checkout__step-continue').click();
+  // shipping address
+  cy.get("#firstname").should("be.visible").type(customerShippingAddress.firstName);
+  cy.get("#lastname").type(customerShippingAddress.lastName);
+  cy.get("#street").type(customerShippingAddress.street);
+  cy.get("#country_code").select(customerShippingAddress.countryCode);
+  cy.get("#region_id").should("be.visible").select(customerShippingAddress.regionFull);
+  cy.get("#city").type(customerShippingAddress.city);
+  cy.get("#postcode").type(customerShippingAddress.postCode);
+  cy.get("#telephone").type(customerShippingAddress.telephone);
+  cy.get('[data-step="shipping-address"] .checkout__step-continue').click();
+  // shipping method
+  cy.get('input[name="shippingMethod"]').first().check({ force: true });
+  cy.get('[data-step="shipping-method"] .checkout__step-continue').click();
+  // payment
+  cy.get("#payment-checkmo").check({ force: true });
+  cy.get('[data-step="payment"] .checkout__step-continue').click();
+  cy.get("#place-order-btn").should("be.visible").click();
+  cy.url().should("include", "/order-details");
+
+  cy.window()
+    .its("adobeDataLayer")
+    .then((adobeDataLayer) => {
+      expectsEventWithContext(
+        "place-order",
+        [
+          "pageContext",
+          "storefrontInstanceContext",
+          "shoppingCartContext",
+          "orderContext",
+        ],
+        adobeDataLayer,
+      );
+      // the cart is emptied once ordered, the event keeps the ordered one
+      const { orderContext, shoppingCartContext } = adobeDataLayer.find(
+        (data) => data?.event === "place-order",
+      ).eventInfo;
+      expect(orderContext.orderId).to.not.be.empty;
+      expect(orderContext.email).to.equal(customerShippingAddress.email);
+      expect(orderContext.payments[0].paymentMethodCode).to.equal(
+        checkMoneyOrder.code,
+      );
+      expect(
+        shoppingCartContext.items.map((item) => item.product.sku),
+      ).to.include(products.simple.sku);
+    });
+});
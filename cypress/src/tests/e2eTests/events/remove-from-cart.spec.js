@@ -0,0 +1,43 @@
+import { products } from "../../../fixtures";
+import { expectsEventWithContext } from "../../../assertions";
+/**
+ * https://github.com/adobe/commerce-events/blob/main/examples/events/remove-from-cart.md
+ *
+ * Required Contexts: page, storefront, product, shoppingCart, changedProducts
+ */
+
+it("is sent on cart page remove button click", () => {
+  cy.visit(products.simple.urlPath);
+  cy.get(".product-details__buttons__add-to-cart button")
+    .should("be.visible")
+    .click();
+  cy.get('button[data-count="1"]').should("be.visible");
+  cy.visit("/cart");
+
+  cy.waitForResource("commerce-events-collector.js").then(() => {
+    // the removal is confirmed, Cypress accepts the prompt
+    cy.get(".cart-item__remove").should("be.visible").click();
+    cy.get(".cart-item__remove").should("not.exist");
+
+    cy.window()
+      .its("adobeDataLayer")
+      .then((adobeDataLayer) => {
+        expectsEventWithContext(
+          "remove-from-cart",
+          [
+            "pageContext",
+            "storefrontInstanceContext",
+            "productContext",
+            "shoppingCartContext",
+            "changedProductsContext",
+          ],
+          adobeDataLayer,
+        );
+        const { productContext, changedProductsContext, shoppingCartContext } =
+          adobeDataLayer.getState();
+        expect(productContext.sku).to.equal(products.simple.sku);
+        expect(changedProductsContext.items[0].quantity).to.equal(1);
+        expect(shoppingCartContext.totalQuantity).to.equal(0);
+      });
+  });
+});
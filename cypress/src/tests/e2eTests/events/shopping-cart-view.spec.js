@@ -31,3 +31,30 @@ it("is sent on view cart button click", () => {
       });
   });
 });
+
+it("is sent with the App Builder cart on cart page load", () => {
+  cy.visit(products.simple.urlPath);
+  cy.get(".product-details__buttons__add-to-cart button")
+    .should("be.visible")
+    .click();
+  cy.get('button[data-count="1"]').should("be.visible");
+  cy.visit("/cart");
+  cy.get(".cart-item__remove").should("be.visible");
+
+  cy.waitForResource("commerce-events-collector.js").then(() => {
+    cy.window()
+      .its("adobeDataLayer")
+      .then((adobeDataLayer) => {
+        expectsEventWithContext(
+          "shopping-cart-view",
+          ["pageContext", "storefrontInstanceContext", "shoppingCartContext"],
+          adobeDataLayer,
+        );
+        const { shoppingCartContext } = adobeDataLayer.getState();
+        expect(shoppingCartContext.totalQuantity).to.equal(1);
+        expect(shoppingCartContext.items[0].product.sku).to.equal(
+          products.simple.sku,
+        );
+      });
+  });
+});
@@ -0,0 +1,1106 @@
+import { events } from '@dropins/tools/event-bus.js';
+import * as storefrontApi from './appbuilder-storefront.js';
+import { getStoreCurrency } from './commerce-locale.js';
+import { publishCartChanges, publishShoppingCartContext } from './commerce-acdl.js';
+
+/**
+ * App Builder Cart Adapter
+ *
+ * Makes the App Builder cart the single source of truth for every cart-aware block. It owns the
+ * stored cart ID, publishes each cart change on the event bus as a drop-in `cart/data` payload
+ * and exposes drop-in compatible actions (`addProductsToCart`, `updateProductsFromCart`,
+ * `getCartData`) that are routed to the App Builder endpoints. On sign-in the guest cart is
+ * merged into the customer's cart; on sign-out a fresh guest cart is started. A cart that
+ * can no longer be used (ordered, expired, wrong store) is replaced transparently. Every cart
+ * published is also the Adobe Data Layer's shopping cart context, and the changes the shopper
+ * makes are published as `add-to-cart` and `remove-from-cart` events.
+ */
+
+/**
+ * LocalStorage key for cart ID
+ */
+export const CART_ID_STORAGE_KEY = 'cartId';
+
+/**
+ * LocalStorage key for the ID of the signed-in customer's cart
+ */
+export const CUSTOMER_CART_ID_STORAGE_KEY = 'customerCartId';
+
+/**
+ * SessionStorage key for the summary of the last guest cart merge
+ */
+export const MERGED_CART_STORAGE_KEY = 'mergedCart';
+
+/**
+ * LocalStorage key for the lines of the last published cart, used to rebuild a lost cart
+ */
+const CART_SNAPSHOT_STORAGE_KEY = 'cartSnapshot';
+
+/**
+ * LocalStorage key for the address and shipping method chosen in the cart's shipping estimator
+ */
+export const SHIPPING_ESTIMATE_STORAGE_KEY = 'shippingEstimate';
+
+/**
+ * Event emitted with the raw App Builder cart on every change
+ */
+export const APPBUILDER_CART_EVENT = 'appbuilder-cart/data';
+
+/**
+ * Event emitted with `{ reason, movedItems, droppedItems }` after a dead cart was replaced
+ */
+export const CART_RECOVERED_EVENT = 'appbuilder-cart/recovered';
+
+/**
+ * Reasons a stored cart can no longer be used
+ */
+export const CART_ERROR_REASONS = {
+  NOT_FOUND: 'not-found',
+  INACTIVE: 'inactive',
+  UNAUTHORIZED: 'unauthorized',
+};
+
+/**
+ * Maximum number of items exposed to the mini cart
+ */
+const MINI_CART_MAX_ITEMS = 10;
+
+/**
+ * Last published App Builder cart
+ */
+let currentCart = null;
+
+/**
+ * Whether the event bus and storage listeners are registered
+ */
+let listening = false;
+
+/**
+ * Pending sign-in / sign-out cart switch, so switches run one at a time
+ */
+let authSync = Promise.resolve();
+
+/**
+ * Last queued shopper change of the cart, so changes run one at a time
+ */
+let cartChanges = Promise.resolve();
+
+/**
+ * Pending replacements keyed by the dead cart ID, so concurrent failures recover only once
+ */
+const recoveries = new Map();
+
+/**
+ * Gets cart ID from localStorage
+ * @returns {string|null} Cart ID or null if not found
+ */
+export function getCartId() {
+  try {
+    return localStorage.getItem(CART_ID_STORAGE_KEY);
+  } catch (error) {
+    console.error('Error reading cart ID from localStorage:', error);
+    return null;
+  }
+}
+
+/**
+ * Saves cart ID to localStorage
+ * @param {string|null} cartId - Cart ID to save, removes the stored ID when empty
+ */
+export function setCartId(cartId) {
+  try {
+    if (cartId) {
+      localStorage.setItem(CART_ID_STORAGE_KEY, cartId);
+    } else {
+      localStorage.removeItem(CART_ID_STORAGE_KEY);
+    }
+  } catch (error) {
+    console.error('Error saving cart ID to localStorage:', error);
+  }
+}
+
+/**
+ * Removes cart ID from localStorage and publishes an empty cart
+ */
+export function clearCartId() {
+  setCartId(null);
+  publishCart(null);
+}
+
+/**
+ * Returns the currency of a cart: the currency of its grand total, or the store view's base
+ * currency for a cart without totals
+ * @param {Object|null} cart - App Builder cart
+ * @returns {string} ISO 4217 currency code
+ */
+export function getCartCurrency(cart) {
+  return cart?.prices?.grand_total?.currency || getStoreCurrency();
+}
+
+/**
+ * Maps an App Builder money object to a drop-in price
+ * @param {Object} money - Money object with value and currency
+ * @param {string} currency - Fallback currency
+ * @returns {{ value: number, currency: string }} Price
+ */
+function toPrice(money, currency) {
+  return {
+    value: money?.value ?? 0,
+    currency: money?.currency || currency,
+  };
+}
+
+/**
+ * Returns what it takes to add an App Builder cart item again, with the same options
+ * @param {Object} item - App Builder cart item
+ * @returns {{
+ *   sku: string,
+ *   name: string,
+ *   quantity: number,
+ *   optionsUIDs: string[],
+ *   enteredOptions: Array<{ uid: string, value: string }>
+ * }} Cart item input
+ */
+export function toCartItemInput(item) {
+  return {
+    sku: item.product?.sku ?? '',
+    name: item.product?.name ?? '',
+    quantity: item.quantity ?? 0,
+    optionsUIDs: item.selected_options_uids ?? [],
+    enteredOptions: item.entered_options ?? [],
+  };
+}
+
+/**
+ * Maps an App Builder cart item to the drop-in cart item model
+ * @param {Object} item - App Builder cart item
+ * @param {string} currency - Cart currency
+ * @returns {Object} Drop-in cart item
+ */
+function transformCartItem(item, currency) {
+  const { product = {}, prices = {} } = item;
+  const price = toPrice(prices.price, currency);
+  const rowTotal = toPrice(prices.row_total, currency);
+  const regularPrice = toPrice(prices.original_item_price ?? prices.price, currency);
+  const discount = toPrice(prices.total_item_discount, currency);
+  const configurableOptions = item.configurable_options ?? [];
+
+  return {
+    uid: item.uid,
+    itemType: item.__typename ?? '',
+    sku: item.configured_variant?.sku ?? product.sku ?? '',
+    topLevelSku: product.sku ?? '',
+    name: product.name ?? '',
+    quantity: item.quantity ?? 0,
+    image: {
+      src: product.thumbnail?.url ?? '',
+      alt: product.thumbnail?.label || product.name || '',
+    },
+    url: {
+      urlKey: product.url_key ?? '',
+      categories: [],
+    },
+    canonicalUrl: product.canonical_url ?? '',
+    categories: [],
+    price,
+    taxedPrice: toPrice(prices.price_including_tax ?? prices.price, currency),
+    regularPrice,
+    discounted: regularPrice.value > price.value || discount.value > 0,
+    discount,
+    discountedTotal: { ...rowTotal, value: rowTotal.value - discount.value },
+    savingsAmount: {
+      ...rowTotal,
+      value: (regularPrice.value - price.value) * (item.quantity ?? 0) + discount.value,
+    },
+    total: rowTotal,
+    rowTotal,
+    rowTotalIncludingTax: toPrice(prices.row_total_including_tax ?? prices.row_total, currency),
+    selectedOptions: Object.fromEntries(
+      configurableOptions.map((option) => [option.option_label, option.value_label]),
+    ),
+    selectedOptionsUIDs: Object.fromEntries(
+      configurableOptions.map((option) => [
+        option.option_label,
+        option.configurable_product_option_value_uid,
+      ]),
+    ),
+    bundleOptions: Object.fromEntries(
+      (item.bundle_options ?? []).map((option) => [
+        option.label,
+        option.values.map((value) => `${value.quantity} x ${value.label}`).join(', '),
+      ]),
+    ),
+    bundleOptionsUIDs: (item.bundle_options ?? [])
+      .flatMap((option) => option.values.map((value) => value.uid)),
+    customizableOptions: Object.fromEntries(
+      (item.customizable_options ?? []).map((option) => [
+        option.label,
+        option.values.map((value) => value.label || value.value).join(', '),
+      ]),
+    ),
+    sender: item.sender_name ?? undefined,
+    senderEmail: item.sender_email ?? undefined,
+    recipient: item.recipient_name ?? undefined,
+    recipientEmail: item.recipient_email ?? undefined,
+    message: item.message ?? undefined,
+    outOfStock: product.stock_status === 'OUT_OF_STOCK',
+    insufficientQuantity: item.is_available === false,
+    onlyXLeftInStock: product.only_x_left_in_stock ?? null,
+    notAvailableMessage: item.not_available_message ?? '',
+    priceTiers: [],
+    giftWrappingAvailable: false,
+    giftMessageAvailable: false,
+    productGiftWrapping: [],
+    giftMessage: { recipientName: '', senderName: '', message: '' },
+  };
+}
+
+/**
+ * Maps an App Builder cart to the drop-in cart model published on `cart/data`
+ * @param {Object|null} cart - App Builder cart
+ * @returns {Object|null} Drop-in cart model
+ */
+export function transformCart(cart) {
+  if (!cart) {
+    return null;
+  }
+
+  const prices = cart.prices ?? {};
+  const currency = getCartCurrency(cart);
+  const items = (cart.itemsV2?.items ?? []).map((item) => transformCartItem(item, currency));
+
+  return {
+    id: cart.id,
+    totalQuantity: cart.total_quantity ?? items.reduce((sum, item) => sum + item.quantity, 0),
+    totalUniqueItems: items.length,
+    items,
+    miniCartMaxItems: items.slice(0, MINI_CART_MAX_ITEMS),
+    errors: [],
+    total: {
+      includingTax: toPrice(prices.grand_total, currency),
+      excludingTax: toPrice(prices.grand_total_excluding_tax ?? prices.grand_total, currency),
+    },
+    subtotal: {
+      excludingTax: toPrice(prices.subtotal_excluding_tax, currency),
+      includingTax: toPrice(prices.subtotal_including_tax, currency),
+      includingDiscountOnly: toPrice(
+        prices.subtotal_with_discount_excluding_tax ?? prices.subtotal_excluding_tax,
+        currency,
+      ),
+    },
+    appliedTaxes: (prices.applied_taxes ?? []).map((tax) => ({
+      label: tax.label,
+      amount: toPrice(tax.amount, currency),
+    })),
+    totalTax: toPrice({
+      value: (prices.applied_taxes ?? []).reduce((sum, tax) => sum + (tax.amount?.value ?? 0), 0),
+    }, currency),
+    appliedDiscounts: (prices.discounts ?? []).map((discount) => ({
+      label: discount.label,
+      amount: toPrice(discount.amount, currency),
+    })),
+    discount: toPrice({
+      value: (prices.discounts ?? []).reduce((sum, entry) => sum + (entry.amount?.value ?? 0), 0),
+    }, currency),
+    shipping: toPrice(cart.shipping_addresses?.[0]?.selected_shipping_method?.amount, currency),
+    appliedCoupons: (cart.applied_coupons ?? []).map(({ code }) => ({ code })),
+    appliedGiftCards: (cart.applied_gift_cards ?? []).map((giftCard) => ({
+      code: giftCard.code,
+      appliedBalance: toPrice(giftCard.applied_balance, currency),
+      currentBalance: toPrice(giftCard.current_balance, currency),
+      giftCardBalance: toPrice(giftCard.current_balance, currency),
+      expirationDate: giftCard.expiration_date ?? '',
+    })),
+    isVirtual: !!cart.is_virtual,
+    hasOutOfStockItems: items.some((item) => item.outOfStock || item.insufficientQuantity),
+    hasFullyOutOfStockItems: items.some((item) => item.outOfStock),
+    addresses: {
+      shipping: (cart.shipping_addresses ?? []).map((address) => ({
+        countryCode: address.country?.code,
+        zipCode: address.postcode,
+        regionCode: address.region?.code,
+      })),
+    },
+    totalGiftOptions: {},
+    cartGiftWrapping: [],
+    giftReceiptIncluded: false,
+    printedCardIncluded: false,
+    giftMessage: { recipientName: '', senderName: '', message: '' },
+  };
+}
+
+/**
+ * Publishes a cart on the event bus
+ * @param {Object|null} cart - App Builder cart
+ * @returns {Object|null} Published drop-in cart model
+ */
+export function publishCart(cart) {
+  currentCart = cart;
+  const data = transformCart(cart);
+  try {
+    if (data) {
+      localStorage.setItem(CART_SNAPSHOT_STORAGE_KEY, JSON.stringify({
+        id: data.id,
+        items: (cart.itemsV2?.items ?? []).map(toCartItemInput),
+      }));
+    } else {
+      localStorage.removeItem(CART_SNAPSHOT_STORAGE_KEY);
+    }
+  } catch (error) {
+    console.error('Error saving cart snapshot to localStorage:', error);
+  }
+  publishShoppingCartContext(data);
+  events.emit(APPBUILDER_CART_EVENT, cart);
+  events.emit('cart/data', data);
+  return data;
+}
+
+/**
+ * Gets the cart a change starts from, compared with the updated cart to publish the lines the
+ * shopper added or removed. Merges and recoveries aren't the shopper's changes and publish none.
+ * @returns {Promise<Object|null>} Drop-in cart model, fetched if the page hasn't loaded it yet
+ */
+async function getCartBeforeChange() {
+  const cartId = getCartId();
+  if (!cartId) {
+    return null;
+  }
+  if (currentCart?.id === cartId) {
+    return transformCart(currentCart);
+  }
+  return transformCart(await storefrontApi.getCart(cartId).catch(() => null));
+}
+
+/**
+ * Runs a shopper's change of the cart once the changes queued before it are done. Each change
+ * then starts from the cart the previous one left, so overlapping changes don't publish the
+ * same added or removed lines twice.
+ * @param {function(Object|null): Promise<*>} change - Change, called with the drop-in cart
+ * model it starts from
+ * @returns {Promise<*>} Result of the change
+ */
+function queueCartChange(change) {
+  const result = cartChanges.then(async () => change(await getCartBeforeChange()));
+  cartChanges = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Returns the stored cart ID, creating a new cart if there is none
+ * @returns {Promise<string>} Cart ID
+ */
+async function getOrCreateCartId() {
+  const cartId = getCartId();
+  if (cartId) {
+    return cartId;
+  }
+
+  const cart = await storefrontApi.createCart();
+  setCartId(cart.id);
+  return cart.id;
+}
+
+/**
+ * Classifies an error caused by a cart that can no longer be used
+ * @param {Error} error - Error thrown by an App Builder call
+ * @returns {string|null} One of CART_ERROR_REASONS, or null for any other error
+ */
+export function getCartErrorReason(error) {
+  if (!(error instanceof storefrontApi.StorefrontApiError)) {
+    return null;
+  }
+
+  const message = error.message.toLowerCase();
+  if (/isn't active|is not active|inactive cart/.test(message)) {
+    return CART_ERROR_REASONS.INACTIVE;
+  }
+  if (/cannot perform operations on cart|not allowed to (access|use) (this|the) cart/.test(message)
+    || (error.status === 403 && message.includes('cart'))) {
+    return CART_ERROR_REASONS.UNAUTHORIZED;
+  }
+  if (/could not find a cart|no such entity with cartid|cart not found/.test(message)
+    || (error.status === 404 && message.includes('cart'))) {
+    return CART_ERROR_REASONS.NOT_FOUND;
+  }
+  return null;
+}
+
+/**
+ * Returns the reason of a dead cart error, rethrowing any other error
+ * @param {Error} error - Error thrown by an App Builder call
+ * @returns {string} One of CART_ERROR_REASONS
+ */
+function getRecoveryReasonOrThrow(error) {
+  const reason = getCartErrorReason(error);
+  if (!reason) {
+    throw error;
+  }
+  return reason;
+}
+
+/**
+ * Reads the lines last published for a cart
+ * @param {string} cartId - Cart ID
+ * @returns {Array<{ sku: string, name: string, quantity: number }>} Cart lines
+ */
+function getSnapshotItems(cartId) {
+  try {
+    const snapshot = JSON.parse(localStorage.getItem(CART_SNAPSHOT_STORAGE_KEY));
+    return snapshot?.id === cartId ? snapshot.items : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Removes a dead cart ID from every place it is stored
+ * @param {string} cartId - Dead cart ID
+ */
+function forgetCart(cartId) {
+  if (getCartId() === cartId) {
+    setCartId(null);
+  }
+  if (localStorage.getItem(CUSTOMER_CART_ID_STORAGE_KEY) === cartId) {
+    localStorage.removeItem(CUSTOMER_CART_ID_STORAGE_KEY);
+  }
+  if (sessionStorage.getItem('DROPINS_CART_ID') === cartId) {
+    sessionStorage.removeItem('DROPINS_CART_ID');
+  }
+  sessionStorage.removeItem('DROPIN__CART__CART__DATA');
+  localStorage.removeItem(CART_SNAPSHOT_STORAGE_KEY);
+}
+
+/**
+ * Replaces a dead cart. Lines of an expired or foreign cart are moved to a new cart; an
+ * inactive cart was most likely ordered, so its lines are not.
+ * @param {string} deadCartId - Cart ID that can no longer be used
+ * @param {string} reason - One of CART_ERROR_REASONS
+ * @returns {Promise<Object|null>} Replacement App Builder cart, null if none was needed
+ */
+async function replaceCart(deadCartId, reason) {
+  const wasCustomerCart = localStorage.getItem(CUSTOMER_CART_ID_STORAGE_KEY) === deadCartId;
+  const items = reason === CART_ERROR_REASONS.INACTIVE ? [] : getSnapshotItems(deadCartId);
+  forgetCart(deadCartId);
+
+  let cart = null;
+  if (wasCustomerCart) {
+    cart = await storefrontApi.getCustomerCart();
+    localStorage.setItem(CUSTOMER_CART_ID_STORAGE_KEY, cart.id);
+  } else if (items.length > 0) {
+    cart = await storefrontApi.createCart();
+  }
+
+  const movedItems = [];
+  const droppedItems = [];
+  if (cart) {
+    setCartId(cart.id);
+    await items.reduce((previous, item) => previous.then(
+      () => storefrontApi.addItemToCart(cart.id, item)
+        .then(() => movedItems.push(item))
+        .catch(() => droppedItems.push(item)),
+    ), Promise.resolve());
+    cart = await storefrontApi.getCart(cart.id);
+  }
+
+  publishCart(cart);
+  events.emit(CART_RECOVERED_EVENT, { reason, movedItems, droppedItems });
+  return cart;
+}
+
+/**
+ * Replaces a dead cart once, however many calls failed on it
+ * @param {string} deadCartId - Cart ID that can no longer be used
+ * @param {string} reason - One of CART_ERROR_REASONS
+ * @returns {Promise<Object|null>} Replacement App Builder cart
+ */
+function recoverCart(deadCartId, reason) {
+  if (!recoveries.has(deadCartId)) {
+    if (getCartId() !== deadCartId) {
+      // Already forgotten by a recovery for a request that failed before this one
+      return loadCart();
+    }
+    // Forget the recovery once it settles, so a failed one can be retried
+    recoveries.set(deadCartId, replaceCart(deadCartId, reason)
+      .finally(() => recoveries.delete(deadCartId)));
+  }
+  return recoveries.get(deadCartId);
+}
+
+/**
+ * Builds the message shown to the shopper after a dead cart was replaced
+ * @param {{ reason: string, movedItems: Array, droppedItems: Array }} recovery - Recovery details
+ * @param {Object} [placeholders] - Placeholders for the message copy
+ * @returns {string} Message
+ */
+export function getCartRecoveryMessage(recovery, placeholders = {}) {
+  const { reason, movedItems = [], droppedItems = [] } = recovery;
+  const messages = [
+    reason === CART_ERROR_REASONS.INACTIVE
+      ? (placeholders?.Global?.CartRecoveredInactive || 'Your previous cart was already checked out or is no longer active, so we started a new one.')
+      : (placeholders?.Global?.CartRecoveredExpired || 'Your previous cart is no longer available, so we started a new one.'),
+  ];
+  if (movedItems.length > 0) {
+    messages.push((placeholders?.Global?.CartRecoveredMoved || '{count} product(s) were moved to your new cart.')
+      .replace('{count}', movedItems.length));
+  }
+  if (droppedItems.length > 0) {
+    messages.push((placeholders?.Global?.CartRecoveredDropped || 'These products are no longer available: {products}.')
+      .replace('{products}', droppedItems.map(({ name, sku }) => name || sku).join(', ')));
+  }
+  return messages.join(' ');
+}
+
+/**
+ * Fetches the stored cart and publishes it, replacing it if it can no longer be used
+ * @returns {Promise<Object|null>} App Builder cart or null if there is no cart
+ */
+export async function loadCart() {
+  const cartId = getCartId();
+  if (!cartId) {
+    publishCart(null);
+    return null;
+  }
+
+  let cart;
+  try {
+    cart = await storefrontApi.getCart(cartId);
+  } catch (error) {
+    return recoverCart(cartId, getRecoveryReasonOrThrow(error));
+  }
+
+  if (!cart) {
+    return recoverCart(cartId, CART_ERROR_REASONS.NOT_FOUND);
+  }
+
+  publishCart(cart);
+  return cart;
+}
+
+/**
+ * Adds an item to the cart, creating the cart if needed. If the stored cart can no longer be
+ * used, the item is added to its replacement.
+ * @param {Object} item - Item to add
+ * @param {string} item.sku - Product SKU
+ * @param {number} item.quantity - Quantity to add
+ * @param {string[]} [item.optionsUIDs] - Selected option value UIDs
+ * @param {Array<{ uid: string, value: string }>} [item.enteredOptions] - Entered option values
+ * @returns {Promise<Object|null>} Updated App Builder cart
+ */
+export async function addItem(item) {
+  return queueCartChange(async (previousCart) => {
+    const cartId = await getOrCreateCartId();
+    try {
+      await storefrontApi.addItemToCart(cartId, item);
+    } catch (error) {
+      await recoverCart(cartId, getRecoveryReasonOrThrow(error));
+      await storefrontApi.addItemToCart(await getOrCreateCartId(), item);
+    }
+    const cart = await loadCart();
+    publishCartChanges(previousCart, transformCart(cart));
+    return cart;
+  });
+}
+
+/**
+ * Runs a change on the stored cart and publishes the result. If the cart can no longer be
+ * used, it is replaced and the replacement is returned instead.
+ * @param {function(string): Promise<Object|null>} operation - Change, called with the cart ID
+ * @returns {Promise<Object|null>} Updated App Builder cart
+ */
+async function mutateCart(operation) {
+  return queueCartChange(async (previousCart) => {
+    const cartId = getCartId();
+    if (!cartId) {
+      throw new Error('Cart not found');
+    }
+
+    let cart;
+    try {
+      cart = await operation(cartId);
+    } catch (error) {
+      return recoverCart(cartId, getRecoveryReasonOrThrow(error));
+    }
+    publishCartChanges(previousCart, publishCart(cart));
+    return cart;
+  });
+}
+
+/**
+ * Updates the quantity of a cart item
+ * @param {string} itemUid - Cart item UID
+ * @param {number} quantity - New quantity
+ * @returns {Promise<Object|null>} Updated App Builder cart
+ */
+export async function updateItemQuantity(itemUid, quantity) {
+  return mutateCart((cartId) => storefrontApi.updateCartItemQuantity(cartId, itemUid, quantity));
+}
+
+/**
+ * Removes an item from the cart
+ * @param {string} itemUid - Cart item UID
+ * @returns {Promise<Object|null>} Updated App Builder cart
+ */
+export async function removeItem(itemUid) {
+  return mutateCart((cartId) => storefrontApi.removeCartItem(cartId, itemUid));
+}
+
+/**
+ * Lists the lines of a cart that can't be ordered, either because the product is out of stock
+ * or because fewer units are salable than the line's quantity
+ * @param {Object|null} cart - App Builder cart
+ * @returns {Array<{ uid: string, sku: string, name: string, quantity: number,
+ * availableQuantity: number, outOfStock: boolean, message: string }>} Unavailable lines.
+ * `availableQuantity` is 0 for out of stock products.
+ */
+export function getUnavailableItems(cart) {
+  return (cart?.itemsV2?.items ?? [])
+    .filter((item) => item.is_available === false || item.product?.stock_status === 'OUT_OF_STOCK')
+    .map((item) => {
+      const outOfStock = item.product?.stock_status === 'OUT_OF_STOCK';
+      return {
+        uid: item.uid,
+        sku: item.configured_variant?.sku ?? item.product?.sku ?? '',
+        name: item.product?.name ?? '',
+        quantity: item.quantity ?? 0,
+        availableQuantity: outOfStock ? 0 : (item.product?.only_x_left_in_stock ?? 0),
+        outOfStock,
+        message: item.not_available_message ?? '',
+      };
+    });
+}
+
+/**
+ * Removes every line that can't be ordered, one after the other
+ * @param {Object|null} cart - App Builder cart
+ * @returns {Promise<Object|null>} Updated App Builder cart
+ */
+export async function removeUnavailableItems(cart) {
+  return getUnavailableItems(cart).reduce(
+    (previous, item) => previous.then(() => removeItem(item.uid)),
+    Promise.resolve(cart),
+  );
+}
+
+/**
+ * Lowers the quantity of every line that can't be ordered to the salable quantity, and removes
+ * the lines with nothing left
+ * @param {Object|null} cart - App Builder cart
+ * @returns {Promise<Object|null>} Updated App Builder cart
+ */
+export async function reduceToAvailableQuantity(cart) {
+  return getUnavailableItems(cart).reduce(
+    (previous, item) => previous.then(() => (item.availableQuantity > 0
+      ? updateItemQuantity(item.uid, item.availableQuantity)
+      : removeItem(item.uid))),
+    Promise.resolve(cart),
+  );
+}
+
+/**
+ * Applies a coupon code to the cart
+ * @param {string} couponCode - Coupon code
+ * @returns {Promise<Object|null>} Updated App Builder cart
+ */
+export async function applyCoupon(couponCode) {
+  return mutateCart((cartId) => storefrontApi.applyCouponToCart(cartId, couponCode));
+}
+
+/**
+ * Removes a coupon code from the cart
+ * @param {string} couponCode - Coupon code
+ * @returns {Promise<Object|null>} Updated App Builder cart
+ */
+export async function removeCoupon(couponCode) {
+  return mutateCart((cartId) => storefrontApi.removeCouponFromCart(cartId, couponCode));
+}
+
+/**
+ * Applies a gift card to the cart
+ * @param {string} giftCardCode - Gift card code
+ * @returns {Promise<Object|null>} Updated App Builder cart
+ */
+export async function applyGiftCard(giftCardCode) {
+  return mutateCart((cartId) => storefrontApi.applyGiftCardToCart(cartId, giftCardCode));
+}
+
+/**
+ * Removes a gift card from the cart
+ * @param {string} giftCardCode - Gift card code
+ * @returns {Promise<Object|null>} Updated App Builder cart
+ */
+export async function removeGiftCard(giftCardCode) {
+  return mutateCart((cartId) => storefrontApi.removeGiftCardFromCart(cartId, giftCardCode));
+}
+
+/**
+ * Returns the address and shipping method last chosen in the shipping estimator
+ * @returns {{
+ *   address: {
+ *     country_code: string,
+ *     region: string,
+ *     region_id: number|null,
+ *     postcode: string
+ *   },
+ *   shippingMethod: { carrier_code: string, method_code: string }
+ * }|null} Shipping estimate
+ */
+export function getShippingEstimate() {
+  try {
+    return JSON.parse(localStorage.getItem(SHIPPING_ESTIMATE_STORAGE_KEY));
+  } catch (error) {
+    console.error('Error reading shipping estimate from localStorage:', error);
+    return null;
+  }
+}
+
+/**
+ * Lists the shipping methods available for an estimate address
+ * @param {{ country_code: string, region?: string, region_id?: number|null,
+ *   postcode?: string }} address - Address
+ * @returns {Promise<Array<Object>>} Available shipping methods
+ */
+export async function estimateShipping(address) {
+  const cartId = getCartId();
+  if (!cartId) {
+    throw new Error('Cart not found');
+  }
+  return storefrontApi.estimateShippingMethods(cartId, address);
+}
+
+/**
+ * Estimates shipping and tax for an address and shipping method and publishes the estimated
+ * cart
+ * @param {{ country_code: string, region?: string, region_id?: number|null,
+ *   postcode?: string }} address - Address
+ * @param {{ carrier_code: string, method_code: string }} shippingMethod - Chosen method
+ * @returns {Promise<Object|null>} App Builder cart with the estimated totals
+ */
+export async function estimateTotals(address, shippingMethod) {
+  return mutateCart((cartId) => storefrontApi.estimateTotals(cartId, address, shippingMethod));
+}
+
+/**
+ * Estimates shipping and tax like `estimateTotals`, and remembers the choice of the cart's
+ * shipping estimator so checkout can pre-fill it
+ * @param {{ country_code: string, region?: string, region_id?: number|null,
+ *   postcode?: string }} address - Address
+ * @param {{ carrier_code: string, method_code: string }} shippingMethod - Chosen method
+ * @returns {Promise<Object|null>} App Builder cart with the estimated totals
+ */
+export async function selectShippingEstimate(address, shippingMethod) {
+  const cart = await estimateTotals(address, shippingMethod);
+  localStorage.setItem(SHIPPING_ESTIMATE_STORAGE_KEY, JSON.stringify({
+    address: {
+      country_code: address.country_code,
+      region: address.region ?? '',
+      region_id: address.region_id ?? null,
+      postcode: address.postcode ?? '',
+    },
+    shippingMethod: {
+      carrier_code: shippingMethod.carrier_code,
+      method_code: shippingMethod.method_code,
+    },
+  }));
+  return cart;
+}
+
+/**
+ * Key identifying the same product configuration across carts
+ * @param {Object} item - Drop-in cart item
+ * @returns {string} Item key
+ */
+function getItemKey(item) {
+  const optionsUIDs = [...Object.values(item.selectedOptionsUIDs), ...item.bundleOptionsUIDs];
+  return `${item.sku}|${optionsUIDs.sort().join(',')}`;
+}
+
+/**
+ * Sets merged items that were in both carts to the higher of the two quantities instead of
+ * their sum, so signing in never silently doubles a line
+ * @param {Object} cart - Merged App Builder cart
+ * @param {Array<Object>} guestItems - Drop-in items of the guest cart
+ * @param {Array<Object>} customerItems - Drop-in items of the customer cart before the merge
+ * @returns {Promise<{ cart: Object, conflicts: Array<Object> }>} Resolved cart and conflicts
+ */
+async function resolveQuantityConflicts(cart, guestItems, customerItems) {
+  const customerQuantities = new Map(
+    customerItems.map((item) => [getItemKey(item), item.quantity]),
+  );
+  const conflicts = new Map(guestItems
+    .filter((item) => customerQuantities.has(getItemKey(item)))
+    .map((item) => {
+      const customerQuantity = customerQuantities.get(getItemKey(item));
+      return [getItemKey(item), {
+        sku: item.sku,
+        name: item.name,
+        guestQuantity: item.quantity,
+        customerQuantity,
+        quantity: Math.max(item.quantity, customerQuantity),
+      }];
+    }));
+
+  const updates = transformCart(cart).items
+    .map((item) => ({ item, conflict: conflicts.get(getItemKey(item)) }))
+    .filter(({ item, conflict }) => conflict && item.quantity !== conflict.quantity);
+
+  const resolvedCart = await updates.reduce(
+    (previous, { item, conflict }) => previous.then(
+      (latest) => storefrontApi.updateCartItemQuantity(cart.id, item.uid, conflict.quantity)
+        .then((updated) => updated ?? latest),
+    ),
+    Promise.resolve(cart),
+  );
+
+  return { cart: resolvedCart, conflicts: [...conflicts.values()] };
+}
+
+/**
+ * Switches to the signed-in customer's cart, merging the guest cart into it
+ * @returns {Promise<Object|null>} Customer App Builder cart
+ */
+async function mergeGuestCart() {
+  const guestCartId = getCartId();
+  const customerCartId = localStorage.getItem(CUSTOMER_CART_ID_STORAGE_KEY);
+  if (guestCartId && guestCartId === customerCartId) {
+    // Already merged in an earlier page view
+    return loadCart();
+  }
+
+  const customerCart = await storefrontApi.getCustomerCart();
+  // The guest cart may be gone (already merged on another device, expired, ...)
+  const guestCart = guestCartId && guestCartId !== customerCart.id
+    ? await storefrontApi.getCart(guestCartId).catch(() => null)
+    : null;
+  const guestItems = transformCart(guestCart)?.items ?? [];
+
+  let cart = customerCart;
+  let conflicts = [];
+  if (guestItems.length > 0) {
+    const merged = await storefrontApi.mergeCarts(guestCartId, customerCart.id);
+    ({ cart, conflicts } = await resolveQuantityConflicts(
+      merged ?? customerCart,
+      guestItems,
+      transformCart(customerCart).items,
+    ));
+  }
+
+  localStorage.setItem(CUSTOMER_CART_ID_STORAGE_KEY, cart.id);
+  setCartId(cart.id);
+  publishCart(cart);
+
+  if (guestItems.length > 0) {
+    const summary = { oldCartItems: guestItems, conflicts };
+    sessionStorage.setItem(MERGED_CART_STORAGE_KEY, JSON.stringify(summary));
+    events.emit('cart/merged', summary);
+  }
+
+  return cart;
+}
+
+/**
+ * Leaves the customer's cart and starts a fresh guest cart, created on the next add to cart
+ */
+function startGuestCart() {
+  localStorage.removeItem(CUSTOMER_CART_ID_STORAGE_KEY);
+  sessionStorage.removeItem(MERGED_CART_STORAGE_KEY);
+  clearCartId();
+  events.emit('cart/reset', undefined);
+}
+
+/**
+ * Switches carts when the customer signs in or out. Listens to the `authenticated` event.
+ * @param {boolean} authenticated - Whether a customer is signed in
+ * @returns {Promise<void>}
+ */
+export function syncCartWithAuthState(authenticated) {
+  authSync = authSync.then(async () => {
+    try {
+      if (authenticated) {
+        await mergeGuestCart();
+      } else if (localStorage.getItem(CUSTOMER_CART_ID_STORAGE_KEY)) {
+        startGuestCart();
+      }
+    } catch (error) {
+      console.error('Error switching cart after sign-in change:', error);
+    }
+  });
+  return authSync;
+}
+
+/**
+ * Adds the lines of a shared cart, one at a time, to the stored cart or to a new one. Lines
+ * that can't be added (unknown SKU, out of stock, options no longer valid) are skipped and
+ * reported instead of failing the import.
+ * @param {Array<{
+ *   sku: string,
+ *   quantity: number,
+ *   optionsUIDs?: string[],
+ *   enteredOptions?: Array<{ uid: string, value: string }>
+ * }>} items - Items to add
+ * @param {Object} [options]
+ * @param {boolean} [options.replace=false] - Start a new cart instead of adding to the stored
+ * one. Signed-in customers have a single cart, so it is only possible for guests.
+ * @returns {Promise<{ cart: Object|null, addedItems: Array<Object>,
+ * droppedItems: Array<Object> }>} Updated App Builder cart, the items added and the items
+ * skipped, each with the `message` of the failure
+ */
+export async function importCartItems(items, { replace = false } = {}) {
+  return queueCartChange(async (previousCart) => {
+    let cartId;
+    if (replace) {
+      if (localStorage.getItem(CUSTOMER_CART_ID_STORAGE_KEY)) {
+        throw new Error('The cart of a signed-in customer can\'t be replaced');
+      }
+      const cart = await storefrontApi.createCart();
+      setCartId(cart.id);
+      cartId = cart.id;
+    } else {
+      // Replaces a dead stored cart first, so the lines aren't all dropped
+      await loadCart();
+      cartId = await getOrCreateCartId();
+    }
+
+    const addedItems = [];
+    const droppedItems = [];
+    await items.reduce((previous, item) => previous.then(
+      () => storefrontApi.addItemToCart(cartId, item)
+        .then(() => addedItems.push(item))
+        .catch((error) => droppedItems.push({ ...item, message: error.message })),
+    ), Promise.resolve());
+
+    const cart = await loadCart();
+    publishCartChanges(previousCart, transformCart(cart));
+    if (addedItems.length > 0) {
+      events.emit('cart/product/added', addedItems);
+      events.emit('cart/updated', transformCart(cart));
+    }
+    return { cart, addedItems, droppedItems };
+  });
+}
+
+/**
+ * Drop-in compatible `addProductsToCart`
+ * @param {Array<{
+ *   sku: string,
+ *   quantity: number,
+ *   optionsUIDs?: string[],
+ *   enteredOptions?: Array<{ uid: string, value: string }>
+ * }>} items - Items to add
+ * @returns {Promise<Object|null>} Drop-in cart model
+ */
+export async function addProductsToCart(items) {
+  const addAll = (cartId) => items.reduce(
+    (previous, item) => previous.then(() => storefrontApi.addItemToCart(cartId, item)),
+    Promise.resolve(),
+  );
+
+  return queueCartChange(async (previousCart) => {
+    const cartId = await getOrCreateCartId();
+    try {
+      await addAll(cartId);
+    } catch (error) {
+      await recoverCart(cartId, getRecoveryReasonOrThrow(error));
+      await addAll(await getOrCreateCartId());
+    }
+    const data = transformCart(await loadCart());
+    publishCartChanges(previousCart, data);
+    events.emit('cart/product/added', items);
+    events.emit('cart/updated', data);
+    return data;
+  });
+}
+
+/**
+ * Drop-in compatible `updateProductsFromCart`. A quantity of 0 removes the item; a new
+ * configuration (`sku`, `optionsUIDs` or `enteredOptions`) replaces the item.
+ * @param {Array<{
+ *   uid: string,
+ *   quantity: number,
+ *   sku?: string,
+ *   optionsUIDs?: string[],
+ *   enteredOptions?: Array<{ uid: string, value: string }>
+ * }>} items
+ * @returns {Promise<Object|null>} Drop-in cart model
+ */
+export async function updateProductsFromCart(items) {
+  const updateAll = (cartId) => items.reduce((previous, item) => previous.then(async () => {
+    if (item.quantity === 0) {
+      await storefrontApi.removeCartItem(cartId, item.uid);
+      return;
+    }
+
+    if (item.sku || item.optionsUIDs || item.enteredOptions) {
+      const current = transformCart(currentCart)?.items.find(({ uid }) => uid === item.uid);
+      // add the new configuration before removing the old one so a failure keeps the item
+      await storefrontApi.addItemToCart(cartId, {
+        ...item,
+        sku: item.sku ?? current?.topLevelSku,
+      });
+      await storefrontApi.removeCartItem(cartId, item.uid);
+      return;
+    }
+
+    await storefrontApi.updateCartItemQuantity(cartId, item.uid, item.quantity);
+  }), Promise.resolve());
+
+  return queueCartChange(async (previousCart) => {
+    // Read once the changes before are done, one of them may have replaced the cart
+    const cartId = getCartId();
+    if (!cartId) {
+      throw new Error('Cart not found');
+    }
+
+    try {
+      await updateAll(cartId);
+    } catch (error) {
+      // the items belonged to the dead cart, there is nothing left to update
+      return transformCart(await recoverCart(cartId, getRecoveryReasonOrThrow(error)));
+    }
+
+    const data = transformCart(await loadCart());
+    publishCartChanges(previousCart, data);
+    events.emit('cart/product/updated', items);
+    events.emit('cart/updated', data);
+    return data;
+  });
+}
+
+/**
+ * Drop-in compatible `getCartData`
+ * @returns {Promise<Object|null>} Drop-in cart model
+ */
+export async function getCartData() {
+  if (currentCart && currentCart.id === getCartId()) {
+    return transformCart(currentCart);
+  }
+  return transformCart(await loadCart());
+}
+
+/**
+ * Keeps the event bus in sync with the App Builder cart. Called once by the cart initializer.
+ */
+export function initializeAppBuilderCart() {
+  if (listening) {
+    return loadCart().catch(console.error);
+  }
+  listening = true;
+
+  // The drop-in cart publishes its own (empty) cart on initialization; re-publish ours over it
+  events.on('cart/data', (data) => {
+    if (currentCart && data?.id !== currentCart.id && currentCart.id === getCartId()) {
+      queueMicrotask(() => publishCart(currentCart));
+    }
+  });
+
+  // Cart ID changed in another tab
+  window.addEventListener('storage', (e) => {
+    if (e.key === CART_ID_STORAGE_KEY) {
+      loadCart().catch(console.error);
+    }
+  });
+
+  return loadCart().catch((error) => {
+    console.error('Error loading cart:', error);
+    return null;
+  });
+}
@@ -0,0 +1,569 @@
+import { getCookie } from '@dropins/tools/lib.js';
+import { getConfigValue } from '@dropins/tools/lib/aem/configs.js';
+
+/**
+ * App Builder Storefront Client
+ *
+ * Single entry point for every call to the `poc-appbuilder-storefront` App Builder actions.
+ * The endpoint, timeout and retry settings are read from the `appbuilder` key of the active
+ * store view in `config.json`, so a backend contract change only touches this file. When a
+ * customer is signed in, their token is sent as a bearer `Authorization` header.
+ */
+
+/**
+ * Default request timeout in milliseconds
+ */
+const DEFAULT_TIMEOUT = 15000;
+
+/**
+ * Default number of retries for idempotent requests
+ */
+const DEFAULT_RETRIES = 2;
+
+/**
+ * Base delay in milliseconds for the exponential retry backoff
+ */
+const RETRY_BASE_DELAY = 300;
+
+/**
+ * HTTP statuses that are worth retrying
+ */
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+
+/**
+ * Requests currently in flight, keyed by action and payload
+ */
+const inFlightRequests = new Map();
+
+/**
+ * @typedef {Object} Money
+ * @property {number} value - Amount
+ * @property {string} currency - ISO 4217 currency code
+ */
+
+/**
+ * @typedef {Object} AppBuilderShippingMethod
+ * @property {string} carrier_code - Carrier code
+ * @property {string} method_code - Method code
+ * @property {string} carrier_title - Carrier name
+ * @property {string} method_title - Method name
+ * @property {Money} amount - Shipping cost
+ * @property {boolean} available - Whether the method can be used
+ * @property {string} [error_message] - Why the method can't be used
+ */
+
+/**
+ * @typedef {Object} AppBuilderCartItem
+ * @property {string} uid - Cart item UID
+ * @property {string} [__typename] - `SimpleCartItem`, `ConfigurableCartItem`, `BundleCartItem`
+ * or `GiftCardCartItem`
+ * @property {number} quantity - Item quantity
+ * @property {string[]} [selected_options_uids] - Option value UIDs the item was added with
+ * @property {Array<{ uid: string, value: string }>} [entered_options] - Entered option values
+ * the item was added with
+ * @property {Array<{ option_label: string, value_label: string }>} [configurable_options] -
+ * Chosen configurable options
+ * @property {Array<{ label: string, values: Array<{ label: string, quantity: number }> }>}
+ * [bundle_options] - Chosen bundle options
+ * @property {Array<{ label: string, values: Array<{ value: string }> }>} [customizable_options]
+ * - Chosen custom options
+ * @property {string} [sender_name] - Gift card sender
+ * @property {string} [sender_email] - Gift card sender email
+ * @property {string} [recipient_name] - Gift card recipient
+ * @property {string} [recipient_email] - Gift card recipient email
+ * @property {string} [message] - Gift card message
+ * @property {boolean} [is_available] - Whether the item can be purchased
+ * @property {string} [not_available_message] - Reason the item can't be purchased
+ * @property {{
+ *   price: Money,
+ *   price_including_tax?: Money,
+ *   original_item_price?: Money,
+ *   row_total: Money,
+ *   row_total_including_tax?: Money,
+ *   total_item_discount?: Money,
+ *   discounts?: Array<{ label: string, amount: Money }>
+ * }} prices - Item prices. `original_item_price` is the price before catalog rules and special
+ * prices, `discounts` are the cart rules applied to the line.
+ * @property {Object} product - Product data (sku, name, url_key, thumbnail, stock_status and
+ * only_x_left_in_stock, the salable quantity when it is below the item quantity)
+ */
+
+/**
+ * @typedef {Object} AppBuilderCart
+ * @property {string} id - Cart ID
+ * @property {number} total_quantity - Total quantity of items in the cart
+ * @property {boolean} [is_virtual] - Whether the cart only contains virtual items
+ * @property {{ items: AppBuilderCartItem[] }} itemsV2 - Cart items
+ * @property {Array<{ code: string }>} [applied_coupons] - Applied coupon codes
+ * @property {Array<{
+ *   code: string,
+ *   applied_balance: Money,
+ *   current_balance: Money,
+ *   expiration_date?: string
+ * }>} [applied_gift_cards] - Applied gift cards
+ * @property {Array<{
+ *   country: { code: string },
+ *   region: { code: string },
+ *   postcode: string,
+ *   selected_shipping_method?: AppBuilderShippingMethod
+ * }>} [shipping_addresses] - Shipping address, or the estimate address
+ * @property {{
+ *   country: { code: string },
+ *   region: { code: string },
+ *   postcode: string
+ * }|null} [billing_address] - Billing address set by `checkout-prepare`
+ * @property {Array<{ code: string, title: string }>} [available_payment_methods] - Payment
+ * methods the cart can be paid with, only `free` when there is nothing to pay
+ * @property {{ code: string }} [selected_payment_method] - Payment method set by
+ * `checkout-prepare`
+ * @property {{
+ *   grand_total: Money,
+ *   grand_total_excluding_tax?: Money,
+ *   subtotal_excluding_tax: Money,
+ *   subtotal_including_tax: Money,
+ *   subtotal_with_discount_excluding_tax?: Money,
+ *   discounts?: Array<{ label: string, coupon?: { code: string }, amount: Money }>,
+ *   applied_taxes?: Array<{ label: string, amount: Money }>
+ * }} prices - Cart totals
+ */
+
+/**
+ * @typedef {Object} RequestOptions
+ * @property {string} [method='POST'] - HTTP method
+ * @property {number} [timeout] - Timeout in milliseconds, overrides the configured value
+ * @property {number} [retries=0] - Number of retries for retryable failures
+ * @property {boolean} [dedupe=false] - Share the response of identical in-flight requests
+ */
+
+/**
+ * Error raised by every App Builder call
+ */
+export class StorefrontApiError extends Error {
+  /**
+   * @param {string} message - Human readable error message
+   * @param {Object} [options]
+   * @param {number} [options.status=0] - HTTP status, 0 for network errors and timeouts
+   * @param {boolean} [options.retryable=false] - Whether retrying the call may succeed
+   * @param {string} [options.action] - App Builder action that failed
+   * @param {*} [options.details] - Parsed error response body, if any
+   */
+  constructor(message, {
+    status = 0,
+    retryable = false,
+    action,
+    details,
+  } = {}) {
+    super(message);
+    this.name = 'StorefrontApiError';
+    this.status = status;
+    this.retryable = retryable;
+    this.action = action;
+    this.details = details;
+  }
+}
+
+/**
+ * Reads the client configuration for the active store view
+ * @returns {{ endpoint: string, timeout: number, retries: number }} Client configuration
+ */
+function getClientConfig() {
+  const config = getConfigValue('appbuilder');
+
+  if (!config?.endpoint) {
+    throw new StorefrontApiError('App Builder endpoint is not configured');
+  }
+
+  return {
+    endpoint: config.endpoint.replace(/\/$/, ''),
+    timeout: Number(config.timeout) || DEFAULT_TIMEOUT,
+    retries: Number.isInteger(config.retries) ? config.retries : DEFAULT_RETRIES,
+  };
+}
+
+/**
+ * Builds a StorefrontApiError from a failed response
+ * @param {Response} response - Fetch response
+ * @param {string} action - App Builder action name
+ * @returns {Promise<StorefrontApiError>} Error describing the failure
+ */
+async function parseErrorResponse(response, action) {
+  const errorText = await response.text().catch(() => '');
+  let message = `${action} failed: ${response.status} ${response.statusText}`;
+  let details;
+
+  try {
+    details = JSON.parse(errorText);
+    message = details?.message || details?.error || message;
+  } catch {
+    // If error response is not JSON, use the text
+    if (errorText) {
+      message = errorText;
+    }
+  }
+
+  return new StorefrontApiError(message, {
+    status: response.status,
+    retryable: RETRYABLE_STATUSES.includes(response.status),
+    action,
+    details,
+  });
+}
+
+/**
+ * Performs a single request to an App Builder action
+ * @param {string} url - Action URL
+ * @param {string} action - App Builder action name
+ * @param {Object} init - Fetch init options
+ * @param {number} timeout - Timeout in milliseconds
+ * @returns {Promise<Object>} Parsed JSON response
+ */
+async function fetchWithTimeout(url, action, init, timeout) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+
+  try {
+    const response = await fetch(url, { ...init, signal: controller.signal });
+
+    if (!response.ok) {
+      throw await parseErrorResponse(response, action);
+    }
+
+    return await response.json();
+  } catch (error) {
+    if (error instanceof StorefrontApiError) {
+      throw error;
+    }
+
+    const timedOut = error.name === 'AbortError';
+    throw new StorefrontApiError(
+      timedOut ? `${action} timed out after ${timeout}ms` : `${action} failed: ${error.message}`,
+      { status: 0, retryable: true, action },
+    );
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Waits before the next retry attempt
+ * @param {number} attempt - Zero based attempt number
+ * @returns {Promise<void>}
+ */
+function backoff(attempt) {
+  const delay = RETRY_BASE_DELAY * (2 ** attempt) + Math.random() * RETRY_BASE_DELAY;
+  return new Promise((resolve) => {
+    setTimeout(resolve, delay);
+  });
+}
+
+/**
+ * Calls an App Builder storefront action
+ * @param {string} action - Action name, e.g. `cart-get`
+ * @param {Object} [payload] - JSON body sent with the request
+ * @param {RequestOptions} [options] - Request options
+ * @returns {Promise<Object>} Parsed JSON response
+ * @throws {StorefrontApiError} When the call fails
+ */
+export async function callAction(action, payload, options = {}) {
+  const config = getClientConfig();
+  const {
+    method = 'POST',
+    timeout = config.timeout,
+    retries = 0,
+    dedupe = false,
+  } = options;
+
+  const body = payload !== undefined ? JSON.stringify(payload) : undefined;
+  const key = `${method} ${action} ${body ?? ''} ${getCookie('auth_dropin_user_token') ?? ''}`;
+
+  if (dedupe && inFlightRequests.has(key)) {
+    return inFlightRequests.get(key);
+  }
+
+  const url = `${config.endpoint}/${action}`;
+  const headers = body ? { 'Content-Type': 'application/json' } : {};
+  const customerToken = getCookie('auth_dropin_user_token');
+  if (customerToken) {
+    headers.Authorization = `Bearer ${customerToken}`;
+  }
+  const init = { method, headers, body };
+
+  const run = async () => {
+    let attempt = 0;
+    // eslint-disable-next-line no-constant-condition
+    while (true) {
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        return await fetchWithTimeout(url, action, init, timeout);
+      } catch (error) {
+        if (!error.retryable || attempt >= retries) {
+          throw error;
+        }
+        // eslint-disable-next-line no-await-in-loop
+        await backoff(attempt);
+        attempt += 1;
+      }
+    }
+  };
+
+  if (!dedupe) {
+    return run();
+  }
+
+  const promise = run().finally(() => {
+    inFlightRequests.delete(key);
+  });
+  inFlightRequests.set(key, promise);
+  return promise;
+}
+
+/**
+ * Options for idempotent reads: retried and deduplicated
+ * @returns {RequestOptions} Request options
+ */
+function readOptions() {
+  return { retries: getClientConfig().retries, dedupe: true };
+}
+
+/**
+ * Fetches a cart
+ * @param {string} cartId - Cart ID
+ * @returns {Promise<AppBuilderCart|null>} Cart data
+ */
+export async function getCart(cartId) {
+  const data = await callAction('cart-get', { cartId }, readOptions());
+  return data?.cart || null;
+}
+
+/**
+ * Creates a new guest cart
+ * @returns {Promise<AppBuilderCart>} The created cart
+ */
+export async function createCart() {
+  const data = await callAction('cart-create');
+  if (!data?.cart?.id) {
+    throw new StorefrontApiError('Cart ID not found in response', { action: 'cart-create' });
+  }
+  return data.cart;
+}
+
+/**
+ * Fetches the active cart of the signed-in customer, creating it if needed
+ * @returns {Promise<AppBuilderCart>} Customer cart
+ */
+export async function getCustomerCart() {
+  const data = await callAction('cart-customer-get', undefined, readOptions());
+  if (!data?.cart?.id) {
+    throw new StorefrontApiError('Customer cart not found in response', { action: 'cart-customer-get' });
+  }
+  return data.cart;
+}
+
+/**
+ * Moves the items of a guest cart into the signed-in customer's cart. The guest cart is
+ * deactivated and quantities of matching items are added together.
+ * @param {string} sourceCartId - Guest cart ID
+ * @param {string} destinationCartId - Customer cart ID
+ * @returns {Promise<AppBuilderCart|null>} Merged cart data
+ */
+export async function mergeCarts(sourceCartId, destinationCartId) {
+  const data = await callAction('cart-merge', { sourceCartId, destinationCartId });
+  return data?.cart || null;
+}
+
+/**
+ * Adds an item to a cart
+ * @param {string} cartId - Cart ID
+ * @param {Object} item - Item to add
+ * @param {string} item.sku - Product SKU, the parent SKU for configurable and bundle products
+ * @param {number} item.quantity - Quantity to add
+ * @param {string[]} [item.optionsUIDs] - Selected option value UIDs (configurable, bundle and
+ * gift card amount options)
+ * @param {Array<{ uid: string, value: string }>} [item.enteredOptions] - Entered option values,
+ * including the gift card sender, recipient and message fields
+ * @returns {Promise<AppBuilderCart|null>} Updated cart data
+ */
+export async function addItemToCart(cartId, {
+  sku, quantity, optionsUIDs, enteredOptions,
+}) {
+  const data = await callAction('cart-add-item', {
+    cartId,
+    sku,
+    quantity,
+    ...(optionsUIDs?.length > 0 && { optionsUIDs }),
+    ...(enteredOptions?.length > 0 && { enteredOptions }),
+  });
+  return data?.cart || null;
+}
+
+/**
+ * Updates the quantity of a cart item
+ * @param {string} cartId - Cart ID
+ * @param {string} cartItemId - Cart item UID
+ * @param {number} quantity - New quantity
+ * @returns {Promise<AppBuilderCart|null>} Updated cart data
+ */
+export async function updateCartItemQuantity(cartId, cartItemId, quantity) {
+  const data = await callAction('cart-update-item', {
+    cartId,
+    cart_item_id: cartItemId,
+    quantity,
+  });
+  return data?.cart || null;
+}
+
+/**
+ * Removes an item from a cart
+ * @param {string} cartId - Cart ID
+ * @param {string} itemUid - Cart item UID
+ * @returns {Promise<AppBuilderCart|null>} Updated cart data
+ */
+export async function removeCartItem(cartId, itemUid) {
+  const data = await callAction('cart-remove-item', { cartId, itemUid });
+  return data?.cart || null;
+}
+
+/**
+ * Applies a coupon code to a cart
+ * @param {string} cartId - Cart ID
+ * @param {string} couponCode - Coupon code
+ * @returns {Promise<AppBuilderCart|null>} Updated cart data
+ */
+export async function applyCouponToCart(cartId, couponCode) {
+  const data = await callAction('cart-apply-coupon', { cartId, couponCode });
+  return data?.cart || null;
+}
+
+/**
+ * Removes a coupon code from a cart
+ * @param {string} cartId - Cart ID
+ * @param {string} couponCode - Coupon code
+ * @returns {Promise<AppBuilderCart|null>} Updated cart data
+ */
+export async function removeCouponFromCart(cartId, couponCode) {
+  const data = await callAction('cart-remove-coupon', { cartId, couponCode });
+  return data?.cart || null;
+}
+
+/**
+ * Applies a gift card to a cart
+ * @param {string} cartId - Cart ID
+ * @param {string} giftCardCode - Gift card code
+ * @returns {Promise<AppBuilderCart|null>} Updated cart data
+ */
+export async function applyGiftCardToCart(cartId, giftCardCode) {
+  const data = await callAction('cart-apply-gift-card', { cartId, giftCardCode });
+  return data?.cart || null;
+}
+
+/**
+ * Removes a gift card from a cart
+ * @param {string} cartId - Cart ID
+ * @param {string} giftCardCode - Gift card code
+ * @returns {Promise<AppBuilderCart|null>} Updated cart data
+ */
+export async function removeGiftCardFromCart(cartId, giftCardCode) {
+  const data = await callAction('cart-remove-gift-card', { cartId, giftCardCode });
+  return data?.cart || null;
+}
+
+/**
+ * Lists the shipping methods available for an address
+ * @param {string} cartId - Cart ID
+ * @param {{ country_code: string, region?: string, region_id?: number|null,
+ *   postcode?: string }} address - Address to estimate for
+ * @returns {Promise<AppBuilderShippingMethod[]>} Available shipping methods
+ */
+export async function estimateShippingMethods(cartId, address) {
+  const data = await callAction('cart-estimate-shipping-methods', { cartId, address });
+  return data?.shippingMethods || [];
+}
+
+/**
+ * Estimates the cart totals, including shipping and tax, for an address and shipping method
+ * @param {string} cartId - Cart ID
+ * @param {{ country_code: string, region?: string, region_id?: number|null,
+ *   postcode?: string }} address - Address to estimate for
+ * @param {{ carrier_code: string, method_code: string }} shippingMethod - Chosen method
+ * @returns {Promise<AppBuilderCart|null>} Cart with the estimated totals
+ */
+export async function estimateTotals(cartId, address, shippingMethod) {
+  const data = await callAction('cart-estimate-totals', { cartId, address, shippingMethod });
+  return data?.cart || null;
+}
+
+/**
+ * Sets email, shipping and billing addresses, shipping method and payment method on a cart
+ * @param {Object} checkoutData - Checkout payload (cartId, guestEmail, shippingAddress,
+ * billingAddress, ...)
+ * @returns {Promise<AppBuilderCart|null>} Updated cart data
+ */
+export async function prepareCheckout(checkoutData) {
+  const data = await callAction('checkout-prepare', checkoutData);
+  return data?.cart || null;
+}
+
+/**
+ * Creates a PayPal order for a cart
+ * @param {Object} params
+ * @param {string} params.cartId - Cart ID
+ * @param {{ value: number, currency_code: string }} params.amount - Order amount
+ * @param {Array} [params.items=[]] - Order items
+ * @param {string} params.returnUrl - URL PayPal redirects to after approval
+ * @param {string} [params.cancelUrl] - URL PayPal redirects to when the shopper cancels,
+ * `returnUrl` if not set
+ * @returns {Promise<{ id: string, approvalUrl: string }>} PayPal order ID and approval URL
+ */
+export async function createPayPalOrder({
+  cartId,
+  amount,
+  items = [],
+  returnUrl,
+  cancelUrl,
+}) {
+  return callAction('paypal-order-create', {
+    cartId,
+    amount,
+    items,
+    returnUrl,
+    cancelUrl,
+  });
+}
+
+/**
+ * Captures an approved PayPal order
+ * @param {string} paypalOrderId - PayPal order ID (the `token` return parameter)
+ * @returns {Promise<{ status: string }>} Capture result
+ */
+export async function capturePayPalOrder(paypalOrderId) {
+  return callAction('paypal-order-capture', { paypalOrderId });
+}
+
+/**
+ * Places the order for a cart
+ * @param {string} cartId - Cart ID
+ * @returns {Promise<{
+ *   order: { order: { number: string, token?: string } },
+ *   orderNumber?: string
+ * }>} Order data. The token is the `orderRef` guests open the order details page with.
+ */
+export async function placeOrder(cartId) {
+  return callAction('checkout-place-order', { cartId });
+}
+
+/**
+ * Fetches the category tree
+ * @returns {Promise<Object>} Root category with nested `children_data`
+ */
+export async function getCategories() {
+  return callAction('get-categories', undefined, { ...readOptions(), method: 'GET' });
+}
+
+/**
+ * Fetches product details by SKU
+ * @param {string} sku - Product SKU
+ * @returns {Promise<Object>} Product data
+ */
+export async function getProductDetailsBySku(sku) {
+  return callAction('get-product-details-by-sku', { sku }, readOptions());
+}
@@ -0,0 +1,278 @@
+import { formatPrice } from './commerce-locale.js';
+
+/**
+ * Adobe Client Data Layer events of the App Builder cart and the custom checkout. The contexts
+ * and events have the shape of the Commerce storefront events the cart and order drop-ins
+ * publish, so the events collector loaded in `delayed.js` and `trackHistory` read them the
+ * same way. Carts are given in the drop-in cart model of `transformCart`.
+ *
+ * https://github.com/adobe/commerce-events/tree/main/packages/storefront-events-sdk/src/types/schemas
+ */
+
+/**
+ * Data layer contexts
+ */
+const CONTEXTS = {
+  SHOPPING_CART: 'shoppingCartContext',
+  PRODUCT: 'productContext',
+  CHANGED_PRODUCTS: 'changedProductsContext',
+  ORDER: 'orderContext',
+  CHANNEL: 'channelContext',
+  PERSONAL_EMAIL: 'personalEmail',
+};
+
+/**
+ * Data layer events
+ */
+export const ACDL_EVENTS = Object.freeze({
+  ADD_TO_CART: 'add-to-cart',
+  REMOVE_FROM_CART: 'remove-from-cart',
+  SHOPPING_CART_VIEW: 'shopping-cart-view',
+  INITIATE_CHECKOUT: 'initiate-checkout',
+  PLACE_ORDER: 'place-order',
+});
+
+/**
+ * Gets the data layer, creating it if the page has none yet
+ * @returns {Array<Object|function>} Adobe Client Data Layer
+ */
+function getDataLayer() {
+  window.adobeDataLayer = window.adobeDataLayer || [];
+  return window.adobeDataLayer;
+}
+
+/**
+ * Replaces a context. Pushing `null` first drops the previous value, which the data layer
+ * would otherwise merge the new one into, e.g. keeping the lines of a bigger cart.
+ * @param {string} name - Context name
+ * @param {Object} value - Context
+ */
+function setContext(name, value) {
+  const dataLayer = getDataLayer();
+  dataLayer.push({ [name]: null });
+  dataLayer.push({ [name]: value });
+}
+
+/**
+ * Pushes an event with the state of the data layer once it is loaded
+ * @param {string} event - Event name
+ */
+function pushEvent(event) {
+  getDataLayer().push((dl) => {
+    dl.push({ event, eventInfo: { ...dl.getState?.() } });
+  });
+}
+
+/**
+ * Sets the web channel the events are sent from
+ */
+function setChannelContext() {
+  setContext(CONTEXTS.CHANNEL, {
+    _id: 'https://ns.adobe.com/xdm/channels/web',
+    _type: 'https://ns.adobe.com/xdm/channel-types/web',
+  });
+}
+
+/**
+ * Maps the options of a cart line to data layer options
+ * @param {Object<string, string>} [options] - Values by option label
+ * @returns {Array<Object>} Options
+ */
+function toOptions(options = {}) {
+  return Object.entries(options).map(([optionLabel, valueLabel], index) => ({
+    id: index + 1,
+    optionLabel,
+    valueId: index + 1,
+    valueLabel,
+  }));
+}
+
+/**
+ * Maps a cart line to a shopping cart item
+ * @param {Object} item - Drop-in cart item
+ * @returns {Object} Shopping cart item, with its `product` context
+ */
+function toCartItemContext(item) {
+  const selectedOptions = {
+    ...item.selectedOptions,
+    ...item.bundleOptions,
+    ...item.customizableOptions,
+  };
+  return {
+    id: item.uid,
+    canApplyMsrp: false,
+    formattedPrice: formatPrice(item.price),
+    quantity: item.quantity,
+    prices: {
+      price: item.price,
+      discount: item.discount?.value ? item.discount : undefined,
+    },
+    product: {
+      productId: item.uid,
+      name: item.name,
+      sku: item.sku,
+      topLevelSku: item.topLevelSku,
+      productType: item.itemType,
+      categories: item.categories,
+      canonicalUrl: item.canonicalUrl,
+      mainImageUrl: item.image?.src,
+      image: item.image,
+      pricing: {
+        regularPrice: item.regularPrice?.value,
+        specialPrice: item.discounted ? item.price?.value : undefined,
+        currencyCode: item.regularPrice?.currency,
+      },
+    },
+    configurableOptions: toOptions(item.selectedOptions),
+    bundleOptions: toOptions(item.bundleOptions),
+    customizableOptions: toOptions(item.customizableOptions),
+    selectedOptions: Object.keys(selectedOptions).length > 0 ? selectedOptions : undefined,
+  };
+}
+
+/**
+ * Maps a cart to the shopping cart context
+ * @param {Object|null} cart - Drop-in cart model
+ * @returns {Object} Shopping cart context, an empty cart without one
+ */
+function toShoppingCartContext(cart) {
+  if (!cart) {
+    return { id: null, items: [], totalQuantity: 0 };
+  }
+  return {
+    id: cart.id,
+    items: cart.items.map(toCartItemContext),
+    prices: {
+      subtotalExcludingTax: cart.subtotal.excludingTax,
+      subtotalIncludingTax: cart.subtotal.includingTax,
+    },
+    totalQuantity: cart.totalQuantity,
+  };
+}
+
+/**
+ * Key of a cart line's product configuration, the same across carts
+ * @param {Object} item - Drop-in cart item
+ * @returns {string} Line key
+ */
+function getLineKey(item) {
+  const optionsUIDs = [
+    ...Object.values(item.selectedOptionsUIDs ?? {}),
+    ...(item.bundleOptionsUIDs ?? []),
+  ];
+  return `${item.sku}|${optionsUIDs.sort().join(',')}`;
+}
+
+/**
+ * Publishes the cart as the shopping cart context, e.g. after the page loaded it
+ * @param {Object|null} cart - Drop-in cart model, null when there is no cart
+ */
+export function publishShoppingCartContext(cart) {
+  setContext(CONTEXTS.SHOPPING_CART, toShoppingCartContext(cart));
+}
+
+/**
+ * Publishes the lines a shopper added or removed, one `add-to-cart` or `remove-from-cart`
+ * event per line with the line's product and the updated cart. Lines are matched by product
+ * configuration, so a cart replaced by another one with the same lines publishes nothing.
+ * @param {Object|null} previousCart - Drop-in cart model before the change
+ * @param {Object|null} cart - Drop-in cart model after the change
+ */
+export function publishCartChanges(previousCart, cart) {
+  const toLines = (items = []) => new Map(items.map((item) => [getLineKey(item), item]));
+  const previousItems = toLines(previousCart?.items);
+  const items = toLines(cart?.items);
+
+  const changes = [
+    ...[...items].map(([key, item]) => ({
+      item,
+      quantity: item.quantity - (previousItems.get(key)?.quantity ?? 0),
+    })),
+    ...[...previousItems]
+      .filter(([key]) => !items.has(key))
+      .map(([, item]) => ({ item, quantity: -item.quantity })),
+  ].filter(({ quantity }) => quantity !== 0);
+  if (changes.length === 0) {
+    return;
+  }
+
+  setChannelContext();
+  setContext(CONTEXTS.SHOPPING_CART, toShoppingCartContext(cart));
+  changes.forEach(({ item, quantity }) => {
+    // The changed line carries the quantity added or removed
+    const changedItem = { ...toCartItemContext(item), quantity: Math.abs(quantity) };
+    setContext(CONTEXTS.PRODUCT, changedItem.product);
+    setContext(CONTEXTS.CHANGED_PRODUCTS, { items: [changedItem] });
+    pushEvent(quantity > 0 ? ACDL_EVENTS.ADD_TO_CART : ACDL_EVENTS.REMOVE_FROM_CART);
+  });
+}
+
+/**
+ * Publishes a `shopping-cart-view` event, when the cart page or the mini cart is shown
+ * @param {Object|null} cart - Drop-in cart model
+ */
+export function publishShoppingCartView(cart) {
+  setChannelContext();
+  setContext(CONTEXTS.SHOPPING_CART, toShoppingCartContext(cart));
+  pushEvent(ACDL_EVENTS.SHOPPING_CART_VIEW);
+}
+
+/**
+ * Publishes an `initiate-checkout` event, when the shopper opens the checkout
+ * @param {Object|null} cart - Drop-in cart model
+ */
+export function publishInitiateCheckout(cart) {
+  setChannelContext();
+  setContext(CONTEXTS.SHOPPING_CART, toShoppingCartContext(cart));
+  pushEvent(ACDL_EVENTS.INITIATE_CHECKOUT);
+}
+
+/**
+ * Publishes a `place-order` event with the ordered cart, before it is replaced by an empty one
+ * @param {Object} order - Placed order
+ * @param {string} order.orderNumber - Order number
+ * @param {string} order.email - Email of the order
+ * @param {Object} order.cart - Drop-in cart model of the ordered cart, with its final totals
+ * @param {string} [order.shippingMethod] - Shipping method code, `<carrier>_<method>`
+ * @param {{ code: string, title: string }} [order.paymentMethod] - Payment method
+ */
+export function publishPlaceOrder({
+  orderNumber,
+  email,
+  cart,
+  shippingMethod = '',
+  paymentMethod,
+}) {
+  const grandTotal = cart.total.includingTax.value;
+  const orderContext = {
+    orderId: orderNumber,
+    orderType: 'checkout',
+    email,
+    appliedCouponCode: cart.appliedCoupons[0]?.code ?? '',
+    grandTotal,
+    priceTotal: grandTotal,
+    paymentAmount: grandTotal,
+    subtotalExcludingTax: cart.subtotal.excludingTax.value,
+    subtotalIncludingTax: cart.subtotal.includingTax.value,
+    discountAmount: cart.discount.value,
+    salesTax: cart.totalTax.value,
+    taxAmount: cart.totalTax.value,
+    otherTax: 0,
+    shipping: {
+      shippingMethod,
+      shippingAmount: cart.shipping.value,
+    },
+    payments: paymentMethod ? [{
+      paymentMethodCode: paymentMethod.code,
+      paymentMethodName: paymentMethod.title,
+      total: grandTotal,
+      orderId: orderNumber,
+    }] : [],
+  };
+
+  setContext(CONTEXTS.ORDER, orderContext);
+  setContext(CONTEXTS.SHOPPING_CART, toShoppingCartContext(cart));
+  setContext(CONTEXTS.PERSONAL_EMAIL, { address: email });
+  setChannelContext();
+  pushEvent(ACDL_EVENTS.PLACE_ORDER);
+}
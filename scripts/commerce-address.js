@@ -0,0 +1,290 @@
+/**
+ * Address rules by country: the postcode format, the fields an address needs, the number of
+ * street lines and the calling code phone numbers are normalized with. Every form taking an
+ * address validates it here, so the checkout and the account's address book accept the same
+ * addresses.
+ */
+
+/**
+ * Fields of an address, named after the `checkout-prepare` address fields. `street_2` and
+ * `street_3` are the street lines after the first.
+ */
+export const ADDRESS_FIELDS = ['firstname', 'lastname', 'company', 'street', 'street_2', 'street_3', 'country_code', 'region', 'city', 'postcode', 'telephone'];
+
+/**
+ * Fields required unless the country's rules make them optional. The region is required where
+ * the store defines regions for the country.
+ */
+const REQUIRED_FIELDS = ['firstname', 'lastname', 'street', 'country_code', 'city', 'postcode'];
+
+/**
+ * Fields a block makes required or optional with its `require-<field>` configuration, with
+ * their default
+ */
+const CONFIGURABLE_FIELDS = Object.freeze({
+  company: false,
+  telephone: true,
+});
+
+/**
+ * Phone numbers in E.164 format: a plus sign, the calling code and up to 15 digits
+ */
+const E164_PATTERN = /^\+[1-9]\d{6,14}$/;
+
+/**
+ * Labels of the fields in error messages
+ */
+const FIELD_LABELS = {
+  firstname: 'First name',
+  lastname: 'Last name',
+  company: 'Company name',
+  street: 'Street address',
+  street_2: 'Street address line 2',
+  street_3: 'Street address line 3',
+  country_code: 'Country',
+  region: 'State/Region',
+  city: 'City',
+  postcode: 'Postal code',
+  telephone: 'Phone number',
+};
+
+/**
+ * @typedef {Object} CountryAddressRules
+ * @property {RegExp} [postcode] - Pattern of the postcode, checked once it is formatted
+ * @property {string} [postcodeExample] - Postcode shown in the error and the field's placeholder
+ * @property {function(string): string} [formatPostcode] - Formats a valid postcode, e.g. adds
+ * the space the country writes it with
+ * @property {string} phoneCode - Calling code added to national phone numbers
+ * @property {number} streetLines - Number of street lines
+ * @property {string[]} [optionalFields] - Fields the country's addresses don't always have
+ */
+
+/**
+ * Rules of the countries the storefront ships to. Other countries get `DEFAULT_RULES`: any
+ * postcode, two street lines, and phone numbers entered with their calling code.
+ * @type {Object<string, CountryAddressRules>}
+ */
+export const COUNTRY_ADDRESS_RULES = {
+  US: {
+    postcode: /^\d{5}(-\d{4})?$/,
+    postcodeExample: '94103',
+    phoneCode: '1',
+    streetLines: 2,
+  },
+  CA: {
+    postcode: /^[ABCEGHJ-NPRSTVXY]\d[ABCEGHJ-NPRSTV-Z] ?\d[ABCEGHJ-NPRSTV-Z]\d$/,
+    postcodeExample: 'K1A 0B1',
+    formatPostcode: (value) => value.replace(/^(\w{3}) ?(\w{3})$/, '$1 $2'),
+    phoneCode: '1',
+    streetLines: 2,
+  },
+  GB: {
+    postcode: /^(GIR ?0AA|[A-Z]{1,2}\d[A-Z\d]? ?\d[A-Z]{2})$/,
+    postcodeExample: 'SW1A 1AA',
+    formatPostcode: (value) => value.replace(/^(\w+?) ?(\d\w{2})$/, '$1 $2'),
+    phoneCode: '44',
+    streetLines: 2,
+  },
+  IE: {
+    postcode: /^([AC-FHKNPRTV-Y]\d{2}|D6W) ?[0-9AC-FHKNPRTV-Y]{4}$/,
+    postcodeExample: 'D02 X285',
+    formatPostcode: (value) => value.replace(/^(\w{3}) ?(\w{4})$/, '$1 $2'),
+    phoneCode: '353',
+    streetLines: 2,
+    // Eircodes are recent, many addresses are still written without one
+    optionalFields: ['postcode'],
+  },
+  AU: {
+    postcode: /^\d{4}$/,
+    postcodeExample: '2000',
+    phoneCode: '61',
+    streetLines: 2,
+  },
+  DE: {
+    postcode: /^\d{5}$/,
+    postcodeExample: '10115',
+    phoneCode: '49',
+    streetLines: 1,
+  },
+  FR: {
+    postcode: /^\d{5}$/,
+    postcodeExample: '75001',
+    phoneCode: '33',
+    streetLines: 2,
+  },
+  NL: {
+    postcode: /^\d{4} ?[A-Z]{2}$/,
+    postcodeExample: '1012 AB',
+    formatPostcode: (value) => value.replace(/^(\d{4}) ?([A-Z]{2})$/, '$1 $2'),
+    phoneCode: '31',
+    streetLines: 1,
+  },
+  IN: {
+    postcode: /^[1-9]\d{5}$/,
+    postcodeExample: '110001',
+    phoneCode: '91',
+    streetLines: 3,
+  },
+  JP: {
+    postcode: /^\d{3}-?\d{4}$/,
+    postcodeExample: '100-0001',
+    formatPostcode: (value) => value.replace(/^(\d{3})-?(\d{4})$/, '$1-$2'),
+    phoneCode: '81',
+    streetLines: 3,
+  },
+  HK: {
+    phoneCode: '852',
+    streetLines: 3,
+    optionalFields: ['postcode'],
+  },
+  AE: {
+    phoneCode: '971',
+    streetLines: 3,
+    optionalFields: ['postcode'],
+  },
+};
+
+/**
+ * Rules of the countries without rules of their own
+ * @type {CountryAddressRules}
+ */
+const DEFAULT_RULES = {
+  phoneCode: null,
+  streetLines: 2,
+};
+
+/**
+ * Gets the address rules of a country
+ * @param {string} countryCode - Two-letter country code
+ * @param {Object} [options]
+ * @param {Object<string, boolean>} [options.requiredFields] - Configurable fields made required
+ * or optional, e.g. `{ company: true }`
+ * @returns {CountryAddressRules & { required: string[] }} Rules of the country, with the fields
+ * its addresses need, the region excepted
+ */
+export function getAddressRules(countryCode, { requiredFields = CONFIGURABLE_FIELDS } = {}) {
+  const rules = COUNTRY_ADDRESS_RULES[countryCode?.toUpperCase()] ?? DEFAULT_RULES;
+  const configured = Object.keys(CONFIGURABLE_FIELDS)
+    .filter((field) => requiredFields[field] ?? CONFIGURABLE_FIELDS[field]);
+  return {
+    ...rules,
+    required: [...REQUIRED_FIELDS, ...configured]
+      .filter((field) => !rules.optionalFields?.includes(field)),
+  };
+}
+
+/**
+ * Formats a postcode the way the country writes it, e.g. `sw1a1aa` becomes `SW1A 1AA`
+ * @param {string} value - Postcode
+ * @param {string} countryCode - Two-letter country code
+ * @returns {string} Formatted postcode, or the trimmed value if it doesn't fit the country
+ */
+export function formatPostcode(value, countryCode) {
+  const postcode = (value ?? '').trim().toUpperCase().replace(/\s+/g, ' ');
+  const rules = getAddressRules(countryCode);
+  if (!rules.formatPostcode || !rules.postcode?.test(postcode)) {
+    return postcode;
+  }
+  return rules.formatPostcode(postcode);
+}
+
+/**
+ * Checks a postcode against the format of its country
+ * @param {string} value - Postcode
+ * @param {string} countryCode - Two-letter country code
+ * @returns {string|null} Error message, null if the postcode fits or the country has no format
+ */
+export function validatePostcode(value, countryCode) {
+  const postcode = formatPostcode(value, countryCode);
+  const rules = getAddressRules(countryCode);
+  if (!postcode || !rules.postcode || rules.postcode.test(postcode)) {
+    return null;
+  }
+  return `Enter a valid postal code, e.g. ${rules.postcodeExample}`;
+}
+
+/**
+ * Normalizes a phone number to E.164, e.g. `(415) 555-0132` in the US becomes `+14155550132`.
+ * Numbers starting with `+` or `00` keep their calling code, national numbers get the country's
+ * one without their trunk prefix `0`.
+ * @param {string} value - Phone number as entered
+ * @param {string} countryCode - Two-letter country code of the address
+ * @returns {string|null} Phone number in E.164 format, null if it isn't a valid number or has
+ * no calling code for a country without rules
+ */
+export function normalizePhone(value, countryCode) {
+  const phone = (value ?? '').trim().replace(/[\s().\-/]/g, '');
+  if (!/^(\+|00)?\d+$/.test(phone)) {
+    return null;
+  }
+
+  let number;
+  if (phone.startsWith('+')) {
+    number = phone.slice(1);
+  } else if (phone.startsWith('00')) {
+    number = phone.slice(2);
+  } else {
+    const { phoneCode } = getAddressRules(countryCode);
+    if (!phoneCode) {
+      return null;
+    }
+    let national = phone.replace(/^0/, '');
+    // North American numbers are often written with their calling code but no plus sign
+    if (phoneCode === '1' && national.length === 11 && national.startsWith('1')) {
+      national = national.slice(1);
+    }
+    number = `${phoneCode}${national}`;
+  }
+
+  const normalized = `+${number}`;
+  return E164_PATTERN.test(normalized) ? normalized : null;
+}
+
+/**
+ * Lists the street lines of an address the country uses
+ * @param {Object} address - Address fields
+ * @returns {string[]} Street lines, the empty ones left out
+ */
+export function getStreetLines(address) {
+  const { streetLines } = getAddressRules(address.country_code);
+  return [address.street, address.street_2, address.street_3]
+    .slice(0, streetLines)
+    .map((line) => line?.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Validates the fields of an address against the rules of its country
+ * @param {Object} address - Address fields
+ * @param {Object} [options]
+ * @param {boolean} [options.regionRequired=true] - Whether the country needs a region
+ * @param {Object<string, boolean>} [options.requiredFields] - Configurable fields made required
+ * or optional, e.g. `{ company: true }`
+ * @returns {Object} Errors by field
+ */
+export function validateAddress(address, { regionRequired = true, requiredFields } = {}) {
+  const errors = {};
+  const rules = getAddressRules(address.country_code, { requiredFields });
+  const required = regionRequired ? [...rules.required, 'region'] : rules.required;
+  const getValue = (field) => String(address[field] ?? '').trim();
+
+  required.forEach((field) => {
+    if (!getValue(field)) {
+      errors[field] = `${FIELD_LABELS[field]} is required`;
+    }
+  });
+
+  const postcodeError = validatePostcode(getValue('postcode'), address.country_code);
+  if (!errors.postcode && postcodeError) {
+    errors.postcode = postcodeError;
+  }
+
+  const telephone = getValue('telephone');
+  if (!errors.telephone && telephone && !normalizePhone(telephone, address.country_code)) {
+    errors.telephone = rules.phoneCode
+      ? 'Enter a valid phone number'
+      : 'Enter the phone number with its country code, e.g. +44 20 7946 0958';
+  }
+
+  return errors;
+}
@@ -0,0 +1,82 @@
+import { CORE_FETCH_GRAPHQL } from './commerce.js';
+import { getLocale } from './commerce-locale.js';
+
+/**
+ * Countries and regions of the active store view. Commerce's `countries` query only returns
+ * the countries allowed in the store's configuration, each with the regions it defines, so
+ * address forms offer exactly what the store accepts.
+ */
+
+const COUNTRIES_QUERY = `
+  query COUNTRIES {
+    countries {
+      id
+      two_letter_abbreviation
+      full_name_locale
+      full_name_english
+      available_regions {
+        id
+        code
+        name
+      }
+    }
+  }
+`;
+
+/**
+ * Pending or loaded countries, fetched once per page
+ */
+let countriesPromise = null;
+
+/**
+ * Loads the countries allowed in the store, sorted by name
+ * @returns {Promise<Array<{
+ *   code: string,
+ *   name: string,
+ *   regions: Array<{ id: number, code: string, name: string }>
+ * }>>} Countries, with their regions sorted by name. Countries without regions have none.
+ */
+export function getCountries() {
+  if (!countriesPromise) {
+    const locale = getLocale();
+    const byName = (a, b) => a.name.localeCompare(b.name, locale);
+
+    countriesPromise = CORE_FETCH_GRAPHQL.fetchGraphQl(COUNTRIES_QUERY, { method: 'GET' })
+      .then(({ data, errors }) => {
+        if (errors?.length) {
+          throw new Error(errors.map(({ message }) => message).join(' '));
+        }
+        return (data?.countries ?? [])
+          .map((country) => ({
+            code: country.two_letter_abbreviation || country.id,
+            name: country.full_name_locale || country.full_name_english || country.id,
+            regions: (country.available_regions ?? [])
+              .map(({ id, code, name }) => ({ id, code, name }))
+              .sort(byName),
+          }))
+          .sort(byName);
+      })
+      .catch((error) => {
+        // Let the next call try again
+        countriesPromise = null;
+        throw error;
+      });
+  }
+  return countriesPromise;
+}
+
+/**
+ * Finds a region by ID, code or name
+ * @param {Array<{ id: number, code: string, name: string }>} regions - Regions of a country
+ * @param {string|number|null} value - Region ID, code or name, e.g. `12`, `CA` or `California`
+ * @returns {{ id: number, code: string, name: string }|null} Region, null if none matches
+ */
+export function findRegion(regions, value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const search = String(value).trim().toLowerCase();
+  return regions.find((region) => String(region.id) === search
+    || region.code?.toLowerCase() === search
+    || region.name?.toLowerCase() === search) ?? null;
+}
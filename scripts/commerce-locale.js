@@ -0,0 +1,137 @@
+import { getConfigValue } from '@dropins/tools/lib/aem/configs.js';
+
+/**
+ * Locale and money formatting for the active store view. Every custom block formats amounts
+ * through `formatPrice`, so a store view's locale and currency apply everywhere.
+ *
+ * The locale is read from the `headers.cs.ac-scope-locale` header of ACO store views, or from
+ * the `locale` config value, and defaults to `en-US`. The currency is the store view's
+ * `analytics.base-currency-code`, and defaults to `USD`.
+ */
+
+/**
+ * Locale used when the store config has none
+ */
+export const DEFAULT_LOCALE = 'en-US';
+
+/**
+ * Currency used when the store config has none
+ */
+export const DEFAULT_CURRENCY = 'USD';
+
+/**
+ * Languages written right to left
+ */
+const RTL_LANGUAGES = ['ar', 'arc', 'ckb', 'dv', 'fa', 'he', 'ku', 'ps', 'sd', 'ug', 'ur', 'yi'];
+
+/**
+ * Formatters by locale and currency, as creating them is slow
+ */
+const formatters = new Map();
+
+/**
+ * Returns the locale of the active store view
+ * @returns {string} BCP 47 locale, e.g. `en-US` or `fr-CA`
+ */
+export function getLocale() {
+  const locale = getConfigValue('headers.cs.ac-scope-locale') || getConfigValue('locale');
+  if (!locale) {
+    return DEFAULT_LOCALE;
+  }
+  try {
+    // Commerce locales use underscores (`fr_CA`)
+    return Intl.getCanonicalLocales(locale.replace('_', '-'))[0];
+  } catch {
+    console.warn(`Invalid store locale "${locale}", using ${DEFAULT_LOCALE}`);
+    return DEFAULT_LOCALE;
+  }
+}
+
+/**
+ * Returns the base currency of the active store view
+ * @returns {string} ISO 4217 currency code
+ */
+export function getStoreCurrency() {
+  return getConfigValue('analytics.base-currency-code') || DEFAULT_CURRENCY;
+}
+
+/**
+ * Returns the text direction of a locale
+ * @param {string} [locale] - BCP 47 locale, the store locale by default
+ * @returns {'ltr'|'rtl'} Text direction
+ */
+export function getTextDirection(locale = getLocale()) {
+  const [language] = locale.toLowerCase().split('-');
+  return RTL_LANGUAGES.includes(language) ? 'rtl' : 'ltr';
+}
+
+/**
+ * Sets the `lang` and `dir` of the page to the store locale
+ */
+export function applyDocumentLocale() {
+  const locale = getLocale();
+  document.documentElement.lang = locale;
+  document.documentElement.dir = getTextDirection(locale);
+}
+
+/**
+ * Returns a currency formatter for the store locale
+ * @param {string} currency - ISO 4217 currency code
+ * @returns {Intl.NumberFormat} Formatter
+ */
+function getFormatter(currency) {
+  const locale = getLocale();
+  const key = `${locale}|${currency}`;
+  if (!formatters.has(key)) {
+    formatters.set(key, new Intl.NumberFormat(locale, { style: 'currency', currency }));
+  }
+  return formatters.get(key);
+}
+
+/**
+ * Returns the number of decimals of a currency, e.g. 2 for USD and 0 for JPY
+ * @param {string} [currency] - ISO 4217 currency code, the store currency by default
+ * @returns {number} Number of decimals
+ */
+export function getCurrencyDecimals(currency = getStoreCurrency()) {
+  try {
+    return getFormatter(currency).resolvedOptions().maximumFractionDigits;
+  } catch {
+    return 2;
+  }
+}
+
+/**
+ * Rounds an amount to the decimals of its currency, for payment APIs that reject extra
+ * decimals
+ * @param {number} value - Amount
+ * @param {string} [currency] - ISO 4217 currency code, the store currency by default
+ * @returns {number} Rounded amount
+ */
+export function roundAmount(value, currency = getStoreCurrency()) {
+  const factor = 10 ** getCurrencyDecimals(currency);
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Formats a price in the store locale
+ * @param {{ value?: number, currency?: string }|null} price - Price. A missing currency is the
+ * store currency.
+ * @param {Object} [options]
+ * @param {string} [options.fallback=''] - Text returned when the price or its value is missing
+ * @returns {string} Formatted price, e.g. `$1,234.50`, `1 234,50 €` or `￥1,235`
+ */
+export function formatPrice(price, { fallback = '' } = {}) {
+  const value = Number(price?.value);
+  if (price?.value === null || price?.value === undefined || Number.isNaN(value)) {
+    return fallback;
+  }
+  const currency = price.currency || getStoreCurrency();
+  try {
+    return getFormatter(currency).format(value);
+  } catch (error) {
+    // Unknown currency codes can't be formatted as currencies
+    console.warn(`Cannot format currency "${currency}":`, error);
+    return `${value.toFixed(2)} ${currency}`;
+  }
+}
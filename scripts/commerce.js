@@ -160,6 +160,7 @@ function initializeAdobeDataLayer(pageType) {
         minYOffset: 0,
       },
     },
+    // Replaced by the App Builder cart once it is loaded, see `commerce-acdl.js`
     {
       shoppingCartContext: {
         totalQuantity: 0,
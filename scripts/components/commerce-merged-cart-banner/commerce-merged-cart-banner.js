@@ -0,0 +1,79 @@
+import { events } from '@dropins/tools/event-bus.js';
+import { InLineAlert, Icon, provider as UI } from '@dropins/tools/components.js';
+import { h } from '@dropins/tools/preact.js';
+import { MERGED_CART_STORAGE_KEY } from '../../appbuilder-cart.js';
+
+/**
+ * Reads the summary of the last guest cart merge
+ * @returns {Object|null} Merge summary with `oldCartItems` and `conflicts`
+ */
+function getStoredSummary() {
+  try {
+    return JSON.parse(sessionStorage.getItem(MERGED_CART_STORAGE_KEY));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Renders a banner telling the shopper that their guest cart was merged into their account
+ * cart. The banner stays until it is dismissed or the cart is reset, across page views.
+ * @param {HTMLElement} container - DOM element to render the banner in
+ * @param {Object} [placeholders] - Placeholders for the banner copy
+ * @returns {{ remove: Function }} Handle to remove the banner and its listeners
+ */
+export default function renderMergedCartBanner(container, placeholders = {}) {
+  let banner = null;
+
+  const hide = () => {
+    banner?.remove();
+    banner = null;
+  };
+
+  const show = (summary) => {
+    const count = (summary?.oldCartItems ?? [])
+      .reduce((sum, item) => sum + (item.quantity ?? 0), 0);
+    if (!count) {
+      return;
+    }
+
+    const conflicts = summary.conflicts ?? [];
+    const description = [
+      (placeholders?.Global?.MergedCartItems || '{count} item(s) from your previous session were added to your cart.')
+        .replace('{count}', count),
+      conflicts.length > 0
+        ? (placeholders?.Global?.MergedCartConflicts || 'For products that were already in your cart, the higher quantity was kept.')
+        : '',
+    ].filter(Boolean).join(' ');
+
+    hide();
+    banner = UI.render(InLineAlert, {
+      heading: placeholders?.Global?.MergedCartHeading || 'Your carts were combined',
+      description,
+      type: 'info',
+      variant: 'primary',
+      icon: h(Icon, { source: 'Cart' }),
+      'aria-live': 'polite',
+      role: 'status',
+      onDismiss: () => {
+        sessionStorage.removeItem(MERGED_CART_STORAGE_KEY);
+        hide();
+      },
+    })(container);
+  };
+
+  // The merge may have happened on the sign-in page
+  show(getStoredSummary());
+
+  const subscriptions = [
+    events.on('cart/merged', show),
+    events.on('cart/reset', hide),
+  ];
+
+  return {
+    remove: () => {
+      hide();
+      subscriptions.forEach((subscription) => subscription?.off());
+    },
+  };
+}
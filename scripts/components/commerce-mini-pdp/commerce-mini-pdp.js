@@ -17,7 +17,6 @@ import {
   provider as UI,
 } from '@dropins/tools/components.js';
 import { h } from '@dropins/tools/preact.js';
-import * as Cart from '@dropins/storefront-cart/api.js';
 
 // PDP Containers for Mini PDP
 import ProductPrice from '@dropins/storefront-pdp/containers/ProductPrice.js';
@@ -28,6 +27,7 @@ import ProductQuantity from '@dropins/storefront-pdp/containers/ProductQuantity.
 import '../../initializers/cart.js';
 
 import { fetchPlaceholders, CS_FETCH_GRAPHQL } from '../../commerce.js';
+import * as Cart from '../../appbuilder-cart.js';
 
 import { loadCSS } from '../../aem.js';
 
@@ -58,7 +58,10 @@ export default async function createMiniPDP(cartItem, onUpdate, onClose) {
   const sku = freshCartItem.topLevelSku || freshCartItem.sku;
 
   const optionsUIDs = freshCartItem.selectedOptionsUIDs
-    ? Object.values(freshCartItem.selectedOptionsUIDs).filter(Boolean)
+    ? [
+      ...Object.values(freshCartItem.selectedOptionsUIDs),
+      ...(freshCartItem.bundleOptionsUIDs || []),
+    ].filter(Boolean)
     : undefined;
 
   const langDefinitions = {
@@ -236,6 +239,10 @@ export default async function createMiniPDP(cartItem, onUpdate, onClose) {
                 && values.optionsUIDs.length > 0 && {
                 optionsUIDs: values.optionsUIDs,
               }),
+              ...(values.enteredOptions
+                && values.enteredOptions.length > 0 && {
+                enteredOptions: values.enteredOptions,
+              }),
             };
 
             const updateResponse = await Cart.updateProductsFromCart([
@@ -0,0 +1,287 @@
+import { getStoreConfig } from '@dropins/storefront-cart/api.js';
+import { loadCSS } from '../../aem.js';
+import { getCartCurrency } from '../../appbuilder-cart.js';
+import { formatPrice } from '../../commerce-locale.js';
+
+/**
+ * Price breakdown shared by the cart and checkout summaries. Maps the `prices` of an App Builder
+ * cart and renders subtotal, discounts, shipping, taxes, gift cards and total, following the
+ * store's tax display settings.
+ */
+
+/**
+ * Tax display used when the store configuration can't be read
+ */
+const DEFAULT_DISPLAY_SETTING = {
+  price: 'EXCLUDING_TAX',
+  subtotal: 'EXCLUDING_TAX',
+  shipping: 'EXCLUDING_TAX',
+  grandTotal: false,
+  zeroTax: false,
+};
+
+/**
+ * Pending or resolved tax display settings, read once per page
+ */
+let displaySettingPromise = null;
+
+/**
+ * Loads the component styles, once
+ */
+function loadStyles() {
+  loadCSS(`${window.hlx.codeBasePath}/scripts/components/commerce-price-summary/commerce-price-summary.css`);
+}
+
+/**
+ * Maps an App Builder money object to a price
+ * @param {Object} [money] - Money object with value and currency
+ * @param {string} currency - Fallback currency
+ * @returns {{ value: number, currency: string }} Price
+ */
+function toPrice(money, currency) {
+  return {
+    value: money?.value ?? 0,
+    currency: money?.currency || currency,
+  };
+}
+
+/**
+ * Reads how the store displays prices, subtotal and shipping with regard to tax
+ * @returns {Promise<{ price: string, subtotal: string, shipping: string, grandTotal: boolean,
+ * zeroTax: boolean }>} `EXCLUDING_TAX`, `INCLUDING_TAX` or `INCLUDING_EXCLUDING_TAX` for each
+ * amount, whether to show the total excluding tax and whether to show a zero tax line
+ */
+export function getTaxDisplaySetting() {
+  if (!displaySettingPromise) {
+    displaySettingPromise = getStoreConfig()
+      .then((config) => ({
+        ...DEFAULT_DISPLAY_SETTING,
+        ...config?.shoppingCartDisplaySetting,
+      }))
+      .catch((error) => {
+        console.error('Error loading the store tax display settings:', error);
+        return DEFAULT_DISPLAY_SETTING;
+      });
+  }
+  return displaySettingPromise;
+}
+
+/**
+ * Maps the prices of an App Builder cart item
+ * @param {Object} item - App Builder cart item
+ * @param {string} currency - Cart currency
+ * @returns {Object} Item prices: `price`, `regularPrice`, `rowTotal`, `rowTotalIncludingTax`,
+ * `discounts`, `totalDiscount` and `discounted`
+ */
+export function transformItemPrices(item, currency) {
+  const prices = item.prices ?? {};
+  const price = toPrice(prices.price, currency);
+  const regularPrice = toPrice(prices.original_item_price ?? prices.price, currency);
+  const discounts = (prices.discounts ?? []).map((discount) => ({
+    label: discount.label || '',
+    amount: toPrice(discount.amount, currency),
+  }));
+  const totalDiscount = prices.total_item_discount
+    ? toPrice(prices.total_item_discount, currency)
+    : toPrice({ value: discounts.reduce((sum, { amount }) => sum + amount.value, 0) }, currency);
+
+  return {
+    price,
+    priceIncludingTax: toPrice(prices.price_including_tax ?? prices.price, currency),
+    regularPrice,
+    rowTotal: toPrice(prices.row_total, currency),
+    rowTotalIncludingTax: toPrice(prices.row_total_including_tax ?? prices.row_total, currency),
+    discounts,
+    totalDiscount,
+    discounted: regularPrice.value > price.value || totalDiscount.value > 0,
+  };
+}
+
+/**
+ * Maps the `prices` of an App Builder cart, with its shipping method and gift cards
+ * @param {Object} apiCart - App Builder cart
+ * @returns {Object} Cart prices: `currency`, `grandTotal`, `grandTotalExcludingTax`,
+ * `subtotalExcludingTax`, `subtotalIncludingTax`, `subtotalWithDiscountExcludingTax`,
+ * `discounts`, `shipping`, `shippingLabel`, `appliedTaxes` and `giftCards`
+ */
+export function transformCartPrices(apiCart) {
+  const currency = getCartCurrency(apiCart);
+  const prices = apiCart?.prices ?? {};
+  // Set by checkout, or by the shipping estimator until checkout sets a real address
+  const shippingMethod = apiCart?.shipping_addresses?.[0]?.selected_shipping_method;
+
+  return {
+    currency,
+    grandTotal: toPrice(prices.grand_total, currency),
+    grandTotalExcludingTax: toPrice(
+      prices.grand_total_excluding_tax ?? prices.grand_total,
+      currency,
+    ),
+    subtotalExcludingTax: toPrice(prices.subtotal_excluding_tax, currency),
+    subtotalIncludingTax: toPrice(
+      prices.subtotal_including_tax ?? prices.subtotal_excluding_tax,
+      currency,
+    ),
+    subtotalWithDiscountExcludingTax: toPrice(
+      prices.subtotal_with_discount_excluding_tax ?? prices.subtotal_excluding_tax,
+      currency,
+    ),
+    discounts: (prices.discounts ?? []).map((discount) => ({
+      label: discount.label || discount.coupon?.code || '',
+      code: discount.coupon?.code || '',
+      amount: toPrice(discount.amount, currency),
+    })),
+    shipping: shippingMethod ? toPrice(shippingMethod.amount, currency) : null,
+    shippingLabel: shippingMethod
+      ? [shippingMethod.carrier_title, shippingMethod.method_title].filter(Boolean).join(' - ')
+      : '',
+    appliedTaxes: (prices.applied_taxes ?? []).map((tax) => ({
+      label: tax.label || '',
+      amount: toPrice(tax.amount, currency),
+    })),
+    giftCards: (apiCart?.applied_gift_cards ?? []).map((giftCard) => ({
+      code: giftCard.code,
+      appliedBalance: toPrice(giftCard.applied_balance, currency),
+    })),
+  };
+}
+
+/**
+ * Builds a summary row
+ * @param {string} modifier - Row modifier class, empty for none
+ * @param {string} label - Row label
+ * @param {string} value - Formatted amount
+ * @returns {HTMLElement} Row element
+ */
+function createRow(modifier, label, value) {
+  const $row = document.createElement('div');
+  $row.className = 'commerce-price-summary__row';
+  if (modifier) {
+    $row.classList.add(`commerce-price-summary__row--${modifier}`);
+  }
+  const $label = document.createElement('span');
+  $label.className = 'commerce-price-summary__label';
+  $label.textContent = label;
+  const $value = document.createElement('span');
+  $value.className = 'commerce-price-summary__value';
+  $value.textContent = value;
+  $row.append($label, $value);
+  return $row;
+}
+
+/**
+ * Renders the unit price or row total of a cart line, replacing the content of the container.
+ * A unit price below the regular price is shown next to the struck through regular price; a
+ * row total with cart rule discounts is shown after the struck through row total, with one
+ * line per discount.
+ * @param {HTMLElement} container - DOM element to render the price in
+ * @param {Object} itemPrices - Item prices from `transformItemPrices`
+ * @param {Object} [options]
+ * @param {boolean} [options.total=false] - Render the row total instead of the unit price
+ * @param {Object} [options.placeholders] - Placeholders for the discount labels
+ */
+export function renderItemPrice(container, itemPrices, { total = false, placeholders = {} } = {}) {
+  loadStyles();
+
+  const $price = document.createElement('span');
+  $price.className = 'commerce-price-summary__item-price';
+  const children = [$price];
+
+  const $regular = document.createElement('s');
+  $regular.className = 'commerce-price-summary__item-regular-price';
+
+  if (!total) {
+    $price.textContent = formatPrice(itemPrices.price);
+    if (itemPrices.regularPrice.value > itemPrices.price.value) {
+      $regular.textContent = formatPrice(itemPrices.regularPrice);
+      children.unshift($regular);
+    }
+  } else if (itemPrices.totalDiscount.value > 0) {
+    $regular.textContent = formatPrice(itemPrices.rowTotal);
+    $price.textContent = formatPrice({
+      ...itemPrices.rowTotal,
+      value: itemPrices.rowTotal.value - itemPrices.totalDiscount.value,
+    });
+    const discounts = itemPrices.discounts.length > 0
+      ? itemPrices.discounts
+      : [{ label: '', amount: itemPrices.totalDiscount }];
+    children.unshift($regular);
+    children.push(...discounts.map((discount) => {
+      const $discount = document.createElement('span');
+      $discount.className = 'commerce-price-summary__item-discount';
+      $discount.textContent = `${discount.label || placeholders?.Global?.Discount || 'Discount'}: -${formatPrice(discount.amount)}`;
+      return $discount;
+    }));
+  } else {
+    $price.textContent = formatPrice(itemPrices.rowTotal);
+  }
+
+  container.replaceChildren(...children);
+}
+
+/**
+ * Renders the price breakdown of a cart, replacing the content of the container
+ * @param {HTMLElement} container - DOM element to render the summary in
+ * @param {Object} prices - Cart prices from `transformCartPrices`
+ * @param {Object} [options]
+ * @param {Object} [options.placeholders] - Placeholders for the row labels
+ * @param {Object} [options.displaySetting] - Tax display settings from `getTaxDisplaySetting`
+ */
+export default function renderPriceSummary(container, prices, {
+  placeholders = {},
+  displaySetting = DEFAULT_DISPLAY_SETTING,
+} = {}) {
+  loadStyles();
+
+  const labels = placeholders?.Global ?? {};
+  const rows = [];
+
+  const subtotalSetting = displaySetting.subtotal;
+  if (subtotalSetting === 'INCLUDING_EXCLUDING_TAX') {
+    rows.push(
+      createRow('subtotal', labels.SubtotalExcludingTax || 'Subtotal (excl. tax)', formatPrice(prices.subtotalExcludingTax)),
+      createRow('subtotal', labels.SubtotalIncludingTax || 'Subtotal (incl. tax)', formatPrice(prices.subtotalIncludingTax)),
+    );
+  } else {
+    const subtotal = subtotalSetting === 'INCLUDING_TAX'
+      ? prices.subtotalIncludingTax
+      : prices.subtotalExcludingTax;
+    rows.push(createRow('subtotal', labels.Subtotal || 'Subtotal', formatPrice(subtotal)));
+  }
+
+  prices.discounts.forEach((discount) => {
+    rows.push(createRow('discount', discount.label || labels.Discount || 'Discount', `-${formatPrice(discount.amount)}`));
+  });
+
+  if (prices.shipping) {
+    const label = labels.Shipping || 'Shipping';
+    rows.push(createRow(
+      'shipping',
+      prices.shippingLabel ? `${label} (${prices.shippingLabel})` : label,
+      formatPrice(prices.shipping),
+    ));
+  }
+
+  prices.appliedTaxes.forEach((tax) => {
+    rows.push(createRow('tax', tax.label || labels.Tax || 'Tax', formatPrice(tax.amount)));
+  });
+  if (prices.appliedTaxes.length === 0 && displaySetting.zeroTax) {
+    rows.push(createRow('tax', labels.Tax || 'Tax', formatPrice({ currency: prices.currency, value: 0 })));
+  }
+
+  prices.giftCards.forEach((giftCard) => {
+    rows.push(createRow('discount', `${labels.GiftCard || 'Gift card'} (${giftCard.code})`, `-${formatPrice(giftCard.appliedBalance)}`));
+  });
+
+  const $divider = document.createElement('div');
+  $divider.className = 'commerce-price-summary__divider';
+  rows.push($divider);
+
+  if (displaySetting.grandTotal) {
+    rows.push(createRow('total-excluding-tax', labels.TotalExcludingTax || 'Total (excl. tax)', formatPrice(prices.grandTotalExcludingTax)));
+  }
+  rows.push(createRow('total', labels.Total || 'Total', formatPrice(prices.grandTotal)));
+
+  container.classList.add('commerce-price-summary');
+  container.replaceChildren(...rows);
+}
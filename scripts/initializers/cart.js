@@ -2,6 +2,7 @@ import { initializers } from '@dropins/tools/initializer.js';
 import { initialize, setEndpoint } from '@dropins/storefront-cart/api.js';
 import { initializeDropin } from './index.js';
 import { CORE_FETCH_GRAPHQL, fetchPlaceholders } from '../commerce.js';
+import { initializeAppBuilderCart } from '../appbuilder-cart.js';
 
 await initializeDropin(async () => {
   // Set Fetch GraphQL (Core)
@@ -16,6 +17,9 @@ await initializeDropin(async () => {
     },
   };
 
-  // Initialize cart
-  return initializers.mountImmediately(initialize, { langDefinitions });
+  // Initialize cart. Guest carts are owned by the App Builder cart adapter.
+  await initializers.mountImmediately(initialize, { langDefinitions, disableGuestCart: true });
+
+  // Publish the App Builder cart on the event bus
+  return initializeAppBuilderCart();
 })();
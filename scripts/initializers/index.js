@@ -4,6 +4,7 @@ import { events } from '@dropins/tools/event-bus.js';
 import { initializers } from '@dropins/tools/initializer.js';
 import { isAemAssetsEnabled } from '@dropins/tools/lib/aem/assets.js';
 import { CORE_FETCH_GRAPHQL, CS_FETCH_GRAPHQL, fetchPlaceholders } from '../commerce.js';
+import { syncCartWithAuthState } from '../appbuilder-cart.js';
 
 export const getUserTokenCookie = () => getCookie('auth_dropin_user_token');
 
@@ -50,6 +51,11 @@ export default async function initializeDropins() {
     // Set auth headers on authenticated event
     events.on('authenticated', setAuthHeaders, { eager: true });
 
+    // Merge the guest cart on sign-in, start a fresh guest cart on sign-out. The auth drop-in
+    // emits `authenticated` once it verified the token on page load, which also finishes a
+    // cart merge interrupted by the post sign-in redirect.
+    events.on('authenticated', syncCartWithAuthState, { eager: true });
+
     // Cache cart data in session storage
     events.on('cart/data', persistCartDataInSession, { eager: true });
 
@@ -20,6 +20,7 @@ import {
   decorateLinks,
   loadErrorPage,
 } from './commerce.js';
+import { applyDocumentLocale } from './commerce-locale.js';
 
 /**
  * Builds hero block and prepends to main in a new section.
@@ -96,6 +97,7 @@ export function decorateMain(main) {
  * @param {Element} doc The container element
  */
 async function loadEager(doc) {
+  // Replaced by the store locale once the config is loaded
   document.documentElement.lang = 'en';
   decorateTemplateAndTheme();
 
@@ -103,6 +105,7 @@ async function loadEager(doc) {
   if (main) {
     try {
       await initializeCommerce();
+      applyDocumentLocale();
       decorateMain(main);
       applyTemplates(doc);
       await loadCommerceEager();
@@ -0,0 +1,171 @@
+import * as store from './store.js';
+
+/**
+ * Handlers for the `poc-appbuilder-storefront` actions. Each handler receives the JSON body and
+ * the caller's bearer token and returns the JSON response of the deployed action.
+ */
+
+/**
+ * Reads a required payload field
+ * @param {Object} payload - Request body
+ * @param {string} field - Field name
+ * @returns {*} Field value
+ */
+function required(payload, field) {
+  const value = payload?.[field];
+  if (value === undefined || value === null || value === '') {
+    throw new store.ActionError(400, `Required parameter "${field}" is missing`);
+  }
+  return value;
+}
+
+/**
+ * Reads the cart of a request
+ * @param {Object} payload - Request body with `cartId`
+ * @param {string|null} customerToken - Bearer token of the caller
+ * @returns {Object} Cart
+ */
+function cartOf(payload, customerToken) {
+  return store.getCart(required(payload, 'cartId'), customerToken);
+}
+
+export default {
+  'cart-create': () => ({ cart: store.serializeCart(store.createCart()) }),
+
+  'cart-get': (payload, customerToken) => ({
+    cart: store.serializeCart(cartOf(payload, customerToken)),
+  }),
+
+  'cart-customer-get': (_payload, customerToken) => {
+    if (!customerToken) {
+      throw new store.ActionError(401, 'The current customer isn\'t authorized.');
+    }
+    return { cart: store.serializeCart(store.getCustomerCart(customerToken)) };
+  },
+
+  'cart-merge': (payload, customerToken) => {
+    if (!customerToken) {
+      throw new store.ActionError(401, 'The current customer isn\'t authorized.');
+    }
+    const source = store.getCart(required(payload, 'sourceCartId'), customerToken);
+    const destination = store.getCart(required(payload, 'destinationCartId'), customerToken);
+    store.mergeCarts(source, destination);
+    return { cart: store.serializeCart(destination) };
+  },
+
+  'cart-add-item': (payload, customerToken) => {
+    const cart = cartOf(payload, customerToken);
+    store.addItem(cart, {
+      sku: required(payload, 'sku'),
+      quantity: Number(payload.quantity ?? 1),
+      optionsUIDs: payload.optionsUIDs ?? [],
+      enteredOptions: payload.enteredOptions ?? [],
+    });
+    return { cart: store.serializeCart(cart) };
+  },
+
+  'cart-update-item': (payload, customerToken) => {
+    const cart = cartOf(payload, customerToken);
+    const line = store.getLine(cart, required(payload, 'cart_item_id'));
+    const quantity = Number(required(payload, 'quantity'));
+    if (quantity <= 0) {
+      cart.items = cart.items.filter((entry) => entry !== line);
+    } else {
+      if (quantity > store.getProduct(line.sku).qty) {
+        throw new store.ActionError(400, 'The requested qty is not available');
+      }
+      line.quantity = quantity;
+    }
+    return { cart: store.serializeCart(cart) };
+  },
+
+  'cart-remove-item': (payload, customerToken) => {
+    const cart = cartOf(payload, customerToken);
+    const line = store.getLine(cart, required(payload, 'itemUid'));
+    cart.items = cart.items.filter((entry) => entry !== line);
+    return { cart: store.serializeCart(cart) };
+  },
+
+  'cart-apply-coupon': (payload, customerToken) => {
+    const cart = cartOf(payload, customerToken);
+    store.applyCoupon(cart, required(payload, 'couponCode'));
+    return { cart: store.serializeCart(cart) };
+  },
+
+  'cart-remove-coupon': (payload, customerToken) => {
+    const cart = cartOf(payload, customerToken);
+    store.removeCoupon(cart, required(payload, 'couponCode'));
+    return { cart: store.serializeCart(cart) };
+  },
+
+  'cart-apply-gift-card': (payload, customerToken) => {
+    const cart = cartOf(payload, customerToken);
+    store.applyGiftCard(cart, required(payload, 'giftCardCode'));
+    return { cart: store.serializeCart(cart) };
+  },
+
+  'cart-remove-gift-card': (payload, customerToken) => {
+    const cart = cartOf(payload, customerToken);
+    store.removeGiftCard(cart, required(payload, 'giftCardCode'));
+    return { cart: store.serializeCart(cart) };
+  },
+
+  'cart-estimate-shipping-methods': (payload, customerToken) => ({
+    shippingMethods: store.estimateShippingMethods(
+      cartOf(payload, customerToken),
+      required(payload, 'address'),
+    ),
+  }),
+
+  'cart-estimate-totals': (payload, customerToken) => {
+    const cart = cartOf(payload, customerToken);
+    store.estimateTotals(cart, required(payload, 'address'), required(payload, 'shippingMethod'));
+    return { cart: store.serializeCart(cart) };
+  },
+
+  'checkout-prepare': (payload, customerToken) => {
+    const cart = cartOf(payload, customerToken);
+    cart.email = payload.guestEmail ?? cart.email;
+    cart.shippingAddress = required(payload, 'shippingAddress');
+    cart.billingAddress = payload.billingAddress ?? cart.shippingAddress;
+    cart.shippingMethod = payload.shippingMethod ?? { carrier_code: 'flatrate', method_code: 'flatrate' };
+    // The totals with the new address and method decide which payment methods are allowed
+    const paymentMethod = payload.paymentMethod ?? cart.paymentMethod;
+    const available = store.serializeCart(cart).available_payment_methods;
+    if (paymentMethod && !available.some(({ code }) => code === paymentMethod.code)) {
+      throw new store.ActionError(400, 'The requested Payment Method is not available.');
+    }
+    cart.paymentMethod = paymentMethod;
+    return { cart: store.serializeCart(cart) };
+  },
+
+  'paypal-order-create': (payload, customerToken) => {
+    const cart = cartOf(payload, customerToken);
+    const returnUrl = new URL(required(payload, 'returnUrl'));
+    const paypalOrderId = store.createPayPalOrder(cart, required(payload, 'amount'));
+    // There is no PayPal here: the order is approved right away and the shopper goes back.
+    // The cancel URL is never used, open it with `?token=<id>` to try a cancellation.
+    returnUrl.searchParams.set('token', paypalOrderId);
+    returnUrl.searchParams.set('PayerID', 'LOCALPAYER');
+    return { id: paypalOrderId, approvalUrl: returnUrl.toString() };
+  },
+
+  'paypal-order-capture': (payload) => {
+    store.capturePayPalOrder(required(payload, 'paypalOrderId'));
+    return { status: 'SUCCESS' };
+  },
+
+  'checkout-place-order': (payload, customerToken) => {
+    const order = store.placeOrder(cartOf(payload, customerToken));
+    return {
+      order: { order: { number: order.number, token: order.token } },
+      orderNumber: order.number,
+    };
+  },
+
+  'get-categories': () => store.getCategories(),
+
+  'get-product-details-by-sku': (payload) => (
+    store.serializeProduct(store.getProduct(required(payload, 'sku')))
+  ),
+};
@@ -0,0 +1,117 @@
+import { createServer } from 'node:http';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import actions from './actions.js';
+import * as store from './store.js';
+
+/**
+ * Local stand-in for the `poc-appbuilder-storefront` App Builder actions.
+ *
+ * Serves every action as `<any prefix>/<action>`, so the storefront endpoint can be set to
+ * `http://localhost:3002` or `http://localhost:3002/api/v1/web/poc-appbuilder-storefront`.
+ * `POST /__admin/reset` reloads the fixtures and `POST /__admin/seed` replaces parts of the
+ * state, for tests.
+ */
+
+const { values: args } = parseArgs({
+  options: {
+    port: { type: 'string', default: process.env.PORT ?? '3002' },
+    fixtures: {
+      type: 'string',
+      default: process.env.FIXTURES_DIR ?? path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures'),
+    },
+  },
+});
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+};
+
+/**
+ * Sends a JSON response
+ * @param {import('node:http').ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {Object} body - Response body
+ */
+function send(res, status, body) {
+  res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Reads and parses a JSON request body
+ * @param {import('node:http').IncomingMessage} req - Request
+ * @returns {Promise<Object>} Parsed body, empty for no body
+ */
+async function readBody(req) {
+  const chunks = [];
+  // eslint-disable-next-line no-restricted-syntax
+  for await (const chunk of req) {
+    chunks.push(chunk);
+  }
+  const text = Buffer.concat(chunks).toString('utf8');
+  if (!text) {
+    return {};
+  }
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw new store.ActionError(400, 'Request body is not valid JSON');
+  }
+}
+
+/**
+ * Handles a request
+ * @param {import('node:http').IncomingMessage} req - Request
+ * @param {import('node:http').ServerResponse} res - Response
+ */
+async function handle(req, res) {
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, CORS_HEADERS);
+    res.end();
+    return;
+  }
+
+  const { pathname } = new URL(req.url, 'http://localhost');
+  const name = pathname.split('/').filter(Boolean).pop();
+
+  try {
+    const payload = await readBody(req);
+
+    if (pathname === '/__admin/reset') {
+      await store.reset();
+      send(res, 200, { status: 'OK' });
+      return;
+    }
+    if (pathname === '/__admin/seed') {
+      store.seed(payload);
+      send(res, 200, { status: 'OK' });
+      return;
+    }
+
+    const action = actions[name];
+    if (!action) {
+      send(res, 404, { error: `Unknown action "${name}"` });
+      return;
+    }
+
+    const customerToken = req.headers.authorization?.replace(/^Bearer\s+/i, '') || null;
+    const body = await action(payload, customerToken);
+    console.info(`${req.method} ${name} 200`);
+    send(res, 200, body);
+  } catch (error) {
+    const status = error instanceof store.ActionError ? error.status : 500;
+    console.info(`${req.method} ${name} ${status} ${error.message}`);
+    send(res, status, { error: error.message });
+  }
+}
+
+await store.reset(args.fixtures);
+
+createServer(handle).listen(Number(args.port), () => {
+  console.info(`App Builder stand-in listening on http://localhost:${args.port}`);
+  console.info(`Fixtures: ${args.fixtures}`);
+});
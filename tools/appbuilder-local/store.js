@@ -0,0 +1,776 @@
+import { randomUUID } from 'node:crypto';
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+
+/**
+ * In-memory state of the stand-in: catalog, categories, carts, PayPal orders and orders.
+ * Everything is lost on restart; `reset()` reloads the fixtures.
+ */
+
+/**
+ * Error returned to the storefront as `{ error }` with an HTTP status
+ */
+export class ActionError extends Error {
+  /**
+   * @param {number} status - HTTP status
+   * @param {string} message - Error message, worded like the Commerce GraphQL errors
+   */
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const state = {
+  fixturesDir: null,
+  catalog: {
+    currency: 'USD',
+    shippingMethods: [],
+    taxRates: [],
+    coupons: [],
+    giftCards: [],
+    products: [],
+  },
+  categories: null,
+  carts: new Map(),
+  customerCarts: new Map(),
+  paypalOrders: new Map(),
+  orders: [],
+};
+
+/**
+ * Reads a JSON fixture
+ * @param {string} name - File name inside the fixtures directory
+ * @returns {Promise<Object>} Parsed fixture
+ */
+async function readFixture(name) {
+  return JSON.parse(await readFile(path.join(state.fixturesDir, name), 'utf8'));
+}
+
+/**
+ * Clears all state and reloads the fixtures
+ * @param {string} [fixturesDir] - Directory with `catalog.json` and `categories.json`
+ */
+export async function reset(fixturesDir = state.fixturesDir) {
+  state.fixturesDir = fixturesDir;
+  state.catalog = await readFixture('catalog.json');
+  state.categories = await readFixture('categories.json');
+  state.carts.clear();
+  state.customerCarts.clear();
+  state.paypalOrders.clear();
+  state.orders = [];
+}
+
+/**
+ * Replaces parts of the state, e.g. from a Cypress `before` hook
+ * @param {Object} seed
+ * @param {Array<Object>} [seed.products] - Catalog products, replacing the fixture products
+ * @param {Object} [seed.categories] - Root category, replacing the fixture tree
+ * @param {Array<Object>} [seed.carts] - Carts to create: `{ id, customerToken, items }`
+ */
+export function seed({ products, categories, carts = [] } = {}) {
+  if (products) {
+    state.catalog = { ...state.catalog, products };
+  }
+  if (categories) {
+    state.categories = categories;
+  }
+  carts.forEach(({ id, customerToken, items = [] }) => {
+    const cart = createCart({ id, customerToken });
+    items.forEach((item) => addItem(cart, item));
+  });
+}
+
+/**
+ * Returns the category tree
+ * @returns {Object} Root category
+ */
+export function getCategories() {
+  return state.categories;
+}
+
+/**
+ * Finds a catalog product
+ * @param {string} sku - Product SKU
+ * @returns {Object} Catalog product
+ */
+export function getProduct(sku) {
+  const product = state.catalog.products.find((entry) => entry.sku === sku);
+  if (!product) {
+    throw new ActionError(404, `Could not find a product with SKU "${sku}"`);
+  }
+  return product;
+}
+
+/**
+ * Money object in the catalog currency
+ * @param {number} value - Amount
+ * @returns {{ value: number, currency: string }} Money
+ */
+function money(value) {
+  return { value: Math.round(value * 100) / 100, currency: state.catalog.currency };
+}
+
+/**
+ * Payment methods of the store. Like Commerce's zero subtotal checkout, `free` is the only
+ * method of carts with nothing to pay, and is never offered otherwise.
+ */
+const PAYMENT_METHODS = [
+  { code: 'paypal_express', title: 'PayPal' },
+  { code: 'checkmo', title: 'Check / Money order' },
+  { code: 'cashondelivery', title: 'Cash On Delivery' },
+  { code: 'free', title: 'No Payment Information Required' },
+];
+
+/**
+ * Lists the payment methods a cart can be paid with
+ * @param {number} grandTotal - Amount left to pay
+ * @returns {Array<{ code: string, title: string }>} Payment methods
+ */
+function getAvailablePaymentMethods(grandTotal) {
+  return PAYMENT_METHODS
+    .filter(({ code }) => (grandTotal > 0 ? code !== 'free' : code === 'free'))
+    .map((method) => ({ ...method }));
+}
+
+/**
+ * Creates a cart
+ * @param {Object} [options]
+ * @param {string} [options.id] - Cart ID, generated when omitted
+ * @param {string} [options.customerToken] - Owner, for customer carts
+ * @returns {Object} Cart
+ */
+export function createCart({ id = randomUUID().replace(/-/g, ''), customerToken } = {}) {
+  const cart = {
+    id,
+    customerToken: customerToken ?? null,
+    active: true,
+    email: null,
+    items: [],
+    coupons: [],
+    giftCards: [],
+    shippingAddress: null,
+    billingAddress: null,
+    shippingMethod: null,
+    estimate: null,
+    paymentMethod: null,
+  };
+  state.carts.set(id, cart);
+  if (customerToken) {
+    state.customerCarts.set(customerToken, id);
+  }
+  return cart;
+}
+
+/**
+ * Finds an active cart the caller may use
+ * @param {string} cartId - Cart ID
+ * @param {string|null} customerToken - Bearer token of the caller, if any
+ * @returns {Object} Cart
+ */
+export function getCart(cartId, customerToken) {
+  const cart = state.carts.get(cartId);
+  if (!cart) {
+    throw new ActionError(404, `Could not find a cart with ID "${cartId}"`);
+  }
+  if (!cart.active) {
+    throw new ActionError(400, "The cart isn't active.");
+  }
+  if (cart.customerToken && cart.customerToken !== customerToken) {
+    throw new ActionError(403, `The current user cannot perform operations on cart "${cartId}"`);
+  }
+  return cart;
+}
+
+/**
+ * Returns the active cart of a customer, creating it if needed
+ * @param {string} customerToken - Customer bearer token
+ * @returns {Object} Cart
+ */
+export function getCustomerCart(customerToken) {
+  const cartId = state.customerCarts.get(customerToken);
+  const cart = cartId && state.carts.get(cartId);
+  return cart?.active ? cart : createCart({ customerToken });
+}
+
+/**
+ * Entered option UIDs of gift card products and the cart item fields they fill
+ */
+const GIFT_CARD_FIELDS = {
+  [Buffer.from('giftcard/giftcard_sender_name').toString('base64')]: 'sender_name',
+  [Buffer.from('giftcard/giftcard_sender_email').toString('base64')]: 'sender_email',
+  [Buffer.from('giftcard/giftcard_recipient_name').toString('base64')]: 'recipient_name',
+  [Buffer.from('giftcard/giftcard_recipient_email').toString('base64')]: 'recipient_email',
+  [Buffer.from('giftcard/giftcard_message').toString('base64')]: 'message',
+};
+
+/**
+ * Key of a cart line: lines with the same product, selected options and entered options are
+ * merged
+ * @param {{ sku: string, optionsUIDs?: string[], enteredOptions?: Object[] }} item - Cart item
+ * @returns {string} Line key
+ */
+function getLineKey({ sku, optionsUIDs = [], enteredOptions = [] }) {
+  const entered = [...enteredOptions]
+    .sort((a, b) => a.uid.localeCompare(b.uid))
+    .map(({ uid, value }) => `${uid}=${value}`);
+  return [sku, ...[...optionsUIDs].sort(), ...entered].join('|');
+}
+
+/**
+ * Checks the selected and entered options of an item against its product, the way Commerce
+ * does for configurable, bundle and gift card products
+ * @param {Object} product - Catalog product
+ * @param {string[]} optionsUIDs - Selected option value UIDs
+ * @param {Array<{ uid: string, value: string }>} enteredOptions - Entered options
+ */
+function validateOptions(product, optionsUIDs, enteredOptions) {
+  const options = product.options ?? [];
+  const values = options.flatMap((option) => option.values);
+  const unknown = optionsUIDs.find((uid) => !values.some((value) => value.uid === uid));
+  if (unknown) {
+    throw new ActionError(400, `Could not find specified product option "${unknown}".`);
+  }
+  const missing = options.some((option) => option.required
+    && !option.values.some((value) => optionsUIDs.includes(value.uid)));
+  if (missing) {
+    throw new ActionError(400, 'You need to choose options for your item.');
+  }
+  if (product.type === 'giftcard') {
+    const entered = Object.fromEntries(enteredOptions
+      .map(({ uid, value }) => [GIFT_CARD_FIELDS[uid], value]));
+    if (!entered.sender_name || !entered.recipient_name) {
+      throw new ActionError(400, 'Please specify all the required information.');
+    }
+  }
+}
+
+/**
+ * Adds a product to a cart, increasing the quantity of an existing line with the same options
+ * @param {Object} cart - Cart
+ * @param {{ sku: string, quantity: number, optionsUIDs?: string[],
+ * enteredOptions?: Array<{ uid: string, value: string }> }} item - Item to add
+ */
+export function addItem(cart, {
+  sku, quantity = 1, optionsUIDs = [], enteredOptions = [],
+}) {
+  const product = getProduct(sku);
+  if (product.stock_status !== 'IN_STOCK') {
+    throw new ActionError(400, 'Product that you are trying to add is not available.');
+  }
+  validateOptions(product, optionsUIDs, enteredOptions);
+
+  const key = getLineKey({ sku, optionsUIDs, enteredOptions });
+  const line = cart.items.find((entry) => getLineKey(entry) === key);
+  const requested = (line?.quantity ?? 0) + Number(quantity);
+  if (requested > product.qty) {
+    throw new ActionError(400, 'The requested qty is not available');
+  }
+
+  if (line) {
+    line.quantity = requested;
+  } else {
+    cart.items.push({
+      uid: Buffer.from(randomUUID()).toString('base64'),
+      sku,
+      quantity: requested,
+      optionsUIDs,
+      enteredOptions,
+    });
+  }
+}
+
+/**
+ * Finds a cart line
+ * @param {Object} cart - Cart
+ * @param {string} uid - Cart item UID
+ * @returns {Object} Cart line
+ */
+export function getLine(cart, uid) {
+  const line = cart.items.find((entry) => entry.uid === uid);
+  if (!line) {
+    throw new ActionError(404, `Could not find cart item with uid "${uid}" in cart`);
+  }
+  return line;
+}
+
+/**
+ * Applies a coupon code from the catalog to a cart. Like Commerce, a cart takes one coupon.
+ * @param {Object} cart - Cart
+ * @param {string} code - Coupon code, case insensitive
+ */
+export function applyCoupon(cart, code) {
+  const coupon = (state.catalog.coupons ?? [])
+    .find((entry) => entry.code.toLowerCase() === String(code).trim().toLowerCase());
+  if (!coupon) {
+    throw new ActionError(400, `The coupon code "${code}" is not valid.`);
+  }
+  if (cart.coupons.length > 0) {
+    throw new ActionError(400, 'A coupon is already applied to the cart. Please remove it to apply another');
+  }
+  if (cart.items.length === 0) {
+    throw new ActionError(400, 'Cart does not contain products.');
+  }
+  cart.coupons = [coupon.code];
+}
+
+/**
+ * Removes a coupon code from a cart
+ * @param {Object} cart - Cart
+ * @param {string} code - Coupon code
+ */
+export function removeCoupon(cart, code) {
+  cart.coupons = cart.coupons.filter((entry) => entry.toLowerCase() !== String(code).toLowerCase());
+}
+
+/**
+ * Applies a gift card from the catalog to a cart
+ * @param {Object} cart - Cart
+ * @param {string} code - Gift card code, case insensitive
+ */
+export function applyGiftCard(cart, code) {
+  const giftCard = (state.catalog.giftCards ?? [])
+    .find((entry) => entry.code.toLowerCase() === String(code).trim().toLowerCase());
+  if (!giftCard) {
+    throw new ActionError(400, `The gift card code "${code}" is not valid.`);
+  }
+  if (giftCard.balance <= 0) {
+    throw new ActionError(400, `Gift card "${giftCard.code}" has no balance.`);
+  }
+  if (cart.giftCards.includes(giftCard.code)) {
+    throw new ActionError(400, `Gift card "${giftCard.code}" is already applied to the cart.`);
+  }
+  cart.giftCards.push(giftCard.code);
+}
+
+/**
+ * Removes a gift card from a cart
+ * @param {Object} cart - Cart
+ * @param {string} code - Gift card code
+ */
+export function removeGiftCard(cart, code) {
+  cart.giftCards = cart.giftCards
+    .filter((entry) => entry.toLowerCase() !== String(code).toLowerCase());
+}
+
+/**
+ * Finds a shipping method of the catalog
+ * @param {{ carrier_code: string, method_code: string }} shippingMethod - Carrier and method
+ * @returns {Object} Catalog shipping method
+ */
+function findShippingMethod({ carrier_code: carrierCode, method_code: methodCode } = {}) {
+  const method = state.catalog.shippingMethods.find((entry) => (
+    entry.carrier_code === carrierCode && entry.method_code === methodCode
+  ));
+  if (!method) {
+    throw new ActionError(400, `Carrier with such method not found: ${carrierCode}, ${methodCode}`);
+  }
+  return method;
+}
+
+/**
+ * Price of one unit of a cart line: the product price plus the prices of its selected options
+ * @param {Object} line - Cart line
+ * @returns {number} Unit price
+ */
+function getUnitPrice(line) {
+  const product = getProduct(line.sku);
+  return (product.options ?? [])
+    .flatMap((option) => option.values)
+    .filter((value) => line.optionsUIDs?.includes(value.uid))
+    .reduce((sum, value) => sum + (value.price ?? 0), product.price);
+}
+
+/**
+ * Sum of the line totals of a cart, before discounts
+ * @param {Object} cart - Cart
+ * @returns {number} Subtotal
+ */
+function getSubtotal(cart) {
+  return cart.items.reduce((sum, line) => sum + getUnitPrice(line) * line.quantity, 0);
+}
+
+/**
+ * Serializes a catalog shipping method for a cart and address, with its cost and whether
+ * it can be used
+ * @param {Object} method - Catalog shipping method
+ * @param {Object} cart - Cart
+ * @param {{ country_code: string }} [address] - Shipping address
+ * @returns {Object} Shipping method response
+ */
+function serializeShippingMethod(method, cart, address) {
+  const quantity = cart.items.reduce((sum, line) => sum + line.quantity, 0);
+  let errorMessage = '';
+  if (method.countries && !method.countries.includes(address?.country_code)) {
+    errorMessage = 'This shipping method is not available. To use this shipping method, please contact us.';
+  } else if (method.minimumSubtotal && getSubtotal(cart) < method.minimumSubtotal) {
+    errorMessage = `Free shipping applies to orders of ${method.minimumSubtotal} or more.`;
+  }
+  const amount = money(method.perItem !== undefined ? method.perItem * quantity : method.amount);
+  return {
+    carrier_code: method.carrier_code,
+    method_code: method.method_code,
+    carrier_title: method.carrier_title,
+    method_title: method.method_title,
+    amount,
+    price_excl_tax: amount,
+    price_incl_tax: amount,
+    available: !errorMessage,
+    error_message: errorMessage,
+  };
+}
+
+/**
+ * Lists the shipping methods of the catalog for a cart and an estimate address
+ * @param {Object} cart - Cart
+ * @param {{ country_code: string }} address - Estimate address
+ * @returns {Array<Object>} Shipping method responses
+ */
+export function estimateShippingMethods(cart, address) {
+  if (!address?.country_code) {
+    throw new ActionError(400, 'Required parameter "country_code" is missing');
+  }
+  if (cart.items.length === 0) {
+    return [];
+  }
+  return state.catalog.shippingMethods
+    .map((method) => serializeShippingMethod(method, cart, address));
+}
+
+/**
+ * Stores an estimate address and shipping method on a cart, so its totals include shipping
+ * and tax until a real shipping address is set
+ * @param {Object} cart - Cart
+ * @param {{ country_code: string, region?: string, postcode?: string }} address - Address
+ * @param {{ carrier_code: string, method_code: string }} shippingMethod - Chosen method
+ */
+export function estimateTotals(cart, address, shippingMethod) {
+  if (!address?.country_code) {
+    throw new ActionError(400, 'Required parameter "country_code" is missing');
+  }
+  const method = serializeShippingMethod(findShippingMethod(shippingMethod), cart, address);
+  if (!method.available) {
+    throw new ActionError(400, method.error_message);
+  }
+  cart.estimate = {
+    address: {
+      country_code: address.country_code,
+      region: address.region ?? '',
+      postcode: address.postcode ?? '',
+    },
+    shippingMethod: { carrier_code: method.carrier_code, method_code: method.method_code },
+  };
+}
+
+/**
+ * Finds the tax rate of an address, preferring a rate for its region
+ * @param {{ country_code: string, region?: string }} [address] - Address
+ * @returns {Object|null} Catalog tax rate
+ */
+function findTaxRate(address) {
+  if (!address) {
+    return null;
+  }
+  const rates = (state.catalog.taxRates ?? [])
+    .filter((rate) => rate.country_code === address.country_code);
+  return rates.find((rate) => rate.region && rate.region === address.region)
+    ?? rates.find((rate) => !rate.region)
+    ?? null;
+}
+
+/**
+ * Moves the lines of a guest cart into a customer cart and deactivates the guest cart
+ * @param {Object} source - Guest cart
+ * @param {Object} destination - Customer cart
+ */
+export function mergeCarts(source, destination) {
+  source.items.forEach((item) => {
+    const line = destination.items.find((entry) => getLineKey(entry) === getLineKey(item));
+    if (line) {
+      line.quantity += item.quantity;
+    } else {
+      destination.items.push({ ...item, uid: Buffer.from(randomUUID()).toString('base64') });
+    }
+  });
+  source.active = false;
+}
+
+/**
+ * Stores a PayPal order awaiting approval
+ * @param {Object} cart - Cart being paid
+ * @param {{ value: number, currency_code: string }} amount - Order amount
+ * @returns {string} PayPal order ID
+ */
+export function createPayPalOrder(cart, amount) {
+  const id = randomUUID().slice(0, 17).replace(/-/g, '').toUpperCase();
+  state.paypalOrders.set(id, {
+    id,
+    cartId: cart.id,
+    amount,
+    status: 'CREATED',
+  });
+  return id;
+}
+
+/**
+ * Captures a PayPal order. Capturing it again is a no-op, so a retried capture never takes
+ * the payment twice.
+ * @param {string} id - PayPal order ID
+ * @returns {Object} PayPal order
+ */
+export function capturePayPalOrder(id) {
+  const order = state.paypalOrders.get(id);
+  if (!order) {
+    throw new ActionError(404, `PayPal order "${id}" not found`);
+  }
+  order.status = 'COMPLETED';
+  return order;
+}
+
+/**
+ * Turns a cart into an order and deactivates the cart
+ * @param {Object} cart - Prepared cart
+ * @returns {Object} Order
+ */
+export function placeOrder(cart) {
+  if (cart.items.length === 0) {
+    throw new ActionError(400, 'Unable to place order: the cart is empty');
+  }
+  // Customer carts use the account's email
+  if ((!cart.email && !cart.customerToken) || !cart.shippingAddress || !cart.paymentMethod) {
+    throw new ActionError(400, 'Unable to place order: email, shipping address and payment method are required');
+  }
+  const unavailable = cart.items.some(({ sku, quantity }) => {
+    const product = getProduct(sku);
+    return product.stock_status !== 'IN_STOCK' || quantity > product.qty;
+  });
+  if (unavailable) {
+    throw new ActionError(400, 'Unable to place order: Some of the products are out of stock.');
+  }
+
+  const number = String(state.orders.length + 1).padStart(9, '0');
+  const order = {
+    number,
+    // Like Commerce's order token, a random 32 character string guests look their order up with
+    token: randomUUID().replace(/-/g, ''),
+    cartId: cart.id,
+    email: cart.email,
+    customerToken: cart.customerToken,
+  };
+  state.orders.push(order);
+  cart.items.forEach(({ sku, quantity }) => {
+    const product = getProduct(sku);
+    product.qty -= quantity;
+  });
+  cart.active = false;
+  return order;
+}
+
+/**
+ * Cart item `__typename` of each product type
+ */
+const CART_ITEM_TYPENAMES = {
+  configurable: 'ConfigurableCartItem',
+  bundle: 'BundleCartItem',
+  giftcard: 'GiftCardCartItem',
+};
+
+/**
+ * Serializes the options of a cart line in the fields of its cart item type
+ * @param {Object} product - Catalog product
+ * @param {Object} line - Cart line
+ * @returns {Object} `configurable_options`, `bundle_options` or the gift card fields
+ */
+function serializeLineOptions(product, line) {
+  const selected = (product.options ?? []).flatMap((option) => option.values
+    .filter((value) => line.optionsUIDs?.includes(value.uid))
+    .map((value) => ({ option, value })));
+
+  switch (product.type) {
+    case 'configurable':
+      return {
+        configurable_options: selected.map(({ option, value }) => ({
+          configurable_product_option_uid: option.uid,
+          option_label: option.label,
+          configurable_product_option_value_uid: value.uid,
+          value_label: value.label,
+        })),
+        configured_variant: { sku: [product.sku, ...selected.map(({ value }) => value.label)].join('-') },
+      };
+    case 'bundle':
+      return {
+        bundle_options: selected.map(({ option, value }) => ({
+          uid: option.uid,
+          label: option.label,
+          values: [{
+            uid: value.uid,
+            label: value.label,
+            quantity: 1,
+            price: value.price ?? 0,
+          }],
+        })),
+      };
+    case 'giftcard': {
+      const fields = Object.fromEntries(
+        Object.values(GIFT_CARD_FIELDS).map((field) => [field, null]),
+      );
+      (line.enteredOptions ?? []).forEach(({ uid, value }) => {
+        if (GIFT_CARD_FIELDS[uid]) {
+          fields[GIFT_CARD_FIELDS[uid]] = value;
+        }
+      });
+      return fields;
+    }
+    default:
+      return {};
+  }
+}
+
+/**
+ * Serializes a cart in the Commerce GraphQL shape the storefront expects
+ * @param {Object} cart - Cart
+ * @returns {Object} Cart response
+ */
+export function serializeCart(cart) {
+  const items = cart.items.map((line) => {
+    const product = getProduct(line.sku);
+    const available = product.stock_status === 'IN_STOCK' && line.quantity <= product.qty;
+    const price = getUnitPrice(line);
+    const regularPrice = price - product.price + (product.regular_price ?? product.price);
+    return {
+      __typename: CART_ITEM_TYPENAMES[product.type] ?? 'SimpleCartItem',
+      uid: line.uid,
+      quantity: line.quantity,
+      is_available: available,
+      not_available_message: available ? '' : 'The requested qty is not available',
+      selected_options_uids: line.optionsUIDs ?? [],
+      entered_options: line.enteredOptions ?? [],
+      prices: {
+        price: money(price),
+        price_including_tax: money(price),
+        original_item_price: money(regularPrice),
+        row_total: money(price * line.quantity),
+        row_total_including_tax: money(price * line.quantity),
+      },
+      product: {
+        sku: product.sku,
+        name: product.name,
+        url_key: product.url_key,
+        stock_status: product.stock_status,
+        only_x_left_in_stock: available || product.stock_status !== 'IN_STOCK' ? null : product.qty,
+        thumbnail: { url: product.thumbnail, label: product.name },
+      },
+      ...serializeLineOptions(product, line),
+    };
+  });
+
+  const totalQuantity = cart.items.reduce((sum, line) => sum + line.quantity, 0);
+  const subtotal = items.reduce((sum, item) => sum + item.prices.row_total.value, 0);
+
+  // Until checkout sets a real address, the shipping estimator's choice is used
+  const address = cart.shippingAddress ?? cart.estimate?.address;
+  const shippingMethod = cart.shippingMethod ?? cart.estimate?.shippingMethod;
+  const selectedShippingMethod = shippingMethod
+    && serializeShippingMethod(findShippingMethod(shippingMethod), cart, address);
+  const shipping = selectedShippingMethod ? selectedShippingMethod.amount.value : 0;
+
+  const discounts = cart.coupons.map((code) => {
+    const coupon = state.catalog.coupons.find((entry) => entry.code === code);
+    const amount = coupon.type === 'percent' ? (subtotal * coupon.value) / 100 : coupon.value;
+    return { code, label: coupon.label, amount: Math.min(amount, subtotal) };
+  });
+  const subtotalWithDiscount = subtotal - discounts.reduce((sum, { amount }) => sum + amount, 0);
+
+  // Like cart rules, each discount is spread over the lines in proportion to their row total
+  items.forEach((item) => {
+    const share = subtotal > 0 ? item.prices.row_total.value / subtotal : 0;
+    const itemDiscounts = discounts.map(({ code, label, amount }) => ({
+      label: label ?? code,
+      amount: money(amount * share),
+    }));
+    Object.assign(item.prices, {
+      discounts: itemDiscounts,
+      total_item_discount: money(itemDiscounts.reduce((sum, { amount }) => sum + amount.value, 0)),
+    });
+  });
+
+  const taxRate = findTaxRate(address);
+  const tax = taxRate ? (subtotalWithDiscount * taxRate.rate) / 100 : 0;
+
+  // Gift cards pay for what is left after discounts, in the order they were applied
+  let remaining = subtotalWithDiscount + shipping + tax;
+  const appliedGiftCards = cart.giftCards.map((code) => {
+    const giftCard = state.catalog.giftCards.find((entry) => entry.code === code);
+    const applied = Math.min(giftCard.balance, remaining);
+    remaining -= applied;
+    return {
+      code,
+      applied_balance: money(applied),
+      current_balance: money(giftCard.balance),
+      expiration_date: giftCard.expiration_date ?? null,
+    };
+  });
+
+  return {
+    id: cart.id,
+    email: cart.email,
+    is_virtual: false,
+    total_quantity: totalQuantity,
+    itemsV2: { items, total_count: items.length },
+    applied_coupons: cart.coupons.map((code) => ({ code })),
+    applied_gift_cards: appliedGiftCards,
+    prices: {
+      grand_total: money(remaining),
+      grand_total_excluding_tax: money(remaining - tax),
+      subtotal_excluding_tax: money(subtotal),
+      subtotal_including_tax: money(subtotal + tax),
+      subtotal_with_discount_excluding_tax: money(subtotalWithDiscount),
+      applied_taxes: taxRate ? [{ label: taxRate.label, amount: money(tax) }] : [],
+      discounts: discounts.map(({ code, label, amount }) => ({
+        label: label ?? code,
+        coupon: { code },
+        amount: money(amount),
+      })),
+    },
+    shipping_addresses: address ? [{
+      ...address,
+      country: { code: address.country_code, label: address.country_code },
+      region: { code: address.region, label: address.region },
+      selected_shipping_method: selectedShippingMethod || null,
+    }] : [],
+    billing_address: cart.billingAddress ? {
+      ...cart.billingAddress,
+      country: { code: cart.billingAddress.country_code, label: cart.billingAddress.country_code },
+      region: { code: cart.billingAddress.region, label: cart.billingAddress.region },
+    } : null,
+    available_payment_methods: getAvailablePaymentMethods(remaining),
+    selected_payment_method: cart.paymentMethod ?? { code: '' },
+  };
+}
+
+/**
+ * Serializes a catalog product in the shape of `get-product-details-by-sku`
+ * @param {Object} product - Catalog product
+ * @returns {Object} Product details
+ */
+export function serializeProduct(product) {
+  return {
+    sku: product.sku,
+    name: product.name,
+    urlKey: product.url_key,
+    shortDescription: product.shortDescription ?? '',
+    description: product.description ?? product.shortDescription ?? '',
+    inStock: product.stock_status === 'IN_STOCK',
+    addToCartAllowed: product.stock_status === 'IN_STOCK',
+    images: [{
+      url: product.thumbnail,
+      label: product.name,
+      roles: ['image', 'small_image', 'thumbnail'],
+    }],
+    price: {
+      regular: { amount: money(product.regular_price ?? product.price) },
+      final: { amount: money(product.price) },
+    },
+    attributes: product.attributes ?? [],
+  };
+}